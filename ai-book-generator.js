@@ -1,8 +1,15 @@
 // File: ai-book-generator.js
 // Advanced AI Book Generation System for Briggs Empire
 
+const { PromptLibrary } = require('./prompt-templates');
+const { fixturesFromEnv } = require('./provider-fixtures');
+
 class BookGenerator {
-  constructor() {
+  // options.prompts: a PromptLibrary, so chapters use the same editable templates.
+  // options.fetch replaces fetch for API calls (default: PROVIDER_FIXTURES, if set).
+  constructor(options = {}) {
+    this.prompts = options.prompts || new PromptLibrary();
+    this.fetch = options.fetch || fixturesFromEnv()?.fetch || ((...args) => fetch(...args));
     this.providers = ['openai', 'claude'];
     this.currentProvider = 'openai';
     this.rateLimits = new Map();
@@ -126,27 +133,19 @@ class BookGenerator {
     throw new Error('All AI providers failed for chapter generation');
   }
 
-  // Build optimized prompt for chapter generation
+  // Build chapter prompt from the chapter template for the book's genre
   buildChapterPrompt(config) {
-    return `You are writing Chapter ${config.chapterNumber} of ${config.totalChapters} for a ${config.genre} book titled "${config.bookTitle}".
-
-CHAPTER DETAILS:
-- Title: ${config.chapterTitle}
-- Target Length: ${config.targetWords} words
-- Genre: ${config.genre}
-
-BOOK CONTEXT:
-${config.context}
-
-INSTRUCTIONS:
-Write an engaging ${config.targetWords}-word chapter that:
-1. Has a compelling opening that hooks the reader
-2. Develops the topic thoroughly with specific examples
-3. Maintains consistent tone and style with the book
-4. Includes smooth transitions between sections
-5. Ends with a satisfying conclusion that flows to the next chapter
-
-Write the complete chapter content now:`;
+    return this.prompts.render('chapter', {
+      title: config.bookTitle,
+      genre: config.genre,
+      style: 'engaging',
+      audience: 'general',
+      previousContext: config.context,
+      chapterTitle: config.chapterTitle,
+      chapterNumber: config.chapterNumber,
+      totalChapters: config.totalChapters,
+      length: config.targetWords
+    }, { genre: config.genre });
   }
 
   // Call AI provider APIs
@@ -163,7 +162,7 @@ Write the complete chapter content now:`;
 
   // OpenAI API call
   async callOpenAI(prompt) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    const response = await this.fetch('https://api.openai.com/v1/chat/completions', {
       method: 'POST',
       headers: {
         'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
@@ -187,7 +186,7 @@ Write the complete chapter content now:`;
 
   // Claude API call
   async callClaude(prompt) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
+    const response = await this.fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
         'x-api-key': process.env.CLAUDE_API_KEY,
@@ -1,92 +1,317 @@
 // AI Provider Manager - Core of Briggs Empire
 // File: ai-providers.js
 
+const { ProviderRegistry } = require('./provider-registry');
+const { MockProvider } = require('./mock-provider');
+const { RateLimiter } = require('./rate-limiter');
+const { UsageTracker, BudgetExceededError } = require('./cost-tracker');
+const { OutlineValidationError, outlinePromptVariables, parseOutline, resolveChapterCount, chapterLength } = require('./outline');
+const { ConsistencyScorer } = require('./consistency');
+const { checkReadability, resolveAudience } = require('./readability');
+const { DEFAULT_MAX_WORDS_PER_PAGE, PictureBookValidationError, layoutFor, buildPictureBookPrompt, parsePictureBook, feedbackFor } = require('./picture-book');
+const { buildSummaryPrompt } = require('./series');
+const { PromptLibrary } = require('./prompt-templates');
+const { ContentSafetyFilter, ContentSafetyError, loadSafetyConfig } = require('./content-safety');
+const { DuplicateIndex, chapterKey } = require('./duplicates');
+const { PLATFORMS, BISAC_CATEGORIES, ListingValidationError, audienceRange, describeLimits, validateBlurb, parseListingFields } = require('./listing');
+const { emptyBible, mergeExtracted, combineBibles, formatForPrompt, buildExtractionPrompt, parseExtraction } = require('./story-bible');
+const { fixturesFromEnv } = require('./provider-fixtures');
+
 class AIProviderManager {
-  constructor() {
-    this.providers = {
-      openai: new OpenAIProvider(),
-      claude: new ClaudeProvider(), 
-      gemini: new GeminiProvider()
-    };
+  // options.registry supplies provider factories; options.providers (or the
+  // AI_PROVIDERS env var, comma-separated) picks which ones run and in what
+  // failover order. Rate limits come from each provider's registered
+  // capabilities, overridden by RATE_LIMITS_FILE and then options.rateLimits.
+  // options.fetch replaces fetch for every HTTP provider (default: the record/replay
+  // fixtures from PROVIDER_FIXTURES, if set; see provider-fixtures.js).
+  constructor(options = {}) {
+    this.registry = options.registry || createDefaultRegistry();
+    const providerFetch = options.fetch || fixturesFromEnv()?.fetch;
+
+    const enabled = options.providers
+      || (process.env.AI_PROVIDERS ? process.env.AI_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean) : null)
+      || defaultProviderNames();
+
+    this.providers = {};
+    for (const name of enabled) {
+      this.providers[name] = this.registry.create(name, { fetch: providerFetch, ...options.providerOptions?.[name] });
+    }
     
-    this.defaultProvider = 'openai';
-    this.rateLimits = new Map();
-    this.failoverChain = ['openai', 'claude', 'gemini'];
+    this.defaultProvider = options.defaultProvider || process.env.AI_DEFAULT_PROVIDER || enabled[0];
+    this.failoverChain = enabled;
+
+    const configuredLimits = { ...RateLimiter.loadConfig(), ...options.rateLimits };
+    this.rateLimiter = new RateLimiter(Object.fromEntries(enabled.map(name => [
+      name,
+      { ...this.registry.get(name)?.capabilities.rateLimits, ...configuredLimits[name] }
+    ])));
+    // Longest we'll wait for a rate-limited chain to free up before giving up
+    this.maxRateLimitWaitMs = options.maxRateLimitWaitMs ?? 30000;
+    // Events about a provider rather than one call: ('provider-rate-limited', data)
+    this.onProviderEvent = options.onProviderEvent || (() => {});
+
+    // Lifetime token usage and cost across every call this manager makes
+    this.usage = new UsageTracker({ prices: options.prices });
+
+    // Semantic drift check against earlier chapters (see consistency.js)
+    this.consistencyScorer = options.consistencyScorer || new ConsistencyScorer(options.consistency);
+    // Prompt text for chapters, revisions and outlines (see prompt-templates.js)
+    this.prompts = options.prompts || new PromptLibrary();
+    // Per-audience children's-content rules (see content-safety.js)
+    this.safetyFilter = options.safetyFilter || new ContentSafetyFilter(loadSafetyConfig());
+    // Passages of every stored chapter, so new chapters can't reuse them (see duplicates.js)
+    this.duplicateIndex = options.duplicateIndex || new DuplicateIndex(options.duplicates);
     this.qualityThresholds = {
       minLength: 500,
-      maxLength: 4000,
-      coherenceScore: 0.7
+      maxLength: 4000
     };
   }
 
-  // Main content generation method with automatic failover
+  // Main content generation method with automatic failover.
+  // options.usageTracker (a UsageTracker) accumulates cost across calls and
+  // stops generation with a BudgetExceededError once its maxCost is reached.
+  // options.audience sets the reading level chapters are checked against; a miss is
+  // retried with the readability feedback appended to the prompt.
+  // options.validate(content) replaces the prose quality check for structured output.
+  // options.moderate(content) (default: the safety filter for options.audience) returns
+  // safety findings; a rejected draft is regenerated with a corrective instruction and
+  // a ContentSafetyError is thrown if the last attempt is still rejected.
+  // Chapters are also checked against the library's duplicate index (skipping
+  // options.duplicateKey, the chapter being replaced); reused passages are sent
+  // back like any other quality miss. Matches only identify chapters of
+  // options.authorId, never other authors' books.
+  // options.consistencyReference (text or list of texts, default options.previousContent)
+  // is what new content must stay consistent with.
   async generateContent(prompt, options = {}) {
     const {
       type = 'chapter',
       provider = this.defaultProvider,
       requireConsistency = true,
-      maxRetries = 2
+      maxRetries = 2,
+      signal,
+      usageTracker,
+      audience,
+      validate = content => this.validateQuality(content, { audience }),
+      moderate = audience ? content => this.safetyFilter.check(content, audience) : null,
+      checkDuplicates = type === 'chapter'
+        ? content => this.duplicateIndex.check(content, { exclude: [].concat(options.duplicateKey || []), authorId: options.authorId })
+        : null,
+      onEvent = () => {}
     } = options;
 
     let attempts = 0;
     let lastError = null;
+    // Every attempt is billed, including ones the quality gate rejects
+    const callUsage = new UsageTracker({ prices: this.usage.prices });
 
-    // Try primary provider first, then failover chain
-    const providersToTry = [provider, ...this.failoverChain.filter(p => p !== provider)];
+    // Try primary provider first, then failover chain. Quality rejections cycle
+    // back through the chain (so a single offline provider can retry) until
+    // maxRetries attempts have been used.
+    const chain = [provider, ...this.failoverChain.filter(p => p !== provider)]
+      .filter(name => this.providers[name]);
+    const providersToTry = Array.from({ length: Math.max(1, maxRetries) }, () => chain).flat();
+    const estimatedTokens = this.estimateRequestTokens(prompt, type);
+    const reference = options.consistencyReference ?? options.previousContent;
+    let attemptPrompt = prompt;
+    // Safety notes stay in the prompt once given, alongside the latest revision notes
+    let safetyNotes = null;
+    let revisionNotes = null;
+    const withNotes = () => [
+      prompt,
+      safetyNotes && `CONTENT SAFETY (a previous draft was rejected; follow these):\n${safetyNotes}\n`,
+      revisionNotes && `REVISION NOTES (a previous draft was rejected; fix these):\n${revisionNotes}\n`
+    ].filter(Boolean).join('\n');
+    const rejectedDrafts = [];
+
+    await this.waitForCapacity(chain, estimatedTokens, signal);
 
     for (const providerName of providersToTry) {
+      if (signal?.aborted) throw new Error('Generation cancelled');
+      usageTracker?.assertWithinBudget();
+
       try {
         // Check rate limits
-        if (this.isRateLimited(providerName)) {
-          console.log(`Provider ${providerName} rate limited, trying next...`);
+        const limiter = this.rateLimiter.for(providerName);
+        const capacity = limiter.check(estimatedTokens);
+        if (!capacity.allowed) {
+          console.log(`Provider ${providerName} rate limited (${capacity.reason}, ${capacity.waitMs}ms), trying next...`);
+          onEvent('provider-failover', { provider: providerName, reason: 'rate-limited', retryInMs: capacity.waitMs });
           continue;
         }
+        limiter.consume(estimatedTokens);
 
         // Generate content
-        const content = await this.providers[providerName].generate(prompt, type);
-        
-        // Quality validation
-        const qualityCheck = this.validateQuality(content);
+        const response = normalizeResponse(await this.providers[providerName].generate(attemptPrompt, type, { signal }));
+        const content = response.content;
+        this.updateRateLimit(providerName, response.headers);
+        this.recordUsage(providerName, attemptPrompt, response, [callUsage, usageTracker]);
+
+        // Content safety: unsuitable drafts are never accepted
+        const safety = moderate ? moderate(content) : null;
+        if (safety && !safety.passes) {
+          const rejected = safety.findings.filter(finding => finding.action === 'reject');
+          const categories = [...new Set(rejected.map(finding => finding.category))];
+          console.log(`Safety check failed for ${providerName}: ${categories.join(', ')}`);
+          onEvent('safety-rejected', { provider: providerName, audience: safety.audience, categories, excerpts: rejected.map(finding => finding.excerpt) });
+          rejectedDrafts.push({ provider: providerName, findings: rejected });
+          attempts++;
+          if (attempts >= maxRetries) throw new ContentSafetyError(rejected);
+          safetyNotes = safety.feedback;
+          attemptPrompt = withNotes();
+          continue;
+        }
+        if (safety?.findings.length) {
+          onEvent('safety-flagged', { provider: providerName, audience: safety.audience, categories: [...new Set(safety.findings.map(finding => finding.category))] });
+        }
+
+        // Quality validation, including passages reused from other chapters
+        const qualityCheck = validate(content);
+        const duplicates = checkDuplicates ? checkDuplicates(content) : null;
         if (!qualityCheck.passes) {
           console.log(`Quality check failed for ${providerName}: ${qualityCheck.reason}`);
+          onEvent('quality-rejected', { provider: providerName, check: 'quality', reason: qualityCheck.reason, score: qualityCheck.score });
+        }
+        if (duplicates && !duplicates.passes) {
+          console.log(`Duplicate check failed for ${providerName}: ${duplicates.duplicatePassages} reused passages`);
+          onEvent('quality-rejected', {
+            provider: providerName,
+            check: 'duplicates',
+            duplicatePassages: duplicates.duplicatePassages,
+            matchedChapters: [...new Set(duplicates.matches.map(match => match.matchedKey).filter(Boolean))]
+          });
+        }
+        if (!qualityCheck.passes || (duplicates && !duplicates.passes)) {
           attempts++;
+          const notes = [!qualityCheck.passes && qualityCheck.feedback, duplicates?.feedback].filter(Boolean);
+          if (notes.length > 0) {
+            revisionNotes = notes.join('\n');
+            attemptPrompt = withNotes();
+          }
           if (attempts < maxRetries) continue;
         }
 
-        // Consistency check (if enabled and we have previous content)
-        if (requireConsistency && options.previousContent) {
-          const consistencyScore = await this.checkConsistency(content, options.previousContent);
-          if (consistencyScore < this.qualityThresholds.coherenceScore) {
-            console.log(`Consistency check failed for ${providerName}: ${consistencyScore}`);
-            attempts++;
-            if (attempts < maxRetries) continue;
-          }
+        // Consistency check (if we have something to be consistent with)
+        const consistency = reference?.length ? await this.checkConsistency(content, reference, { signal }) : null;
+        if (requireConsistency && consistency && !consistency.passes) {
+          console.log(`Consistency check failed for ${providerName}: ${consistency.drifting.length} drifting passages`);
+          onEvent('quality-rejected', {
+            provider: providerName,
+            check: 'consistency',
+            score: consistency.score,
+            drifting: consistency.drifting.map(passage => passage.excerpt)
+          });
+          attempts++;
+          if (attempts < maxRetries) continue;
         }
 
-        // Success! Update rate limits and return
-        this.updateRateLimit(providerName);
+        // Success!
         return {
           content,
           provider: providerName,
           qualityScore: qualityCheck.score,
-          consistencyScore: options.previousContent ? await this.checkConsistency(content, options.previousContent) : null,
+          readability: qualityCheck.readability || null,
+          consistencyScore: consistency ? consistency.score : null,
+          consistency: consistency && {
+            similarity: consistency.similarity,
+            driftThreshold: consistency.driftThreshold,
+            drifting: consistency.drifting
+          },
+          safety: safety && { audience: safety.audience, passes: true, findings: safety.findings, rejectedDrafts },
+          duplicates: duplicates && {
+            passes: duplicates.passes,
+            duplicatePassages: duplicates.duplicatePassages,
+            duplicateRatio: duplicates.duplicateRatio,
+            matches: duplicates.matches
+          },
+          usage: callUsage.summary(),
           timestamp: new Date().toISOString()
         };
 
       } catch (error) {
-        console.error(`Provider ${providerName} failed:`, error.message);
+        if (signal?.aborted) throw new Error('Generation cancelled');
+        if (error instanceof BudgetExceededError || error instanceof ContentSafetyError) throw error;
+
+        const kind = this.handleProviderError(providerName, error);
+        // Unexpected errors are usually bugs, so keep their stack
+        console.error(`Provider ${providerName} failed (${kind}):`, kind === 'unexpected' ? error : error.message);
+        onEvent('provider-failover', { provider: providerName, reason: 'error', errorKind: kind, error: error.message });
         lastError = error;
-        this.handleProviderError(providerName, error);
         continue;
       }
     }
 
     // All providers failed
-    throw new Error(`All AI providers failed. Last error: ${lastError?.message}`);
+    throw new Error(lastError
+      ? `All AI providers failed. Last error: ${lastError.message}`
+      : 'All AI providers failed. Every provider is rate limited');
   }
 
-  // Generate entire book with consistency across chapters
-  async generateBook(bookPrompt, chapterOutline) {
+  // Record a call's tokens and cost on the manager and the given trackers.
+  // Providers that don't report usage are estimated at ~4 characters per token.
+  recordUsage(providerName, prompt, response, trackers = []) {
+    const call = {
+      provider: providerName,
+      model: response.model || this.providers[providerName].model || providerName,
+      promptTokens: response.usage?.promptTokens ?? Math.ceil(prompt.length / 4),
+      completionTokens: response.usage?.completionTokens ?? Math.ceil(response.content.length / 4)
+    };
+    const fallbackPrice = this.registry.get(providerName)?.capabilities.costPer1kTokens;
+
+    this.usage.record(call, fallbackPrice);
+    for (const tracker of trackers.filter(Boolean)) tracker.record(call, fallbackPrice);
+  }
+
+  // Prompt tokens (~4 chars each) plus the completion budget, which providers
+  // count against tokens-per-minute limits
+  estimateRequestTokens(prompt, type) {
+    return Math.ceil(prompt.length / 4) + (type === 'chapter' ? 4000 : 2000);
+  }
+
+  // If every provider in the chain is rate limited, wait for the first one to
+  // free up (when that is soon enough) instead of failing straight away
+  async waitForCapacity(chain, estimatedTokens, signal) {
+    const checks = chain.map(name => this.rateLimiter.for(name).check(estimatedTokens));
+    if (checks.length === 0 || checks.some(check => check.allowed)) return;
+
+    const waitMs = Math.min(...checks.map(check => check.waitMs));
+    if (waitMs > this.maxRateLimitWaitMs) return;
+
+    console.log(`All providers rate limited, waiting ${waitMs}ms for capacity...`);
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, waitMs);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  // Generate entire book with consistency across chapters.
+  // options.signal cancels between chapters; options.onProgress receives per-chapter status
+  // and options.onEvent(type, data) receives chapter and provider events as they happen.
+  // options.budget (USD) stops generation cleanly once the book's spend reaches it.
+  // options.storyBible (and read-only options.seriesBible) are injected into every
+  // chapter prompt; entries extracted from each finished chapter are merged into
+  // the story bible, which is returned as book.storyBible. With options.bookId the
+  // book's old chapters leave the duplicate index and each new one joins it;
+  // options.authorId is the book's author, whose chapters matches may name.
+  // options.provider is tried first for every chapter (default: the default provider).
+  async generateBook(bookPrompt, chapterOutline, options = {}) {
+    const { signal, onProgress = () => {}, onEvent = () => {}, seriesBible = null, extractStoryBible = true, bookId = null, authorId, provider } = options;
+    let storyBible = options.storyBible || emptyBible();
+    const usageTracker = new UsageTracker({ maxCost: options.budget ?? null, prices: this.usage.prices });
+    const progress = chapterOutline.map((chapter, index) => ({
+      number: index + 1,
+      title: chapter.title,
+      status: 'pending'
+    }));
+    const reportProgress = (currentChapter) => onProgress({
+      totalChapters: chapterOutline.length,
+      completedChapters: progress.filter(ch => ['completed', 'failed'].includes(ch.status)).length,
+      currentChapter,
+      chapters: progress
+    });
+
     const book = {
       title: bookPrompt.title,
       chapters: [],
@@ -96,21 +321,56 @@ class AIProviderManager {
         qualityScores: []
       }
     };
+    const template = this.prompts.resolve('chapter', bookPrompt);
+    book.metadata.promptTemplate = { name: template.name, version: template.version };
 
     let previousContent = bookPrompt.context || '';
+    if (bookId) this.duplicateIndex.removeWhere(meta => meta.bookId === bookId);
+
+    reportProgress(null);
+
+    const stopForBudget = (index) => {
+      const skipped = progress.slice(index);
+      skipped.forEach(ch => { ch.status = 'skipped'; });
+      book.metadata.budgetExceeded = true;
+      book.metadata.skippedChapters = skipped.map(ch => ch.number);
+      reportProgress(null);
+      onEvent('budget-exceeded', { ...usageTracker.summary().budget, spent: usageTracker.totals.cost, skippedChapters: book.metadata.skippedChapters });
+    };
 
     for (let i = 0; i < chapterOutline.length; i++) {
+      if (signal?.aborted) {
+        book.metadata.cancelled = true;
+        break;
+      }
+      if (usageTracker.isOverBudget()) {
+        stopForBudget(i);
+        break;
+      }
+
       const chapter = chapterOutline[i];
       console.log(`Generating Chapter ${i + 1}: ${chapter.title}`);
+      progress[i].status = 'generating';
+      reportProgress(i + 1);
+      onEvent('chapter-started', { chapter: i + 1, title: chapter.title });
 
       try {
+        const bible = combineBibles(seriesBible, storyBible);
         const result = await this.generateContent(
-          this.buildChapterPrompt(bookPrompt, chapter, previousContent),
+          this.buildChapterPrompt(bookPrompt, chapter, previousContent, bible),
           {
             type: 'chapter',
+            provider,
             requireConsistency: true,
             previousContent: previousContent,
-            maxRetries: 3
+            consistencyReference: this.buildConsistencyReference(book.chapters, bible),
+            maxRetries: 3,
+            signal,
+            usageTracker,
+            audience: bookPrompt.audience,
+            duplicateKey: bookId && chapterKey(bookId, i + 1),
+            authorId,
+            onEvent: (type, data) => onEvent(type, { chapter: i + 1, ...data })
           }
         );
 
@@ -121,21 +381,57 @@ class AIProviderManager {
           provider: result.provider,
           qualityScore: result.qualityScore,
           consistencyScore: result.consistencyScore,
+          consistency: result.consistency,
+          readability: result.readability,
+          safety: result.safety,
+          duplicates: result.duplicates,
           wordCount: result.content.split(' ').length,
+          usage: result.usage,
           timestamp: result.timestamp
         };
 
         book.chapters.push(chapterData);
+        if (bookId) {
+          this.duplicateIndex.set(chapterKey(bookId, i + 1), result.content, {
+            bookId, bookTitle: bookPrompt.title, authorId, chapter: i + 1, chapterTitle: chapter.title
+          });
+        }
         book.metadata.providers.push(result.provider);
         book.metadata.qualityScores.push(result.qualityScore);
+        Object.assign(progress[i], { status: 'completed', provider: result.provider, wordCount: chapterData.wordCount });
+        reportProgress(i + 1);
+        onEvent('chapter-completed', {
+          chapter: i + 1,
+          title: chapter.title,
+          provider: result.provider,
+          wordCount: chapterData.wordCount,
+          qualityScore: result.qualityScore,
+          consistencyScore: result.consistencyScore,
+          driftingPassages: result.consistency?.drifting.length ?? 0,
+          safetyFlags: result.safety?.findings.length ?? 0,
+          duplicatePassages: result.duplicates?.duplicatePassages ?? 0,
+          cost: result.usage.cost
+        });
 
         // Update context for next chapter
         previousContent = this.buildContextFromChapters(book.chapters);
+        if (extractStoryBible) {
+          storyBible = await this.updateStoryBible(storyBible, chapterData, { signal, usageTracker, onEvent });
+        }
 
         // Brief pause to respect rate limits
         await this.sleep(1000);
 
       } catch (error) {
+        if (signal?.aborted) {
+          book.metadata.cancelled = true;
+          break;
+        }
+        if (error instanceof BudgetExceededError) {
+          stopForBudget(i);
+          break;
+        }
+
         console.error(`Failed to generate chapter ${i + 1}:`, error);
         
         // Add placeholder chapter to maintain structure
@@ -148,8 +444,12 @@ class AIProviderManager {
           consistencyScore: 0,
           wordCount: 0,
           timestamp: new Date().toISOString(),
+          safety: error instanceof ContentSafetyError ? { passes: false, findings: error.findings } : undefined,
           error: error.message
         });
+        Object.assign(progress[i], { status: 'failed', error: error.message });
+        reportProgress(i + 1);
+        onEvent('chapter-failed', { chapter: i + 1, title: chapter.title, error: error.message });
       }
     }
 
@@ -157,79 +457,396 @@ class AIProviderManager {
     book.metadata.totalWords = book.chapters.reduce((sum, ch) => sum + ch.wordCount, 0);
     book.metadata.averageQuality = book.metadata.qualityScores.reduce((sum, score) => sum + score, 0) / book.metadata.qualityScores.length;
     book.metadata.successfulChapters = book.chapters.filter(ch => !ch.error).length;
+    book.metadata.usage = usageTracker.summary();
+    book.storyBible = storyBible;
 
     return book;
   }
 
-  // Build chapter prompt with context
-  buildChapterPrompt(bookPrompt, chapter, previousContent) {
-    return `
-BOOK CONTEXT:
-Title: ${bookPrompt.title}
-Genre: ${bookPrompt.genre}
-Style: ${bookPrompt.style}
-Target Audience: ${bookPrompt.audience}
+  // Plan a book from a premise: returns { chapters: [{ number, title, outline,
+  // keyPoints, beats, length }], provider, usage }. Responses that aren't a
+  // usable outline count as quality rejections and are retried; if the last one
+  // still has the wrong chapter count, OutlineValidationError is thrown.
+  async generateOutline(request, options = {}) {
+    if (!request.premise) throw new Error('A premise is required to generate an outline');
+
+    const chapterCount = resolveChapterCount(request);
+    const length = chapterLength(request.targetWords, chapterCount);
+    const validate = content => {
+      try {
+        const chapters = parseOutline(content, { length });
+        return chapters.length === chapterCount
+          ? { passes: true, score: 1, reason: 'Passed' }
+          : { passes: false, score: 0.5, reason: `Expected ${chapterCount} chapters, got ${chapters.length}` };
+      } catch (error) {
+        return { passes: false, score: 0, reason: error.message };
+      }
+    };
+
+    const prompt = this.prompts.render('outline', outlinePromptVariables({ ...request, chapterCount }), request);
+    const result = await this.generateContent(prompt, {
+      type: 'outline',
+      requireConsistency: false,
+      maxRetries: 3,
+      validate,
+      ...options
+    });
+
+    const chapters = parseOutline(result.content, { length });
+    if (chapters.length !== chapterCount) {
+      throw new OutlineValidationError([`expected ${chapterCount} chapters, got ${chapters.length}`]);
+    }
+    return {
+      chapters,
+      provider: result.provider,
+      usage: result.usage,
+      timestamp: result.timestamp
+    };
+  }
+
+  // Merge characters, places, events and facts from a finished chapter into the
+  // story bible. Extraction problems are reported but never fail the chapter.
+  async updateStoryBible(storyBible, chapter, { signal, usageTracker, onEvent = () => {} } = {}) {
+    const validate = content => {
+      try {
+        parseExtraction(content);
+        return { passes: true, score: 1, reason: 'Passed' };
+      } catch (error) {
+        return { passes: false, score: 0, reason: error.message };
+      }
+    };
+
+    try {
+      const result = await this.generateContent(buildExtractionPrompt(chapter, storyBible), {
+        type: 'story-bible',
+        requireConsistency: false,
+        maxRetries: 2,
+        validate,
+        signal,
+        usageTracker
+      });
+      const { bible, added } = mergeExtracted(storyBible, parseExtraction(result.content), chapter.number);
+      onEvent('story-bible-updated', { chapter: chapter.number, added });
+      return bible;
+    } catch (error) {
+      if (signal?.aborted) return storyBible;
+      console.error(`Story bible extraction failed for chapter ${chapter.number}:`, error.message);
+      onEvent('story-bible-failed', { chapter: chapter.number, error: error.message });
+      return storyBible;
+    }
+  }
+
+  // One-paragraph recap of a finished book, given to later books in its series.
+  // Returns null (and emits 'summary-failed') when no provider produces one.
+  async summarizeBook(book, { signal, usageTracker, onEvent = () => {} } = {}) {
+    const validate = content => {
+      const length = content.trim().length;
+      return length >= 100 && length <= 2000
+        ? { passes: true, score: 1, reason: 'Passed' }
+        : { passes: false, score: 0, reason: `Summary is ${length} characters; expected 100-2000` };
+    };
+
+    try {
+      const result = await this.generateContent(buildSummaryPrompt(book), {
+        type: 'summary',
+        requireConsistency: false,
+        maxRetries: 2,
+        validate,
+        signal,
+        usageTracker
+      });
+      onEvent('summary-completed', { provider: result.provider });
+      return result.content.trim();
+    } catch (error) {
+      if (signal?.aborted) return null;
+      console.error(`Summary failed for "${book.title}":`, error.message);
+      onEvent('summary-failed', { error: error.message });
+      return null;
+    }
+  }
+
+  // Store-listing package for a stored book ({ title, metadata, chapters }): short and
+  // long blurbs from the blurb template, then keywords, BISAC categories, series
+  // tagline and author bio from the listing template. Every field is checked
+  // against the platform's limits (see listing.js); misses are retried with the
+  // problems as notes and a ListingValidationError is thrown if they persist.
+  // options: { platform, series, seriesContext, authorName, authorNotes, provider }.
+  async generateListing(book, options = {}) {
+    const { platform = 'kdp', series = null, seriesContext, authorName, authorNotes, provider, signal, onEvent = () => {} } = options;
+    const metadata = book.metadata || {};
+    const limits = PLATFORMS[platform];
+    const range = audienceRange(metadata.audience);
+    const usageTracker = new UsageTracker({ prices: this.usage.prices });
+    const selector = { genre: metadata.genre, audience: metadata.audience };
+    const shared = { type: 'blurb', provider, requireConsistency: false, maxRetries: 3, audience: metadata.audience, signal, usageTracker, onEvent };
+
+    const summary = metadata.summary || await this.summarizeBook(book, { signal, usageTracker, onEvent });
+    const variables = {
+      title: book.title,
+      genre: metadata.genre,
+      audience: metadata.audience || 'general',
+      premise: metadata.premise,
+      summary: summary || book.chapters.map(chapter => chapter.content.slice(0, 300)).join('\n').slice(0, 2000),
+      seriesContext
+    };
+
+    // Blurbs are prose; ask for words that land well inside the character limit
+    const blurb = async (kind) => {
+      const words = Math.round(limits[kind].max / (kind === 'shortBlurb' ? 9 : 16));
+      const check = content => validateBlurb(content, kind, platform);
+      const result = await this.generateContent(this.prompts.render('blurb', { ...variables, words }, selector), {
+        ...shared,
+        validate: content => {
+          const errors = check(content);
+          return errors.length === 0
+            ? { passes: true, score: 1, reason: 'Passed' }
+            : { passes: false, score: 0.5, reason: errors.join('; '), feedback: errors.map(error => `- ${error}`).join('\n') };
+        }
+      });
+      const errors = check(result.content);
+      if (errors.length > 0) throw new ListingValidationError(errors);
+      return { text: result.content.trim(), provider: result.provider };
+    };
+    const shortBlurb = await blurb('shortBlurb');
+    const longBlurb = await blurb('longBlurb');
+
+    const fieldOptions = { platform, inSeries: !!series, allowedCategories: range.categories };
+    const listingPrompt = this.prompts.render('listing', {
+      ...variables,
+      ageRange: range.ageRange && `${range.ageRange.min}-${range.ageRange.max}`,
+      seriesTitle: series?.title,
+      authorName,
+      authorNotes,
+      platform: limits.label,
+      limits: describeLimits(platform),
+      categories: Object.entries(range.categories).map(([code, label]) => `${code} ${label}`).join('\n'),
+      keywordCount: limits.keywords.count
+    }, selector);
+    const result = await this.generateContent(listingPrompt, {
+      ...shared,
+      type: 'listing',
+      validate: content => {
+        try {
+          parseListingFields(content, fieldOptions);
+          return { passes: true, score: 1, reason: 'Passed' };
+        } catch (error) {
+          const errors = error.errors || [error.message];
+          return { passes: false, score: 0, reason: errors.join('; '), feedback: errors.map(message => `- ${message}`).join('\n') };
+        }
+      }
+    });
+    const fields = parseListingFields(result.content, fieldOptions);
+
+    const template = name => {
+      const found = this.prompts.resolve(name, selector);
+      return { name: found.name, version: found.version };
+    };
+    return {
+      platform,
+      shortBlurb: shortBlurb.text,
+      longBlurb: longBlurb.text,
+      keywords: fields.keywords,
+      categories: fields.categories.map(code => ({ code, label: BISAC_CATEGORIES[code] })),
+      audience: range.audience,
+      ageRange: range.ageRange,
+      gradeRange: range.gradeRange,
+      seriesTagline: fields.seriesTagline,
+      authorBio: fields.authorBio,
+      summary,
+      providers: { shortBlurb: shortBlurb.provider, longBlurb: longBlurb.provider, fields: result.provider },
+      promptTemplates: { blurb: template('blurb'), listing: template('listing') },
+      usage: usageTracker.summary(),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  // Generate a picture book as spreads for a fixed page count (options.pageCount,
+  // default 32). Spreads over options.maxWordsPerPage, missing illustration briefs
+  // or hooks, or text above the audience's reading level are sent back with notes.
+  // Spread text goes through the safety filter; each spread carries its findings.
+  // Returns { layout, spreads, provider, readability, safety, usage }; throws
+  // PictureBookValidationError if the last draft still breaks the layout.
+  async generatePictureBook(bookPrompt, options = {}) {
+    const { pageCount, maxWordsPerPage = DEFAULT_MAX_WORDS_PER_PAGE, usageTracker, signal, onEvent } = options;
+    const layout = layoutFor(pageCount);
+    const audience = bookPrompt.audience || 'picture book';
+    // One passage per spread, so finding.passage is the spread number
+    const spreadText = spreads => spreads.map(spread => spread.text.replace(/\n\s*\n/g, '\n')).join('\n\n');
+    const moderate = content => {
+      try {
+        return this.safetyFilter.check(spreadText(parsePictureBook(content, { layout, maxWordsPerPage }).spreads), audience);
+      } catch (error) {
+        return this.safetyFilter.check(content, audience);
+      }
+    };
+    const validate = content => {
+      try {
+        const { spreads, issues } = parsePictureBook(content, { layout, maxWordsPerPage });
+        const readability = checkReadability(spreads.map(spread => spread.text).join('\n\n'), audience);
+        const allIssues = [...issues, ...readability.issues];
+        return {
+          passes: allIssues.length === 0,
+          score: issues.length === 0 ? readability.score : 0.5,
+          reason: allIssues.join('; ') || 'Passed',
+          feedback: [feedbackFor(issues, maxWordsPerPage), readability.feedback].filter(Boolean).join('\n') || null
+        };
+      } catch (error) {
+        return { passes: false, score: 0, reason: error.message, feedback: `- Fix: ${error.message}` };
+      }
+    };
+
+    const result = await this.generateContent(buildPictureBookPrompt({ ...bookPrompt, audience, layout, maxWordsPerPage }), {
+      type: 'picture-book',
+      requireConsistency: false,
+      maxRetries: 3,
+      validate,
+      moderate,
+      usageTracker,
+      signal,
+      onEvent
+    });
 
-PREVIOUS CONTEXT:
-${previousContent.slice(-1500)} // Last 1500 chars for context
+    const { spreads, issues } = parsePictureBook(result.content, { layout, maxWordsPerPage });
+    if (issues.length > 0) throw new PictureBookValidationError(issues);
+    spreads.forEach((spread, index) => {
+      const findings = result.safety.findings.filter(finding => finding.passage === index + 1);
+      if (findings.length > 0) spread.safety = { audience: result.safety.audience, findings };
+    });
+    return {
+      layout,
+      spreads,
+      issues,
+      provider: result.provider,
+      readability: checkReadability(spreads.map(spread => spread.text).join('\n\n'), audience),
+      safety: result.safety,
+      usage: result.usage,
+      timestamp: result.timestamp
+    };
+  }
 
-CHAPTER TO WRITE:
-Title: ${chapter.title}
-Outline: ${chapter.outline}
-Key Points: ${chapter.keyPoints?.join(', ') || 'None specified'}
+  // Rewrite one stored chapter following editor notes. context: { previousContent,
+  // consistencyReference, storyBible }. Returns the generateContent result.
+  async reviseChapter(bookPrompt, chapter, notes, context = {}, options = {}) {
+    return this.generateContent(this.buildRevisionPrompt(bookPrompt, chapter, notes, context), {
+      type: 'chapter',
+      requireConsistency: true,
+      previousContent: context.previousContent,
+      consistencyReference: context.consistencyReference,
+      audience: bookPrompt.audience,
+      maxRetries: 3,
+      ...options
+    });
+  }
 
-INSTRUCTIONS:
-Write a compelling ${chapter.length || '2000-3000'} word chapter that:
-1. Maintains consistency with the previous content
-2. Follows the chapter outline closely
-3. Matches the book's established tone and style
-4. Includes engaging storytelling elements
-5. Ends with a natural transition to the next chapter
+  buildRevisionPrompt(bookPrompt, chapter, notes, { previousContent = '', storyBible = null } = {}) {
+    return this.prompts.render('revision', {
+      ...this.bookPromptVariables(bookPrompt, storyBible),
+      previousContext: previousContent.slice(-1500),
+      chapterTitle: chapter.title,
+      currentText: chapter.content,
+      notes
+    }, bookPrompt);
+  }
 
-Write the chapter content now:
-`;
+  // Build chapter prompt with context from the chapter template for the book's
+  // genre and audience. Only the last 1500 characters of earlier chapters are sent.
+  buildChapterPrompt(bookPrompt, chapter, previousContent, storyBible = null) {
+    return this.prompts.render('chapter', {
+      ...this.bookPromptVariables(bookPrompt, storyBible),
+      premise: bookPrompt.premise,
+      previousContext: previousContent.slice(-1500),
+      chapterTitle: chapter.title,
+      chapterOutline: chapter.outline,
+      keyPoints: chapter.keyPoints,
+      beats: chapter.beats?.map((beat, index) => `${index + 1}. ${beat}`).join('\n'),
+      length: chapter.length || '2000-3000'
+    }, bookPrompt);
   }
 
-  // Quality validation
-  validateQuality(content) {
+  // Template variables shared by the chapter and revision prompts
+  bookPromptVariables(bookPrompt, storyBible) {
+    return {
+      title: bookPrompt.title,
+      genre: bookPrompt.genre,
+      style: bookPrompt.style,
+      audience: bookPrompt.audience,
+      seriesContext: bookPrompt.seriesContext,
+      storyBible: formatForPrompt(storyBible)
+    };
+  }
+
+  // Quality validation. With options.audience the text must also meet that
+  // audience's reading level (see readability.js); misses carry revision feedback.
+  validateQuality(content, options = {}) {
     const wordCount = content.split(' ').length;
     const score = Math.min(
       (wordCount / this.qualityThresholds.minLength) * 0.5 +
       (this.qualityThresholds.maxLength / Math.max(wordCount, this.qualityThresholds.maxLength)) * 0.3 +
-      this.calculateCoherenceScore(content) * 0.2,
+      this.calculateCoherenceScore(content, options.audience) * 0.2,
       1.0
     );
+    const readability = options.audience ? checkReadability(content, options.audience) : null;
 
+    const passesLength = score >= 0.6 && wordCount >= this.qualityThresholds.minLength;
     return {
-      passes: score >= 0.6 && wordCount >= this.qualityThresholds.minLength,
-      score: score,
-      reason: score < 0.6 ? 'Quality score too low' : wordCount < this.qualityThresholds.minLength ? 'Content too short' : 'Passed'
+      passes: passesLength && (!readability || readability.passes),
+      score: readability ? Math.min(score, readability.score) : score,
+      reason: score < 0.6 ? 'Quality score too low'
+        : wordCount < this.qualityThresholds.minLength ? 'Content too short'
+          : readability && !readability.passes ? readability.issues.join('; ')
+            : 'Passed',
+      readability: readability && {
+        audience: readability.audience,
+        passes: readability.passes,
+        fleschKincaidGrade: readability.metrics.fleschKincaidGrade,
+        averageSentenceLength: readability.metrics.averageSentenceLength,
+        difficultWordRatio: readability.metrics.difficultWordRatio,
+        target: readability.target,
+        issues: readability.issues
+      },
+      feedback: readability?.feedback || null
     };
   }
 
-  // Simple coherence scoring
-  calculateCoherenceScore(content) {
+  // Simple coherence scoring. Young audiences are credited for plain connectives
+  // ("then", "so") rather than "however" and "moreover".
+  calculateCoherenceScore(content, audience) {
     const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0);
     if (sentences.length < 3) return 0.3;
 
+    const simple = ['picture-book', 'early-reader'].includes(audience && resolveAudience(audience).name);
+    const transitions = simple
+      ? /\b(then|next|soon|after|but|so|finally|later)\b/i
+      : /\b(however|therefore|meanwhile|furthermore|consequently|moreover)\b/i;
+
     // Basic coherence indicators
-    const hasTransitions = /\b(however|therefore|meanwhile|furthermore|consequently|moreover)\b/gi.test(content);
+    const hasTransitions = transitions.test(content);
     const hasVariedSentences = new Set(sentences.map(s => s.length)).size > 2;
     const hasGoodStructure = content.includes('\n\n') || content.includes('\n');
 
     return (hasTransitions ? 0.4 : 0) + (hasVariedSentences ? 0.3 : 0) + (hasGoodStructure ? 0.3 : 0);
   }
 
-  // Cross-AI consistency checking
-  async checkConsistency(newContent, previousContent) {
-    // Simple consistency check - in production, could use embeddings
-    const newWords = new Set(newContent.toLowerCase().match(/\b\w+\b/g) || []);
-    const prevWords = new Set(previousContent.toLowerCase().match(/\b\w+\b/g) || []);
-    
-    const intersection = new Set([...newWords].filter(word => prevWords.has(word)));
-    const union = new Set([...newWords, ...prevWords]);
-    
-    return intersection.size / union.size; // Jaccard similarity
+  // Cross-AI consistency checking: embeds passages of the new content and the
+  // reference and reports which passages drift. An unavailable embedding backend
+  // leaves the content unscored rather than failing generation.
+  async checkConsistency(newContent, reference, options = {}) {
+    try {
+      return await this.consistencyScorer.score(newContent, reference, options);
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error('Consistency scoring failed:', error.message);
+      return null;
+    }
+  }
+
+  // Everything a new chapter must stay consistent with: the full text of the
+  // chapters written so far and the story bible. Empty before the first chapter.
+  buildConsistencyReference(chapters, storyBible) {
+    const written = chapters.filter(ch => !ch.error).map(ch => ch.content);
+    if (written.length === 0) return [];
+    const bible = formatForPrompt(storyBible, Infinity);
+    return bible ? [bible, ...written] : written;
   }
 
   // Build context from previous chapters
@@ -241,25 +858,26 @@ Write the chapter content now:
   }
 
   // Rate limiting
-  isRateLimited(provider) {
-    const limit = this.rateLimits.get(provider);
-    if (!limit) return false;
-    return Date.now() - limit.lastCall < limit.cooldown;
+  isRateLimited(provider, estimatedTokens = 0) {
+    return !this.rateLimiter.for(provider).check(estimatedTokens).allowed;
   }
 
-  updateRateLimit(provider) {
-    this.rateLimits.set(provider, {
-      lastCall: Date.now(),
-      cooldown: 2000 // 2 second cooldown
-    });
+  // Sync remaining capacity from the provider's rate limit headers
+  updateRateLimit(provider, headers = {}) {
+    this.rateLimiter.for(provider).recordSuccess(headers);
   }
 
+  // Bench the provider according to the error (Retry-After, backoff); returns
+  // the error kind: rate-limited, server, auth, validation or unexpected
+  // Only the 429 that benches a provider is reported, not the ones while it's benched
   handleProviderError(provider, error) {
-    // Increase cooldown on errors
-    this.rateLimits.set(provider, {
-      lastCall: Date.now(),
-      cooldown: 10000 // 10 second cooldown on error
-    });
+    const limiter = this.rateLimiter.for(provider);
+    const wasBlocked = limiter.status().blockReason === 'rate-limited';
+    const kind = limiter.recordFailure(error);
+    if (kind === 'rate-limited' && !wasBlocked) {
+      this.onProviderEvent('provider-rate-limited', { provider, retryInMs: limiter.status().blockedForMs, error: error.message });
+    }
+    return kind;
   }
 
   // Utility
@@ -272,82 +890,226 @@ Write the chapter content now:
     return Object.keys(this.providers).map(name => ({
       name,
       available: !this.isRateLimited(name),
-      lastUsed: this.rateLimits.get(name)?.lastCall || null
+      configured: this.registry.isConfigured(name),
+      capabilities: this.registry.get(name)?.capabilities || null,
+      rateLimit: this.rateLimiter.for(name).status(),
+      lastUsed: this.rateLimiter.for(name).lastCall
     }));
   }
 }
 
+// Error from a provider API call, carrying the HTTP status and response headers
+// so the rate limiter can tell throttling from bad requests
+class ProviderError extends Error {
+  constructor(message, { status = null, headers = {}, provider = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.headers = headers;
+    this.provider = provider;
+  }
+}
+
+// Providers may return plain text or { content, headers, model, usage }
+function normalizeResponse(response) {
+  return typeof response === 'string' ? { content: response, headers: {} } : { headers: {}, ...response };
+}
+
+// Lower-cased header map from a fetch Response
+function headersToObject(headers) {
+  const result = {};
+  headers?.forEach?.((value, key) => { result[key.toLowerCase()] = value; });
+  return result;
+}
+
+// Parse a provider response, raising ProviderError (with status and headers) on failure
+async function readProviderResponse(response, label) {
+  const headers = headersToObject(response.headers);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ProviderError(data.error?.message || `${label} API error (${response.status})`, {
+      status: response.status,
+      headers,
+      provider: label
+    });
+  }
+  return { data, headers };
+}
+
+// Token budget for a request, capped by what the provider supports
+function maxTokensFor(type, capabilities = {}) {
+  return Math.min(type === 'chapter' ? 4000 : 2000, capabilities.maxTokens || Infinity);
+}
+
 // Individual Provider Classes
 class OpenAIProvider {
-  async generate(prompt, type) {
-    // Implementation will use OpenAI API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+  constructor(options = {}) {
+    this.capabilities = options.capabilities || {};
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.model = options.model || 'gpt-4';
+    this.apiKey = options.apiKey ?? process.env.OPENAI_API_KEY;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.label = 'OpenAI';
+  }
+
+  async generate(prompt, type, options = {}) {
+    const requestHeaders = { 'Content-Type': 'application/json' };
+    if (this.apiKey) requestHeaders['Authorization'] = `Bearer ${this.apiKey}`;
+
+    const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
+      signal: options.signal,
+      headers: requestHeaders,
       body: JSON.stringify({
-        model: 'gpt-4',
+        model: this.model,
         messages: [{ role: 'user', content: prompt }],
-        max_tokens: type === 'chapter' ? 4000 : 2000,
+        max_tokens: maxTokensFor(type, this.capabilities),
         temperature: 0.7
       })
     });
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error?.message || 'OpenAI API error');
+    const { data, headers } = await readProviderResponse(response, this.label);
     
-    return data.choices[0].message.content;
+    return {
+      content: data.choices[0].message.content,
+      headers,
+      model: data.model || this.model,
+      usage: data.usage && { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens }
+    };
+  }
+}
+
+// Any OpenAI-compatible server (Ollama, LM Studio, vLLM, llama.cpp) at a configurable base URL
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      capabilities: options.capabilities,
+      baseUrl: options.baseUrl || process.env.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+      model: options.model || process.env.LOCAL_AI_MODEL || 'llama3',
+      apiKey: options.apiKey ?? process.env.LOCAL_AI_API_KEY ?? null,
+      fetch: options.fetch
+    });
+    this.label = 'Local endpoint';
   }
 }
 
 class ClaudeProvider {
-  async generate(prompt, type) {
+  constructor(options = {}) {
+    this.capabilities = options.capabilities || {};
+    this.model = 'claude-3-sonnet-20240229';
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async generate(prompt, type, options = {}) {
     // Implementation will use Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
+    const response = await this.fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'x-api-key': process.env.CLAUDE_API_KEY,
         'Content-Type': 'application/json',
         'anthropic-version': '2023-06-01'
       },
       body: JSON.stringify({
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: type === 'chapter' ? 4000 : 2000,
+        model: this.model,
+        max_tokens: maxTokensFor(type, this.capabilities),
         messages: [{ role: 'user', content: prompt }]
       })
     });
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error?.message || 'Claude API error');
+    const { data, headers } = await readProviderResponse(response, 'Claude');
     
-    return data.content[0].text;
+    return {
+      content: data.content[0].text,
+      headers,
+      model: data.model || this.model,
+      usage: data.usage && { promptTokens: data.usage.input_tokens, completionTokens: data.usage.output_tokens }
+    };
   }
 }
 
 class GeminiProvider {
-  async generate(prompt, type) {
+  constructor(options = {}) {
+    this.capabilities = options.capabilities || {};
+    this.model = 'gemini-pro';
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  async generate(prompt, type, options = {}) {
     // Implementation will use Google Gemini API
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${process.env.GEMINI_API_KEY}`, {
+    const response = await this.fetch(`https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${process.env.GEMINI_API_KEY}`, {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         contents: [{ parts: [{ text: prompt }] }],
         generationConfig: {
-          maxOutputTokens: type === 'chapter' ? 4000 : 2000,
+          maxOutputTokens: maxTokensFor(type, this.capabilities),
           temperature: 0.7
         }
       })
     });
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error?.message || 'Gemini API error');
+    const { data, headers } = await readProviderResponse(response, 'Gemini');
     
-    return data.candidates[0].content.parts[0].text;
+    const usage = data.usageMetadata;
+    return {
+      content: data.candidates[0].content.parts[0].text,
+      headers,
+      model: this.model,
+      usage: usage && { promptTokens: usage.promptTokenCount, completionTokens: usage.candidatesTokenCount }
+    };
   }
 }
 
-module.exports = { AIProviderManager };
+// Built-in providers. Costs are USD per 1k tokens.
+function createDefaultRegistry() {
+  return new ProviderRegistry()
+    .register('openai', options => new OpenAIProvider(options), {
+      maxTokens: 8192,
+      rateLimits: { requestsPerMinute: 500, tokensPerMinute: 40000 },
+      costPer1kTokens: { input: 0.03, output: 0.06 },
+      requiresApiKey: 'OPENAI_API_KEY'
+    })
+    .register('claude', options => new ClaudeProvider(options), {
+      maxTokens: 4096,
+      rateLimits: { requestsPerMinute: 50, tokensPerMinute: 40000 },
+      costPer1kTokens: { input: 0.003, output: 0.015 },
+      requiresApiKey: 'CLAUDE_API_KEY'
+    })
+    .register('gemini', options => new GeminiProvider(options), {
+      maxTokens: 8192,
+      rateLimits: { requestsPerMinute: 60, tokensPerMinute: 32000 },
+      costPer1kTokens: { input: 0.0005, output: 0.0015 },
+      requiresApiKey: 'GEMINI_API_KEY'
+    })
+    .register('local', options => new LocalProvider(options), {
+      maxTokens: 4096,
+      offline: true,
+      rateLimits: { requestsPerMinute: 600, tokensPerMinute: 1000000 }
+    })
+    .register('mock', options => new MockProvider(options), {
+      maxTokens: 4096,
+      offline: true,
+      rateLimits: { requestsPerMinute: 600, tokensPerMinute: 1000000 }
+    });
+}
+
+// Hosted providers by default; the local endpoint joins the chain when configured
+function defaultProviderNames() {
+  const names = ['openai', 'claude', 'gemini'];
+  if (process.env.LOCAL_AI_BASE_URL) names.push('local');
+  return names;
+}
+
+module.exports = {
+  AIProviderManager,
+  ProviderError,
+  OpenAIProvider,
+  ClaudeProvider,
+  GeminiProvider,
+  LocalProvider,
+  createDefaultRegistry
+};
@@ -0,0 +1,135 @@
+// File: auth.js
+// API authentication and ownership. Users call the API with a personal token
+// ("Authorization: Bearer <token>"); only a SHA-256 hash of each token is stored.
+// Tokens are 256 random bits, so a fast hash is enough and lets us look them up
+// directly. Roles: 'user' sees and edits their own books, 'reviewer' can also read
+// and sign off other authors' books under review (see workflow.js), 'admin' sees
+// everything plus provider and API key status.
+
+const crypto = require('crypto');
+
+const ROLES = ['user', 'reviewer', 'admin'];
+const TOKEN_PREFIX = 'bk_';
+// Write lastUsedAt at most this often per token
+const TOUCH_INTERVAL_MS = 60 * 1000;
+// ADMIN_TOKEN must be at least this long (generateToken makes 46 characters)
+const MIN_ADMIN_TOKEN_LENGTH = 32;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A new token; the plain value is returned to the user once and never stored
+function generateToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, tokenHash: hashToken(token), prefix: token.slice(0, TOKEN_PREFIX.length + 6) };
+}
+
+// Bearer header, X-API-Key header, or ?access_token= for EventSource streams,
+// which can't set headers
+function tokenFromRequest(req) {
+  const header = req.get('authorization');
+  if (header && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+  if (req.get('x-api-key')) return req.get('x-api-key').trim();
+  if (req.method === 'GET' && (req.get('accept') || '').includes('text/event-stream') && req.query.access_token) {
+    return String(req.query.access_token);
+  }
+  return null;
+}
+
+// Middleware: sets req.user from the request's token. Every route needs a user
+// except publicRoutes ("METHOD /path" relative to the mount point), which still
+// get req.user when a token is sent.
+function authenticate(storage, { publicRoutes = [] } = {}) {
+  return async (req, res, next) => {
+    try {
+      const token = tokenFromRequest(req);
+      const found = token ? await storage.findApiToken(hashToken(token)) : null;
+      if (token && !found) {
+        return res.status(401).json({ error: 'Invalid or revoked API token' });
+      }
+
+      req.user = found ? found.user : null;
+      if (!req.user && !publicRoutes.includes(`${req.method} ${req.path}`)) {
+        return res.status(401).json({ error: 'Authentication required: send Authorization: Bearer <token>' });
+      }
+
+      if (found && (!found.token.lastUsedAt || Date.now() - new Date(found.token.lastUsedAt).getTime() > TOUCH_INTERVAL_MS)) {
+        storage.touchApiToken(found.token.id).catch(error => console.error('Failed to record token use:', error.message));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Make sure the operator's ADMIN_TOKEN works: its user (ADMIN_EMAIL) is created or
+// promoted to admin and the token stored under its hash. This is the only way to
+// get the first admin, so nobody takes over a fresh instance by registering first.
+// Resolves to the admin user, or null when no token is configured.
+async function ensureBootstrapAdmin(storage, { token, email = 'admin@localhost', name = 'Admin' } = {}) {
+  if (!token) return null;
+  if (token.length < MIN_ADMIN_TOKEN_LENGTH) {
+    throw new Error(`ADMIN_TOKEN must be at least ${MIN_ADMIN_TOKEN_LENGTH} characters`);
+  }
+
+  const tokenHash = hashToken(token);
+  const found = await storage.findApiToken(tokenHash);
+  if (found) {
+    return isAdmin(found.user) ? found.user : storage.updateUser(found.user.id, { role: 'admin' });
+  }
+
+  let user = await storage.getUserByEmail(email.toLowerCase());
+  if (!user) user = await storage.createUser({ email: email.toLowerCase(), name, role: 'admin' });
+  else if (!isAdmin(user)) user = await storage.updateUser(user.id, { role: 'admin' });
+  await storage.createApiToken(user.id, { name: 'admin-token', tokenHash, prefix: token.slice(0, TOKEN_PREFIX.length + 6) });
+  return user;
+}
+
+function isAdmin(user) {
+  return user?.role === 'admin';
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+// Whether a user may see and change a record owned through ownerField
+function canAccess(user, record, ownerField = 'authorId') {
+  return isAdmin(user) || (!!user && record[ownerField] === user.id);
+}
+
+// User fields safe to return from the API
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, role: user.role || 'user', createdAt: user.createdAt };
+}
+
+// Token fields safe to return from the API (never the hash)
+function publicToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    prefix: token.prefix,
+    lastUsedAt: token.lastUsedAt || null,
+    revokedAt: token.revokedAt || null,
+    createdAt: token.createdAt
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashToken,
+  generateToken,
+  tokenFromRequest,
+  authenticate,
+  ensureBootstrapAdmin,
+  isAdmin,
+  requireAdmin,
+  canAccess,
+  publicUser,
+  publicToken
+};
@@ -0,0 +1,455 @@
+// File: batch.js
+// Batch generation from a manifest (JSON or YAML) listing many books. Each entry is
+// drafted through AIProviderManager, from its chapter list or from an outline made
+// from its premise, a few at a time, and written to disk and/or storage. Progress
+// is kept in batch-state.json in the output directory, so a run that was stopped
+// or had failures can be finished with --resume.
+//
+//   npm run batch -- books.yaml [--concurrency 2] [--out dir] [--storage]
+//     [--formats json,markdown,epub] [--provider name] [--only id,id] [--resume]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { AIProviderManager } = require('./ai-providers');
+const { JobQueue } = require('./job-queue');
+const { createStorage, saveGeneratedChapters, chapterFromGenerated, syncDuplicateIndex } = require('./storage');
+const { EpubExporter } = require('./epub-exporter');
+const { OutlineValidationError, normalizeOutline } = require('./outline');
+const { planTransition } = require('./workflow');
+
+const FORMATS = ['json', 'markdown', 'epub'];
+const BOOK_FIELDS = ['title', 'genre', 'style', 'audience', 'premise', 'chapters', 'chapterCount', 'targetWords', 'provider', 'budget'];
+const STATE_FILE = 'batch-state.json';
+const REPORT_FILE = 'batch-report.json';
+
+class BatchManifestError extends Error {
+  constructor(errors) {
+    super(`Invalid manifest: ${errors.join('; ')}`);
+    this.name = 'BatchManifestError';
+    this.errors = errors;
+  }
+}
+
+function slugify(title) {
+  return String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'book';
+}
+
+// Parse a manifest file; .yaml/.yml files are YAML, anything else JSON
+function loadManifest(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    return /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new BatchManifestError([`could not parse ${path.basename(filePath)}: ${error.message}`]);
+  }
+}
+
+// Validate a parsed manifest:
+//   { concurrency, output: { dir, storage, formats, owner, author }, defaults: {...}, books: [...] }
+// owner is the email of the user stored books belong to (required with storage);
+// author goes on EPUBs.
+// Each book takes title, genre, style, audience, premise, chapters (titles or outline
+// entries) or chapterCount/targetWords, provider and budget; defaults fill the gaps.
+// Problems with the manifest as a whole throw BatchManifestError; problems with one
+// book are listed in its errors and that book is skipped. providers are the names
+// a provider preference may use.
+function normalizeManifest(raw, { providers = [] } = {}) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.books) || raw.books.length === 0) {
+    throw new BatchManifestError(['books must be a non-empty list']);
+  }
+
+  const errors = [];
+  const output = raw.output || {};
+  const concurrency = raw.concurrency === undefined ? undefined : parseInt(raw.concurrency, 10);
+  if (concurrency !== undefined && !(concurrency > 0)) errors.push('concurrency must be a positive whole number');
+  const formats = output.formats === undefined ? undefined : [].concat(output.formats);
+  const unknownFormats = (formats || []).filter(format => !FORMATS.includes(format));
+  if (unknownFormats.length > 0) errors.push(`output formats must be among ${FORMATS.join(', ')}`);
+  if (output.storage && !output.owner) errors.push('output.owner (the email of the user stored books belong to) is required with output.storage');
+  if (errors.length > 0) throw new BatchManifestError(errors);
+
+  const defaults = raw.defaults || {};
+  const seen = new Set();
+  const books = raw.books.map((input, index) => {
+    const book = { ...pick(defaults, BOOK_FIELDS), ...pick(input || {}, BOOK_FIELDS) };
+    const id = slugify(input?.id || book.title || `book-${index + 1}`);
+    const bookErrors = [];
+
+    if (!book.title || typeof book.title !== 'string') bookErrors.push('title is required');
+    if (seen.has(id)) bookErrors.push(`id "${id}" is used by an earlier book`);
+    seen.add(id);
+
+    if (input?.chapters !== undefined) {
+      try {
+        book.chapters = normalizeOutline(input.chapters);
+      } catch (error) {
+        if (!(error instanceof OutlineValidationError)) throw error;
+        bookErrors.push(...error.errors);
+      }
+    } else {
+      delete book.chapters;
+      if (!book.premise) bookErrors.push('either chapters or a premise is required');
+    }
+    if (book.provider && !providers.includes(book.provider)) {
+      bookErrors.push(`provider "${book.provider}" is not enabled (enabled: ${providers.join(', ')})`);
+    }
+    if (book.budget !== undefined && !(typeof book.budget === 'number' && book.budget > 0)) {
+      bookErrors.push('budget must be a positive number of USD');
+    }
+
+    return {
+      id,
+      ...book,
+      genre: book.genre || 'General',
+      style: book.style || 'engaging',
+      audience: book.audience || 'general',
+      errors: bookErrors
+    };
+  });
+
+  return {
+    concurrency,
+    output: { dir: output.dir, storage: output.storage, formats, owner: output.owner, author: output.author },
+    books
+  };
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+}
+
+// Progress per book id, mirrored to batch-state.json with atomic writes
+class BatchState {
+  constructor(filePath, { resume = false } = {}) {
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+    this.data = { entries: {} };
+    if (resume && fs.existsSync(filePath)) {
+      this.data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  }
+
+  get(id) {
+    return this.data.entries[id] || null;
+  }
+
+  update(id, changes) {
+    this.data.entries[id] = { ...this.data.entries[id], ...changes };
+    return this.save();
+  }
+
+  save() {
+    const snapshot = JSON.stringify(this.data, null, 2);
+    this.writeChain = this.writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(`${this.filePath}.tmp`, snapshot);
+      await fs.promises.rename(`${this.filePath}.tmp`, this.filePath);
+    });
+    return this.writeChain;
+  }
+}
+
+function toMarkdown(book) {
+  return [
+    `# ${book.title}`,
+    ...book.chapters.map(chapter => `## Chapter ${chapter.number}: ${chapter.title}\n\n${chapter.content.trim()}`)
+  ].join('\n\n') + '\n';
+}
+
+// Write a generated book to <outDir>/<id>/; returns the paths written
+async function writeOutputs(entry, book, { outDir, formats, author }) {
+  const dir = path.join(outDir, entry.id);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const files = [];
+  const write = async (name, data) => {
+    await fs.promises.writeFile(path.join(dir, name), data);
+    files.push(path.join(dir, name));
+  };
+
+  if (formats.includes('json')) {
+    await write('book.json', JSON.stringify({ title: book.title, metadata: book.metadata, chapters: book.chapters, storyBible: book.storyBible }, null, 2));
+  }
+  if (formats.includes('markdown')) await write('book.md', toMarkdown(book));
+  if (formats.includes('epub')) {
+    const stored = { title: book.title, metadata: { genre: entry.genre }, chapters: book.chapters.filter(chapter => !chapter.error).map(chapterFromGenerated) };
+    if (stored.chapters.length > 0) await write('book.epub', new EpubExporter().export(stored, { author }));
+  }
+  return files;
+}
+
+// Generate every book that still needs it. options: { aiManager, storage (or null
+// for disk only), outDir, formats, concurrency, resume, only (ids), provider,
+// owner, author, log }. Resolves to the report that is also written to batch-report.json.
+async function runBatch(manifest, options) {
+  const { aiManager, storage = null, outDir, formats = ['json', 'markdown'], concurrency = 2, resume = false, only = null, log = console.log } = options;
+  const state = new BatchState(path.join(outDir, STATE_FILE), { resume });
+  const jobQueue = new JobQueue({ concurrency });
+  const startedAt = new Date();
+  if (storage && !options.owner) throw new BatchManifestError(['output.owner is required when books are stored']);
+  const owner = storage ? await storage.getUserByEmail(options.owner) : null;
+  if (storage && !owner) throw new BatchManifestError([`no user with email ${options.owner}`]);
+
+  if (storage) await syncDuplicateIndex(storage, aiManager.duplicateIndex);
+
+  const selected = manifest.books.filter(entry => !only || only.includes(entry.id));
+  const waiting = [];
+  for (const entry of selected) {
+    const previous = state.get(entry.id);
+    if (resume && previous?.status === 'completed') {
+      log(`[${entry.id}] already completed, skipping`);
+      continue;
+    }
+    if (entry.errors.length > 0) {
+      log(`[${entry.id}] skipped: ${entry.errors.join('; ')}`);
+      await state.update(entry.id, { title: entry.title, status: 'skipped', error: entry.errors.join('; '), finishedAt: new Date().toISOString() });
+      continue;
+    }
+
+    await state.update(entry.id, { title: entry.title, status: 'queued', error: null, attempts: (previous?.attempts || 0) + 1 });
+    const job = jobQueue.enqueue('batch-book', { id: entry.id }, (job, { signal }) => generateEntry(entry, { ...options, storage, state, signal, formats, outDir, ownerId: owner?.id, log }));
+    waiting.push(new Promise(resolve => {
+      const done = () => jobQueue.isFinished(job) && resolve({ entry, job });
+      jobQueue.subscribe(job.id, done);
+    }));
+  }
+
+  // Ctrl-C stops the run; books in progress are recorded as interrupted
+  const interrupt = () => {
+    log('Interrupted: stopping after the current chapters (Ctrl-C again to quit now)');
+    process.removeListener('SIGINT', interrupt);
+    for (const job of jobQueue.listJobs()) jobQueue.cancel(job.id);
+  };
+  process.on('SIGINT', interrupt);
+
+  for (const { entry, job } of await Promise.all(waiting)) {
+    if (job.status === 'cancelled') {
+      await state.update(entry.id, { status: 'skipped', error: 'Interrupted before it finished', finishedAt: job.finishedAt });
+    } else if (job.status === 'failed') {
+      await state.update(entry.id, { status: 'failed', error: job.error, finishedAt: job.finishedAt });
+    }
+  }
+  process.removeListener('SIGINT', interrupt);
+
+  const report = buildReport(manifest, state, { only, startedAt });
+  await fs.promises.writeFile(path.join(outDir, REPORT_FILE), JSON.stringify(report, null, 2));
+  return report;
+}
+
+// Draft one book and save it. Resolves to the entry's final state.
+async function generateEntry(entry, { aiManager, storage, state, signal, formats, outDir, author, provider: providerOverride, ownerId, log }) {
+  const provider = providerOverride || entry.provider;
+  const started = Date.now();
+  await state.update(entry.id, { status: 'running', startedAt: new Date(started).toISOString() });
+
+  // An outline made on an earlier attempt is reused, so a resumed book keeps its plan
+  let chapters = entry.chapters || state.get(entry.id)?.outline?.chapters;
+  let outline = null;
+  if (!chapters) {
+    log(`[${entry.id}] outlining from premise`);
+    const generated = await aiManager.generateOutline(entry, { provider, signal });
+    outline = { chapters: generated.chapters, provider: generated.provider, generatedAt: generated.timestamp, usage: generated.usage };
+    chapters = outline.chapters;
+    await state.update(entry.id, { outline });
+  }
+
+  // Resumed books reuse their stored record instead of adding another
+  const previousId = state.get(entry.id)?.bookId;
+  let record = storage && previousId ? await storage.getBook(previousId) : null;
+  if (storage && !record) {
+    record = await storage.createBook({
+      title: entry.title,
+      status: 'DRAFTING',
+      authorId: ownerId,
+      metadata: {
+        genre: entry.genre,
+        style: entry.style,
+        audience: entry.audience,
+        premise: entry.premise,
+        targetWords: entry.targetWords,
+        outline: entry.chapters ? undefined : state.get(entry.id).outline,
+        batch: { id: entry.id }
+      }
+    });
+    await state.update(entry.id, { bookId: record.id });
+  }
+
+  log(`[${entry.id}] drafting ${chapters.length} chapters${provider ? ` with ${provider} first` : ''}`);
+  const book = await aiManager.generateBook({
+    title: entry.title,
+    genre: entry.genre,
+    style: entry.style,
+    audience: entry.audience,
+    premise: entry.premise,
+    context: `This book titled "${entry.title}" is a ${entry.genre} work written in an ${entry.style} style for a ${entry.audience} audience.`
+  }, chapters, {
+    signal,
+    provider,
+    budget: entry.budget,
+    bookId: record?.id || `batch:${entry.id}`,
+    authorId: ownerId,
+    onEvent: (type, data) => {
+      if (type === 'chapter-completed') log(`[${entry.id}] chapter ${data.chapter} done`);
+      if (type === 'chapter-failed') log(`[${entry.id}] chapter ${data.chapter} failed: ${data.error}`);
+    }
+  });
+
+  const files = await writeOutputs(entry, book, { outDir, formats, author });
+  const failedChapters = book.chapters.filter(chapter => chapter.error).map(chapter => chapter.number);
+  if (record) {
+    await saveGeneratedChapters(storage, record.id, book);
+    await storage.saveStoryBible('book', record.id, book.storyBible);
+    const drafted = await storage.updateBook(record.id, {
+      metadata: { ...record.metadata, generation: book.metadata }
+    });
+    if (failedChapters.length === 0 && !book.metadata.budgetExceeded && !book.metadata.cancelled && drafted.status === 'DRAFTING') {
+      await storage.transitionBook(drafted.id, drafted.status, planTransition(drafted, 'IN_REVIEW'), { note: `Batch draft finished (${entry.id})`, automatic: true });
+    }
+  }
+
+  const status = book.metadata.cancelled || book.metadata.budgetExceeded ? 'skipped' : failedChapters.length > 0 ? 'failed' : 'completed';
+  const error = book.metadata.cancelled ? 'Interrupted before it finished'
+    : book.metadata.budgetExceeded ? `Budget reached; chapters ${book.metadata.skippedChapters.join(', ')} were not written`
+      : failedChapters.length > 0 ? `Chapters ${failedChapters.join(', ')} failed` : null;
+  const result = {
+    status,
+    error,
+    files,
+    chapters: chapters.length,
+    writtenChapters: book.chapters.length - failedChapters.length,
+    failedChapters,
+    words: book.metadata.totalWords,
+    providers: [...new Set(book.chapters.map(chapter => chapter.provider).filter(Boolean))],
+    cost: Math.round(((book.metadata.usage?.cost || 0) + (outline?.usage?.cost || 0)) * 1e6) / 1e6,
+    durationMs: Date.now() - started,
+    finishedAt: new Date().toISOString()
+  };
+  await state.update(entry.id, result);
+  log(`[${entry.id}] ${status}${error ? `: ${error}` : ''}`);
+  return result;
+}
+
+function buildReport(manifest, state, { only, startedAt }) {
+  const books = manifest.books
+    .filter(entry => !only || only.includes(entry.id))
+    .map(entry => ({ id: entry.id, title: entry.title, status: 'pending', ...state.get(entry.id) }));
+  const count = status => books.filter(book => book.status === status).length;
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    totals: {
+      books: books.length,
+      completed: count('completed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      pending: count('pending'),
+      words: books.reduce((sum, book) => sum + (book.words || 0), 0),
+      cost: Math.round(books.reduce((sum, book) => sum + (book.cost || 0), 0) * 1e6) / 1e6
+    },
+    books
+  };
+}
+
+function printReport(report, log = console.log) {
+  log('');
+  log('ID'.padEnd(28) + 'STATUS'.padEnd(11) + 'CHAPTERS'.padEnd(10) + 'WORDS'.padEnd(9) + 'COST'.padEnd(10) + 'NOTE');
+  for (const book of report.books) {
+    const chapters = book.chapters === undefined ? '-' : `${book.writtenChapters}/${book.chapters}`;
+    log(book.id.slice(0, 27).padEnd(28) + book.status.padEnd(11) + chapters.padEnd(10) +
+      String(book.words ?? '-').padEnd(9) + `$${(book.cost || 0).toFixed(4)}`.padEnd(10) + (book.error || ''));
+  }
+  const { totals } = report;
+  log('');
+  log(`${totals.completed}/${totals.books} completed, ${totals.failed} failed, ${totals.skipped} skipped, ` +
+    `${totals.words} words, $${totals.cost.toFixed(4)}`);
+  if (totals.failed + totals.skipped + totals.pending > 0) log('Run again with --resume to retry the rest.');
+}
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new BatchManifestError([`${arg} needs a value`]);
+      return argv[++i];
+    };
+    if (arg === '--concurrency') args.concurrency = parseInt(value(), 10);
+    else if (arg === '--out') args.out = value();
+    else if (arg === '--formats') args.formats = value().split(',').map(format => format.trim());
+    else if (arg === '--provider') args.provider = value();
+    else if (arg === '--only') args.only = value().split(',').map(id => id.trim());
+    else if (arg === '--storage') args.storage = true;
+    else if (arg === '--no-storage') args.storage = false;
+    else if (arg === '--resume') args.resume = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new BatchManifestError([`unknown option ${arg}`]);
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.positional.length !== 1) {
+    console.log('Usage: npm run batch -- <manifest.json|yaml> [--concurrency N] [--out dir] [--storage]');
+    console.log('         [--formats json,markdown,epub] [--provider name] [--only id,id] [--resume]');
+    return args.help ? 0 : 2;
+  }
+
+  const manifestPath = path.resolve(args.positional[0]);
+  const aiManager = new AIProviderManager();
+  const manifest = normalizeManifest(loadManifest(manifestPath), { providers: aiManager.failoverChain });
+  if (args.provider && !aiManager.failoverChain.includes(args.provider)) {
+    throw new BatchManifestError([`provider "${args.provider}" is not enabled (enabled: ${aiManager.failoverChain.join(', ')})`]);
+  }
+  const concurrency = args.concurrency ?? manifest.concurrency ?? 2;
+  if (!(concurrency > 0)) throw new BatchManifestError(['--concurrency must be a positive whole number']);
+  const formats = args.formats || manifest.output.formats || ['json', 'markdown'];
+  if (formats.some(format => !FORMATS.includes(format))) throw new BatchManifestError([`formats must be among ${FORMATS.join(', ')}`]);
+
+  const manifestDir = path.dirname(manifestPath);
+  const outDir = path.resolve(manifestDir, args.out || manifest.output.dir || `${path.basename(manifestPath).replace(/\.[^.]+$/, '')}-output`);
+  const useStorage = args.storage ?? manifest.output.storage;
+  if (useStorage && !manifest.output.owner) {
+    throw new BatchManifestError(['--storage needs output.owner in the manifest: the email of the user stored books belong to']);
+  }
+  const storage = useStorage ? createStorage() : null;
+
+  console.log(`📚 ${manifest.books.length} books from ${path.basename(manifestPath)} -> ${outDir}${storage ? ' and storage' : ''} ` +
+    `(${concurrency} at a time, providers: ${aiManager.failoverChain.join(', ')})`);
+  const report = await runBatch(manifest, {
+    aiManager,
+    storage,
+    outDir,
+    formats,
+    concurrency,
+    resume: !!args.resume,
+    only: args.only || null,
+    provider: args.provider,
+    owner: manifest.output.owner,
+    author: manifest.output.author
+  });
+  printReport(report);
+  console.log(`Report: ${path.join(outDir, REPORT_FILE)}`);
+  await storage?.disconnect?.();
+  return report.totals.completed === report.totals.books ? 0 : 1;
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(error instanceof BatchManifestError ? error.message : error);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = {
+  FORMATS,
+  BatchManifestError,
+  loadManifest,
+  normalizeManifest,
+  runBatch,
+  printReport
+};
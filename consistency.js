@@ -0,0 +1,234 @@
+// File: consistency.js
+// Semantic consistency scoring: embeds passages of new content and of the book so
+// far, scores how closely each new passage relates to what came before, and
+// reports the passages that drift. Embedding backends are pluggable; the local
+// ones (hashed, tfidf) need no network access.
+
+const crypto = require('crypto');
+
+const STOP_WORDS = new Set(('a an and are as at be but by for from had has have he her his i if in into is it its ' +
+  'of on or our she so that the their them then there they this to was we were what when which who will with ' +
+  'you your not no up out all just than too very can did do does said').split(' '));
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z][a-z']+/g) || [])
+    .map(word => word.replace(/'s$/, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// Words plus adjacent-word pairs, so "old barn" and "barn" both count
+function features(text) {
+  const words = tokenize(text);
+  const pairs = words.slice(1).map((word, index) => `${words[index]} ${word}`);
+  return [...words, ...pairs];
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length === 0 ? vector : vector.map(value => value / length);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+function termCounts(text) {
+  const counts = new Map();
+  for (const feature of features(text)) counts.set(feature, (counts.get(feature) || 0) + 1);
+  return counts;
+}
+
+// Feature hashing into a fixed number of dimensions with sublinear term frequency
+class HashedEmbedder {
+  constructor(options = {}) {
+    this.name = 'hashed';
+    this.dimensions = options.dimensions || 1024;
+  }
+
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(this.dimensions).fill(0);
+      for (const [feature, count] of termCounts(text)) {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const sign = hash[4] & 1 ? 1 : -1;
+        vector[hash.readUInt32LE(0) % this.dimensions] += sign * (1 + Math.log(count));
+      }
+      return normalize(vector);
+    });
+  }
+}
+
+// TF-IDF over the texts in each call: words common to every passage carry little weight
+class TfidfEmbedder {
+  constructor() {
+    this.name = 'tfidf';
+  }
+
+  async embed(texts) {
+    const counts = texts.map(termCounts);
+    const documentFrequency = new Map();
+    for (const termMap of counts) {
+      for (const term of termMap.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+
+    const vocabulary = [...documentFrequency.keys()];
+    const index = new Map(vocabulary.map((term, i) => [term, i]));
+    return counts.map(termMap => {
+      const vector = new Array(vocabulary.length).fill(0);
+      for (const [term, count] of termMap) {
+        const idf = Math.log((1 + texts.length) / (1 + documentFrequency.get(term))) + 1;
+        vector[index.get(term)] = (1 + Math.log(count)) * idf;
+      }
+      return normalize(vector);
+    });
+  }
+}
+
+// OpenAI-compatible /embeddings endpoint (OpenAI itself or a local server)
+class OpenAIEmbedder {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = options.baseUrl || process.env.EMBEDDINGS_BASE_URL || 'https://api.openai.com/v1';
+    this.model = options.model || process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small';
+    this.apiKey = options.apiKey || process.env.EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY;
+  }
+
+  async embed(texts, options = {}) {
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      signal: options.signal,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ model: this.model, input: texts })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error?.message || `Embeddings API error (${response.status})`);
+    }
+    return data.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+}
+
+// Typical similarity of on-topic passages differs by backend, so each has its own
+// default threshold below which a passage counts as drifting
+const EMBEDDERS = {
+  hashed: { create: options => new HashedEmbedder(options), driftThreshold: 0.12 },
+  tfidf: { create: options => new TfidfEmbedder(options), driftThreshold: 0.08 },
+  openai: { create: options => new OpenAIEmbedder(options), driftThreshold: 0.3 }
+};
+
+// Split text into passages of about `size` words, keeping paragraphs together
+function splitPassages(text, size = 120) {
+  const paragraphs = String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => paragraph && !/^#+\s/.test(paragraph));
+
+  const passages = [];
+  let current = [];
+  let words = 0;
+  for (const paragraph of paragraphs) {
+    current.push(paragraph);
+    words += paragraph.split(/\s+/).length;
+    if (words >= size) {
+      passages.push(current.join('\n\n'));
+      current = [];
+      words = 0;
+    }
+  }
+  if (current.length > 0) {
+    if (passages.length > 0 && words < size / 3) passages[passages.length - 1] += `\n\n${current.join('\n\n')}`;
+    else passages.push(current.join('\n\n'));
+  }
+  return passages;
+}
+
+function excerpt(text, length = 160) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 3)}...` : flat;
+}
+
+class ConsistencyScorer {
+  // options.embedder: backend name (CONSISTENCY_EMBEDDER, default hashed) or an
+  // object with embed(texts); options.driftThreshold overrides the backend default
+  constructor(options = {}) {
+    const embedder = options.embedder || process.env.CONSISTENCY_EMBEDDER || 'hashed';
+    if (typeof embedder === 'string') {
+      if (!EMBEDDERS[embedder]) {
+        throw new Error(`Unknown embedding backend: ${embedder}. Available: ${Object.keys(EMBEDDERS).join(', ')}`);
+      }
+      this.embedder = EMBEDDERS[embedder].create(options.embedderOptions);
+    } else {
+      this.embedder = embedder;
+    }
+
+    const envThreshold = parseFloat(process.env.CONSISTENCY_DRIFT_THRESHOLD);
+    this.driftThreshold = options.driftThreshold
+      ?? (Number.isNaN(envThreshold) ? null : envThreshold)
+      ?? EMBEDDERS[this.embedder.name]?.driftThreshold
+      ?? 0.2;
+    // Share of passages allowed to drift before the content fails the check
+    this.maxDriftRatio = options.maxDriftRatio ?? 0.34;
+    this.passageSize = options.passageSize || 120;
+  }
+
+  // Compare new content with reference text (a string or a list of texts such as
+  // earlier chapters and the story bible). Each new passage is scored by its best
+  // match among the reference passages.
+  async score(content, reference, options = {}) {
+    const passages = splitPassages(content, this.passageSize);
+    const referencePassages = [].concat(reference || []).flatMap(text => splitPassages(text, this.passageSize));
+    if (passages.length === 0 || referencePassages.length === 0) {
+      return { score: 1, passes: true, driftThreshold: this.driftThreshold, passages: [], drifting: [] };
+    }
+
+    const vectors = await this.embedder.embed([...referencePassages, ...passages], options);
+    const referenceVectors = vectors.slice(0, referencePassages.length);
+    const scored = passages.map((text, index) => {
+      const vector = vectors[referencePassages.length + index];
+      const similarities = referenceVectors.map(ref => cosine(vector, ref));
+      const best = Math.max(...similarities);
+      return {
+        index,
+        similarity: Math.round(best * 1000) / 1000,
+        closestReference: similarities.indexOf(best),
+        excerpt: excerpt(text)
+      };
+    });
+
+    const drifting = scored.filter(passage => passage.similarity < this.driftThreshold);
+    const similarity = scored.reduce((sum, passage) => sum + passage.similarity, 0) / scored.length;
+    const driftRatio = drifting.length / scored.length;
+
+    return {
+      // Share of passages that stay close to the reference
+      score: Math.round((1 - driftRatio) * 1000) / 1000,
+      passes: driftRatio <= this.maxDriftRatio,
+      similarity: Math.round(similarity * 1000) / 1000,
+      driftThreshold: this.driftThreshold,
+      passages: scored,
+      drifting
+    };
+  }
+}
+
+module.exports = {
+  ConsistencyScorer,
+  HashedEmbedder,
+  TfidfEmbedder,
+  OpenAIEmbedder,
+  EMBEDDERS,
+  splitPassages,
+  cosine
+};
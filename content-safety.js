@@ -0,0 +1,217 @@
+// File: content-safety.js
+// Children's-content moderation for generated text. Each category has a local
+// word list where every term carries a weight; a passage (paragraph) offends a
+// category once its matched weights add up to 1, so one strong term ("blood") is
+// enough but a single mild one ("ghost") is not. Rule sets per audience decide
+// whether an offending passage rejects the draft, is only flagged, or is allowed.
+
+const fs = require('fs');
+const { resolveAudience } = require('./readability');
+
+const ACTIONS = ['reject', 'flag', 'allow'];
+
+// term: weight. Terms are matched as whole words, case-insensitively, unless
+// the category is caseSensitive (brand names, so "amazon" the river is fine).
+const CATEGORIES = {
+  violence: {
+    label: 'violence',
+    guidance: 'Resolve conflict without anyone being hurt; no weapons, fighting or injuries.',
+    terms: {
+      kill: 1, killed: 1, killing: 1, murder: 1, murdered: 1, blood: 1, bloody: 1, stab: 1, stabbed: 1,
+      gun: 1, guns: 1, shoot: 1, shooting: 1, corpse: 1, 'dead body': 1, torture: 1, tortured: 1,
+      strangle: 1, strangled: 1, massacre: 1, slaughter: 1, behead: 1, wounded: 0.6, weapon: 0.6,
+      punch: 0.4, punched: 0.4, kick: 0.3, kicked: 0.3, fight: 0.3, fought: 0.3, attack: 0.4, attacked: 0.4,
+      sword: 0.4, knife: 0.5, battle: 0.3, smash: 0.3, beat: 0.2
+    }
+  },
+  frightening: {
+    label: 'frightening imagery',
+    guidance: 'Keep the mood gentle: a problem to solve, not a threat. No monsters, ghosts, screaming or lurking danger.',
+    terms: {
+      demon: 1, demons: 1, 'blood-curdling': 1, horror: 1, terrifying: 0.7, terrified: 0.6, nightmare: 0.5,
+      monster: 0.5, monsters: 0.5, ghost: 0.4, ghosts: 0.4, haunted: 0.5, skull: 0.5, skeleton: 0.5,
+      scream: 0.4, screamed: 0.4, screaming: 0.4, creepy: 0.4, lurking: 0.5, shadowy: 0.3, darkness: 0.3,
+      trapped: 0.3, 'eyes glowing': 0.5, claws: 0.3, fangs: 0.4, abandoned: 0.3, lost: 0.1
+    }
+  },
+  profanity: {
+    label: 'profanity',
+    guidance: 'Use no swear words or insults; characters disagree kindly.',
+    terms: {
+      fuck: 1, fucking: 1, shit: 1, bitch: 1, bastard: 1, ass: 1, asshole: 1, piss: 1, pissed: 1, damn: 1,
+      hell: 1, crap: 1, goddamn: 1, stupid: 0.5, idiot: 0.5, dumb: 0.5, 'shut up': 0.5, loser: 0.5
+    }
+  },
+  'unsafe-behavior': {
+    label: 'unsafe behavior',
+    guidance: 'Don\'t show children doing things they shouldn\'t copy; if a risk appears, a grown-up handles it safely.',
+    terms: {
+      'played with matches': 1, 'playing with matches': 1, 'lit a fire': 0.6, 'stranger\'s car': 1,
+      'went with a stranger': 1, 'took pills': 1, 'swallowed pills': 1, cigarette: 1, cigarettes: 1, smoked: 0.6,
+      beer: 1, wine: 0.6, vodka: 1, whiskey: 1, drunk: 1, 'ran into the road': 1, 'ran into the street': 1,
+      'without looking both ways': 1, 'climbed out the window': 1, 'on the roof': 0.5, 'swam alone': 1,
+      'touched the stove': 1, 'plugged in': 0.3, 'ran away from home': 0.6, 'didn\'t tell anyone': 0.4, 'kept it a secret': 0.3
+    }
+  },
+  brands: {
+    label: 'brand names',
+    guidance: 'Use generic names instead of brands ("a fizzy drink", "a tablet", "a burger shop").',
+    caseSensitive: true,
+    terms: {
+      'Coca-Cola': 1, Coke: 1, Pepsi: 1, 'McDonald\'s': 1, 'Burger King': 1, Starbucks: 1, Disney: 1,
+      Nike: 1, Adidas: 1, iPhone: 1, iPad: 1, Lego: 1, LEGO: 1, Barbie: 1, Nintendo: 1, PlayStation: 1,
+      Xbox: 1, YouTube: 1, TikTok: 1, Instagram: 1, Google: 1, Amazon: 1, Walmart: 1, Oreo: 1, Oreos: 1,
+      Skittles: 1, Doritos: 1, Netflix: 1, Minecraft: 1, Fortnite: 1
+    }
+  }
+};
+
+// Action per category for each reading-level audience (see readability.js)
+const DEFAULT_RULES = {
+  'picture-book': { violence: 'reject', frightening: 'reject', profanity: 'reject', 'unsafe-behavior': 'reject', brands: 'reject' },
+  'early-reader': { violence: 'reject', frightening: 'reject', profanity: 'reject', 'unsafe-behavior': 'reject', brands: 'reject' },
+  children: { violence: 'reject', frightening: 'flag', profanity: 'reject', 'unsafe-behavior': 'reject', brands: 'flag' },
+  'young-adult': { violence: 'flag', frightening: 'allow', profanity: 'flag', 'unsafe-behavior': 'flag', brands: 'allow' },
+  general: { violence: 'allow', frightening: 'allow', profanity: 'allow', 'unsafe-behavior': 'allow', brands: 'allow' }
+};
+
+class ContentSafetyError extends Error {
+  constructor(findings) {
+    const categories = [...new Set(findings.map(finding => finding.category))];
+    super(`Content rejected by the safety filter: ${categories.join(', ')}`);
+    this.name = 'ContentSafetyError';
+    this.findings = findings;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Safety config from SAFETY_RULES_FILE: { rules: { audience: { category: action } },
+// terms: { category: { term: weight } } }. Missing file setting means defaults only.
+function loadSafetyConfig(filePath = process.env.SAFETY_RULES_FILE) {
+  if (!filePath) return {};
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load safety rules from ${filePath}: ${error.message}`);
+  }
+}
+
+// Checks text against per-audience rule sets. config overrides actions and adds
+// terms (see loadSafetyConfig); unknown categories or actions are errors.
+class ContentSafetyFilter {
+  constructor(config = {}) {
+    const errors = [];
+    this.rules = {};
+    for (const [audience, defaults] of Object.entries(DEFAULT_RULES)) {
+      this.rules[audience] = { ...defaults, ...config.rules?.[audience] };
+    }
+    for (const [audience, rules] of Object.entries(config.rules || {})) {
+      if (!DEFAULT_RULES[audience]) errors.push(`unknown audience "${audience}"`);
+      for (const [category, action] of Object.entries(rules)) {
+        if (!CATEGORIES[category]) errors.push(`unknown category "${category}"`);
+        if (!ACTIONS.includes(action)) errors.push(`${audience}.${category} must be one of ${ACTIONS.join(', ')}`);
+      }
+    }
+    for (const category of Object.keys(config.terms || {})) {
+      if (!CATEGORIES[category]) errors.push(`unknown category "${category}"`);
+    }
+    if (errors.length > 0) throw new Error(`Invalid safety rules: ${errors.join('; ')}`);
+
+    this.matchers = Object.entries(CATEGORIES).map(([name, category]) => ({
+      name,
+      terms: Object.entries({ ...category.terms, ...config.terms?.[name] }).map(([term, weight]) => ({
+        term,
+        weight,
+        pattern: new RegExp(`(?<![\\w'-])${escapeRegExp(term)}(?![\\w'-])`, category.caseSensitive ? 'g' : 'gi')
+      }))
+    }));
+  }
+
+  rulesFor(audience) {
+    const profile = resolveAudience(audience);
+    return { audience: profile.name, label: profile.label, rules: this.rules[profile.name] };
+  }
+
+  // Check text for an audience. Returns { passes, audience, findings, feedback }:
+  // findings list each offending passage ({ category, action, terms, score, passage,
+  // excerpt }); passes is false when any finding rejects, and feedback is a
+  // corrective instruction for the regeneration prompt.
+  check(text, audience) {
+    const { audience: name, label, rules } = this.rulesFor(audience);
+    const passages = String(text).split(/\n\s*\n/);
+    const findings = [];
+
+    for (const { name: category, terms } of this.matchers) {
+      const action = rules[category];
+      if (action === 'allow') continue;
+
+      passages.forEach((passage, index) => {
+        const matched = [];
+        let score = 0;
+        let firstMatch = passage.length;
+        for (const { term, weight, pattern } of terms) {
+          const matches = [...passage.matchAll(pattern)];
+          if (matches.length === 0) continue;
+          matched.push(term);
+          score += weight * matches.length;
+          firstMatch = Math.min(firstMatch, matches[0].index);
+        }
+        if (score < 1) return;
+
+        findings.push({
+          category,
+          action,
+          terms: matched,
+          score: Math.round(score * 100) / 100,
+          passage: index + 1,
+          excerpt: sentenceAt(passage, firstMatch)
+        });
+      });
+    }
+
+    const rejected = findings.filter(finding => finding.action === 'reject');
+    return {
+      passes: rejected.length === 0,
+      audience: name,
+      findings,
+      feedback: rejected.length > 0 ? feedbackFor(rejected, label) : null
+    };
+  }
+}
+
+// The sentence containing a character offset, trimmed to 160 characters
+function sentenceAt(passage, index) {
+  const start = Math.max(0, ...['. ', '! ', '? ', '\n'].map(end => {
+    const found = passage.lastIndexOf(end, index - 1);
+    return found === -1 ? 0 : found + end.length;
+  }));
+  const end = passage.slice(index).search(/[.!?](\s|$)/);
+  return passage.slice(start, end === -1 ? undefined : index + end + 1).trim().slice(0, 160);
+}
+
+function feedbackFor(findings, label) {
+  const byCategory = new Map();
+  for (const finding of findings) {
+    if (!byCategory.has(finding.category)) byCategory.set(finding.category, []);
+    byCategory.get(finding.category).push(finding);
+  }
+
+  const lines = [`The draft is not suitable for a ${label} audience.`];
+  for (const [category, list] of byCategory) {
+    const terms = [...new Set(list.flatMap(finding => finding.terms))];
+    lines.push(`- Remove ${CATEGORIES[category].label} (${terms.join(', ')}) as in: "${list[0].excerpt}" ${CATEGORIES[category].guidance}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  ACTIONS,
+  CATEGORIES,
+  DEFAULT_RULES,
+  ContentSafetyError,
+  ContentSafetyFilter,
+  loadSafetyConfig
+};
@@ -0,0 +1,103 @@
+// File: cost-tracker.js
+// Token usage and cost accounting for provider calls, with optional budget caps
+
+// USD per 1k tokens. Model names match by longest prefix, so dated
+// variants (gpt-4-0613) use their family price.
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-4o': { input: 0.005, output: 0.015 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+  'claude-3-opus': { input: 0.015, output: 0.075 },
+  'claude-3-sonnet': { input: 0.003, output: 0.015 },
+  'claude-3-haiku': { input: 0.00025, output: 0.00125 },
+  'gemini-pro': { input: 0.0005, output: 0.0015 },
+  'mock': { input: 0, output: 0 }
+};
+
+class BudgetExceededError extends Error {
+  constructor(spent, maxCost) {
+    super(`Budget of $${maxCost.toFixed(2)} reached ($${spent.toFixed(4)} spent)`);
+    this.name = 'BudgetExceededError';
+    this.spent = spent;
+    this.maxCost = maxCost;
+  }
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.calls++;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.promptTokens + entry.completionTokens;
+  totals.cost = roundCost(totals.cost + entry.cost);
+}
+
+// Price for a model: exact or longest-prefix match in the table, else the fallback
+function priceFor(model, prices = MODEL_PRICES, fallback = null) {
+  if (model && prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter(name => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : fallback || { input: 0, output: 0 };
+}
+
+class UsageTracker {
+  // options.maxCost caps spending (USD); options.prices overrides the price table
+  constructor(options = {}) {
+    this.maxCost = options.maxCost ?? null;
+    this.prices = { ...MODEL_PRICES, ...options.prices };
+    this.totals = emptyTotals();
+    this.byProvider = {};
+    this.byModel = {};
+  }
+
+  // Record one provider call. fallbackPrice is used for models missing from the table.
+  record({ provider, model, promptTokens = 0, completionTokens = 0 }, fallbackPrice = null) {
+    const price = priceFor(model, this.prices, fallbackPrice);
+    const entry = {
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      cost: roundCost((promptTokens / 1000) * price.input + (completionTokens / 1000) * price.output)
+    };
+
+    addTo(this.totals, entry);
+    addTo(this.byProvider[provider] ||= emptyTotals(), entry);
+    addTo(this.byModel[model || 'unknown'] ||= emptyTotals(), entry);
+
+    return entry;
+  }
+
+  isOverBudget() {
+    return this.maxCost !== null && this.totals.cost >= this.maxCost;
+  }
+
+  assertWithinBudget() {
+    if (this.isOverBudget()) throw new BudgetExceededError(this.totals.cost, this.maxCost);
+  }
+
+  summary() {
+    return {
+      ...this.totals,
+      byProvider: this.byProvider,
+      byModel: this.byModel,
+      budget: this.maxCost === null ? null : {
+        maxCost: this.maxCost,
+        remaining: roundCost(Math.max(0, this.maxCost - this.totals.cost)),
+        exceeded: this.isOverBudget()
+      }
+    };
+  }
+}
+
+module.exports = { UsageTracker, BudgetExceededError, MODEL_PRICES, priceFor };
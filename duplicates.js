@@ -0,0 +1,312 @@
+// File: duplicates.js
+// Near-duplicate passage detection across the library. Chapters are split into
+// passages (paragraphs, short ones merged), each passage becomes a set of word
+// shingles summarized by a MinHash signature, and locality-sensitive hashing over
+// signature bands finds candidate passages without comparing every pair. The
+// similarity reported is the MinHash estimate of shingle Jaccard similarity.
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  shingleSize: 5,
+  numHashes: 64,
+  // 16 bands of 4 rows: pairs around 0.5 similarity or above become candidates
+  bands: 16,
+  threshold: 0.5,
+  minPassageWords: 25,
+  // A chapter fails the quality gate once this share of its passages are duplicates
+  maxDuplicateRatio: 0
+};
+
+// Seeded PRNG (mulberry32) so signatures are stable across restarts
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+}
+
+// FNV-1a over a string
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finalizer: one independent hash function per seed
+function mix(value, seed) {
+  let h = (value ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+function words(text) {
+  return String(text).toLowerCase().match(/[a-z0-9][a-z0-9']*/g) || [];
+}
+
+// Overlapping word n-grams; texts shorter than one shingle are a single shingle
+function shingles(text, size = DEFAULTS.shingleSize) {
+  const tokens = words(text);
+  const result = new Set();
+  if (tokens.length <= size) {
+    if (tokens.length > 0) result.add(tokens.join(' '));
+    return result;
+  }
+  for (let i = 0; i + size <= tokens.length; i++) result.add(tokens.slice(i, i + size).join(' '));
+  return result;
+}
+
+function minhash(shingleSet, seeds) {
+  const signature = new Array(seeds.length).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    const value = hashString(shingle);
+    for (let i = 0; i < seeds.length; i++) {
+      const hashed = mix(value, seeds[i]);
+      if (hashed < signature[i]) signature[i] = hashed;
+    }
+  }
+  return signature;
+}
+
+function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+}
+
+// Paragraphs, with ones under minWords merged into the next so headings and
+// one-line dialogue don't count as passages of their own
+function splitPassages(text, minWords = DEFAULTS.minPassageWords) {
+  const passages = [];
+  let pending = '';
+  for (const paragraph of String(text).split(/\n+/).map(line => line.trim()).filter(Boolean)) {
+    pending = pending ? `${pending}\n${paragraph}` : paragraph;
+    if (words(pending).length >= minWords) {
+      passages.push(pending);
+      pending = '';
+    }
+  }
+  if (pending) {
+    if (passages.length > 0) passages[passages.length - 1] += `\n${pending}`;
+    else if (words(pending).length >= Math.ceil(minWords / 2)) passages.push(pending);
+  }
+  return passages;
+}
+
+// Index key for a stored chapter
+function chapterKey(bookId, order) {
+  return `${bookId}:${order}`;
+}
+
+function excerpt(text, length = 160) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 3)}...` : flat;
+}
+
+// Passage signatures for every stored chapter, keyed by "bookId:order". meta is
+// whatever the caller wants back in matches (book and chapter titles, owner).
+class DuplicateIndex {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    if (this.options.numHashes % this.options.bands !== 0) {
+      throw new Error('numHashes must be a multiple of bands');
+    }
+    const random = seededRandom(0x5eed);
+    this.seeds = Array.from({ length: this.options.numHashes }, () => random());
+    this.rows = this.options.numHashes / this.options.bands;
+    this.entries = new Map();
+    // band key -> Set of "key#passage"
+    this.buckets = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  signPassages(text) {
+    return splitPassages(text, this.options.minPassageWords).map((passage, index) => ({
+      index,
+      text: passage,
+      signature: minhash(shingles(passage, this.options.shingleSize), this.seeds)
+    }));
+  }
+
+  bandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < this.options.bands; band++) {
+      keys.push(`${band}:${signature.slice(band * this.rows, (band + 1) * this.rows).join(',')}`);
+    }
+    return keys;
+  }
+
+  // Add or replace a chapter; unchanged text is not re-hashed. version is the
+  // caller's stamp for this text (see sync).
+  set(key, text, meta = {}, version = null) {
+    const contentHash = crypto.createHash('sha1').update(String(text)).digest('hex');
+    const existing = this.entries.get(key);
+    if (existing?.contentHash === contentHash) {
+      Object.assign(existing, { meta, version });
+      return;
+    }
+
+    this.remove(key);
+    const passages = this.signPassages(text);
+    this.entries.set(key, { key, contentHash, meta, version, passages });
+    for (const passage of passages) {
+      for (const bandKey of this.bandKeys(passage.signature)) {
+        if (!this.buckets.has(bandKey)) this.buckets.set(bandKey, new Set());
+        this.buckets.get(bandKey).add(`${key}#${passage.index}`);
+      }
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    for (const passage of entry.passages) {
+      for (const bandKey of this.bandKeys(passage.signature)) {
+        const bucket = this.buckets.get(bandKey);
+        bucket?.delete(`${key}#${passage.index}`);
+        if (bucket?.size === 0) this.buckets.delete(bandKey);
+      }
+    }
+    this.entries.delete(key);
+    return true;
+  }
+
+  removeWhere(predicate) {
+    for (const entry of [...this.entries.values()]) {
+      if (predicate(entry.meta, entry.key)) this.remove(entry.key);
+    }
+  }
+
+  // Make the index match a full list of chapters ({ key, version, meta }) given
+  // without their text. loadTexts(keys) resolves to a Map of key -> text and is only
+  // asked for chapters that are new or whose version changed.
+  async sync(chapters, loadTexts) {
+    const keys = new Set(chapters.map(chapter => chapter.key));
+    for (const key of [...this.entries.keys()]) {
+      if (!keys.has(key)) this.remove(key);
+    }
+
+    const stale = [];
+    for (const chapter of chapters) {
+      const entry = this.entries.get(chapter.key);
+      if (entry && entry.version === chapter.version) entry.meta = chapter.meta;
+      else stale.push(chapter);
+    }
+    if (stale.length === 0) return;
+
+    const texts = await loadTexts(stale.map(chapter => chapter.key));
+    for (const chapter of stale) {
+      if (texts.has(chapter.key)) this.set(chapter.key, texts.get(chapter.key), chapter.meta, chapter.version);
+    }
+  }
+
+  // Stored passages at or above threshold for one signed passage
+  candidatesFor(passage, { exclude = [], threshold = this.options.threshold } = {}) {
+    const seen = new Set();
+    const matches = [];
+    for (const bandKey of this.bandKeys(passage.signature)) {
+      for (const id of this.buckets.get(bandKey) || []) {
+        if (seen.has(id)) continue;
+        seen.add(id);
+        const separator = id.lastIndexOf('#');
+        const key = id.slice(0, separator);
+        if (exclude.includes(key)) continue;
+
+        const entry = this.entries.get(key);
+        const stored = entry.passages[Number(id.slice(separator + 1))];
+        const similarity = estimateSimilarity(passage.signature, stored.signature);
+        if (similarity >= threshold) matches.push({ key, meta: entry.meta, passage: stored, similarity });
+      }
+    }
+    return matches.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  // Compare new text with the library. exclude lists keys to skip (the chapter
+  // being replaced). Returns { passes, passages, duplicatePassages, duplicateRatio,
+  // matches, feedback }; each match is the best stored passage for a new one.
+  // Matches are described in full only when they belong to authorId (meta.authorId);
+  // for other authors' chapters they just say so, without keys, titles or text.
+  check(text, { exclude = [], threshold = this.options.threshold, authorId } = {}) {
+    const passages = this.signPassages(text);
+    const matches = [];
+    for (const passage of passages) {
+      const [best] = this.candidatesFor(passage, { exclude, threshold });
+      if (!best) continue;
+      const own = best.meta.authorId === authorId;
+      matches.push({
+        passage: passage.index + 1,
+        similarity: Math.round(best.similarity * 100) / 100,
+        excerpt: excerpt(passage.text),
+        ...(own
+          ? { matchedKey: best.key, matched: { ...best.meta, passage: best.passage.index + 1, excerpt: excerpt(best.passage.text) } }
+          : { matched: { otherAuthor: true } })
+      });
+    }
+
+    const duplicateRatio = passages.length ? matches.length / passages.length : 0;
+    const passes = matches.length === 0 || duplicateRatio <= this.options.maxDuplicateRatio;
+    return {
+      passes,
+      passages: passages.length,
+      duplicatePassages: matches.length,
+      duplicateRatio: Math.round(duplicateRatio * 100) / 100,
+      matches,
+      feedback: passes ? null : [
+        'These passages repeat text already published in the library. Rewrite them in new words with new details:',
+        ...matches.slice(0, 5).map(match => `- "${match.excerpt}"`)
+      ].join('\n')
+    };
+  }
+
+  // Every pair of chapters sharing passages at or above threshold. include(meta)
+  // limits which chapters are reported. Pairs are sorted by how much they share.
+  report({ threshold = this.options.threshold, include = () => true } = {}) {
+    const pairs = new Map();
+    for (const entry of this.entries.values()) {
+      if (!include(entry.meta)) continue;
+      for (const passage of entry.passages) {
+        for (const match of this.candidatesFor(passage, { threshold })) {
+          // Each pair once, from the side with the smaller key
+          if (match.key === entry.key ? match.passage.index <= passage.index : match.key < entry.key) continue;
+          if (!include(match.meta)) continue;
+
+          const pairKey = `${entry.key}|${match.key}`;
+          if (!pairs.has(pairKey)) {
+            pairs.set(pairKey, { a: { key: entry.key, ...entry.meta }, b: { key: match.key, ...match.meta }, maxSimilarity: 0, passages: [] });
+          }
+          const pair = pairs.get(pairKey);
+          pair.maxSimilarity = Math.max(pair.maxSimilarity, match.similarity);
+          pair.passages.push({
+            similarity: Math.round(match.similarity * 100) / 100,
+            a: { passage: passage.index + 1, excerpt: excerpt(passage.text) },
+            b: { passage: match.passage.index + 1, excerpt: excerpt(match.passage.text) }
+          });
+        }
+      }
+    }
+
+    return [...pairs.values()]
+      .map(pair => ({ ...pair, maxSimilarity: Math.round(pair.maxSimilarity * 100) / 100, sharedPassages: pair.passages.length }))
+      .sort((a, b) => b.sharedPassages - a.sharedPassages || b.maxSimilarity - a.maxSimilarity);
+  }
+}
+
+module.exports = {
+  DuplicateIndex,
+  chapterKey,
+  shingles,
+  minhash,
+  estimateSimilarity,
+  splitPassages
+};
@@ -0,0 +1,241 @@
+// File: epub-exporter.js
+// EPUB 3 export for stored books (one XHTML document per chapter plus a navigation document)
+
+const crypto = require('crypto');
+const { ZipWriter } = require('./zip-writer');
+
+const COVER_MEDIA_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg'
+};
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1 { text-align: center; margin: 2em 0 1em; page-break-before: always; }
+h2 { margin-top: 1.5em; }
+p { text-indent: 1.5em; margin: 0 0 0.5em; }
+p.first { text-indent: 0; }
+.cover { text-align: center; margin: 0; padding: 0; }
+.cover img { max-width: 100%; max-height: 100%; }
+`;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+// EPUB identifiers should be stable per book; derive a UUID when the id is not one
+function bookIdentifier(book) {
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(book.id)) {
+    return `urn:uuid:${book.id}`;
+  }
+  const hex = crypto.createHash('sha1').update(`briggs-empire:${book.id}`).digest('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// dcterms:modified requires CCYY-MM-DDThh:mm:ssZ (no milliseconds)
+function modifiedTimestamp(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Turn generated chapter text into XHTML paragraphs. Markdown-style headings
+// become <h2> and the chapter's own title line is dropped when it repeats the title.
+function contentToXhtml(title, content) {
+  const blocks = String(content || '').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+  let first = true;
+
+  return blocks
+    .filter((block, index) => !(index === 0 && block.replace(/^#+\s*/, '').trim() === title.trim()))
+    .map(block => {
+      const heading = block.match(/^#{1,6}\s+(.+)$/);
+      if (heading && !block.includes('\n')) {
+        first = true;
+        return `    <h2>${escapeXml(heading[1])}</h2>`;
+      }
+      const paragraph = `    <p${first ? ' class="first"' : ''}>${escapeXml(block).replace(/\n/g, '<br/>')}</p>`;
+      first = false;
+      return paragraph;
+    })
+    .join('\n');
+}
+
+function xhtmlDocument(title, language, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+  <head>
+    <meta charset="UTF-8"/>
+    <title>${escapeXml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="styles.css"/>
+  </head>
+  <body>
+${body}
+  </body>
+</html>
+`;
+}
+
+class EpubExporter {
+  // Build the EPUB container for a stored book (with chapters).
+  // options: { author, language, cover: { mediaType, data (Buffer or base64) }, modified }
+  export(book, options = {}) {
+    const files = this.buildFiles(book, options);
+    this.validate(files);
+
+    const zip = new ZipWriter();
+    for (const file of files) {
+      zip.addFile(file.path, file.content, { store: file.path === 'mimetype' });
+    }
+    return zip.toBuffer();
+  }
+
+  buildFiles(book, options = {}) {
+    const language = options.language || book.metadata?.language || 'en';
+    const author = options.author || 'Briggs Empire';
+    const chapters = [...(book.chapters || [])].sort((a, b) => a.order - b.order);
+    const cover = this.normalizeCover(options.cover || book.metadata?.coverImage);
+
+    const manifest = [
+      { id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' },
+      { id: 'css', href: 'styles.css', mediaType: 'text/css' }
+    ];
+    const spine = [];
+    const files = [
+      { path: 'mimetype', content: 'application/epub+zip' },
+      {
+        path: 'META-INF/container.xml',
+        content: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`
+      },
+      { path: 'OEBPS/styles.css', content: STYLESHEET }
+    ];
+
+    if (cover) {
+      const href = `cover.${COVER_MEDIA_TYPES[cover.mediaType]}`;
+      manifest.push(
+        { id: 'cover-image', href, mediaType: cover.mediaType, properties: 'cover-image' },
+        { id: 'cover', href: 'cover.xhtml', mediaType: 'application/xhtml+xml' }
+      );
+      spine.push('cover');
+      files.push(
+        { path: `OEBPS/${href}`, content: cover.data },
+        {
+          path: 'OEBPS/cover.xhtml',
+          content: xhtmlDocument(book.title, language,
+            `    <section class="cover" epub:type="cover">\n      <img src="${href}" alt="${escapeXml(book.title)}"/>\n    </section>`)
+        }
+      );
+    }
+
+    chapters.forEach((chapter, index) => {
+      const id = `chapter-${String(index + 1).padStart(3, '0')}`;
+      manifest.push({ id, href: `${id}.xhtml`, mediaType: 'application/xhtml+xml' });
+      spine.push(id);
+      files.push({
+        path: `OEBPS/${id}.xhtml`,
+        content: xhtmlDocument(chapter.title, language,
+          `    <section epub:type="chapter" id="${id}">\n    <h1>${escapeXml(chapter.title)}</h1>\n${contentToXhtml(chapter.title, chapter.content)}\n    </section>`)
+      });
+    });
+
+    const navItems = chapters
+      .map((chapter, index) => `        <li><a href="chapter-${String(index + 1).padStart(3, '0')}.xhtml">${escapeXml(chapter.title)}</a></li>`)
+      .join('\n');
+    files.push({
+      path: 'OEBPS/nav.xhtml',
+      content: xhtmlDocument(book.title, language,
+        `    <nav epub:type="toc" id="toc">\n      <h1>Contents</h1>\n      <ol>\n${navItems}\n      </ol>\n    </nav>`)
+    });
+
+    files.push({
+      path: 'OEBPS/content.opf',
+      content: `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${bookIdentifier(book)}</dc:identifier>
+    <dc:title>${escapeXml(book.title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+    <dc:creator id="creator">${escapeXml(author)}</dc:creator>
+${book.description ? `    <dc:description>${escapeXml(book.description)}</dc:description>\n` : ''}    <dc:publisher>Briggs Empire</dc:publisher>
+    <meta property="dcterms:modified">${modifiedTimestamp(options.modified || book.updatedAt || Date.now())}</meta>
+${cover ? '    <meta name="cover" content="cover-image"/>\n' : ''}  </metadata>
+  <manifest>
+${manifest.map(item => `    <item id="${item.id}" href="${item.href}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''}/>`).join('\n')}
+  </manifest>
+  <spine>
+${spine.map(idref => `    <itemref idref="${idref}"${idref === 'cover' ? ' linear="no"' : ''}/>`).join('\n')}
+  </spine>
+</package>
+`,
+      manifest,
+      spine
+    });
+
+    return files;
+  }
+
+  normalizeCover(cover) {
+    if (!cover) return null;
+    if (!COVER_MEDIA_TYPES[cover.mediaType]) {
+      throw new Error(`Unsupported cover media type: ${cover.mediaType}`);
+    }
+    const data = Buffer.isBuffer(cover.data) ? cover.data : Buffer.from(cover.data || '', 'base64');
+    if (data.length === 0) throw new Error('Cover image is empty');
+    return { mediaType: cover.mediaType, data };
+  }
+
+  // Structural checks mirroring the epubcheck rules we can break ourselves:
+  // mimetype first, a single rootfile, a nav document, and a manifest that
+  // matches the files in the container and the spine.
+  validate(files) {
+    const errors = [];
+    const paths = new Set(files.map(file => file.path));
+    const opf = files.find(file => file.path === 'OEBPS/content.opf');
+
+    if (files[0]?.path !== 'mimetype' || files[0].content !== 'application/epub+zip') {
+      errors.push('mimetype must be the first entry and contain "application/epub+zip"');
+    }
+    if (!paths.has('META-INF/container.xml')) errors.push('META-INF/container.xml is missing');
+    if (!opf) {
+      errors.push('Package document OEBPS/content.opf is missing');
+    } else {
+      const ids = new Set(opf.manifest.map(item => item.id));
+      if (ids.size !== opf.manifest.length) errors.push('Manifest item ids must be unique');
+      if (opf.manifest.filter(item => item.properties === 'nav').length !== 1) {
+        errors.push('Exactly one manifest item must have the "nav" property');
+      }
+      for (const item of opf.manifest) {
+        if (!paths.has(`OEBPS/${item.href}`)) errors.push(`Manifest item ${item.href} is missing from the container`);
+      }
+      for (const idref of opf.spine) {
+        if (!ids.has(idref)) errors.push(`Spine itemref ${idref} is not in the manifest`);
+      }
+      if (opf.spine.length === 0) errors.push('Spine must contain at least one item');
+      const manifested = new Set(opf.manifest.map(item => `OEBPS/${item.href}`));
+      for (const file of files) {
+        if (file.path.startsWith('OEBPS/') && file.path !== 'OEBPS/content.opf' && !manifested.has(file.path)) {
+          errors.push(`${file.path} is not declared in the manifest`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid EPUB structure: ${errors.join('; ')}`);
+    }
+    return true;
+  }
+}
+
+module.exports = { EpubExporter, escapeXml };
@@ -4,12 +4,89 @@ require('dotenv').config();
 
 // Import our AI Provider Manager
 const { AIProviderManager } = require('./ai-providers');
+const { JobQueue } = require('./job-queue');
+const { createStorage, saveGeneratedChapters, updateChapterWithHistory, syncDuplicateIndex: syncStoredChapters } = require('./storage');
+const { EpubExporter } = require('./epub-exporter');
+const { PdfExporter, TRIM_SIZES } = require('./pdf-exporter');
+const { checkReadability } = require('./readability');
+const { ContentSafetyError } = require('./content-safety');
+const { chapterKey } = require('./duplicates');
+const { PLATFORMS, ListingValidationError } = require('./listing');
+const { WEBHOOK_EVENTS, WebhookValidationError, WebhookDispatcher, generateSecret, normalizeWebhook, publicWebhook, publicDelivery } = require('./webhooks');
+const { BOOK_STATUSES, TRANSITIONS, INITIAL_STATUSES, REVIEW_STATUSES, LOCKED_STATUSES, WorkflowError, canTransition, isReviewer, canReview, planTransition } = require('./workflow');
+const { diffText } = require('./text-diff');
+const { PAGE_COUNTS, DEFAULT_PAGE_COUNT, DEFAULT_MAX_WORDS_PER_PAGE, spreadToChapter } = require('./picture-book');
+const { UsageTracker } = require('./cost-tracker');
+const { OutlineValidationError, normalizeOutline } = require('./outline');
+const { ROLES, generateToken, authenticate, ensureBootstrapAdmin, isAdmin, requireAdmin, canAccess, publicUser, publicToken } = require('./auth');
+const { CONTENT_TYPES, PromptTemplateError, validateTemplate, renderTemplate } = require('./prompt-templates');
+const { SeriesValidationError, normalizeSeries, insertIntoOrder, validateReorder, bookSummary, buildSeriesContext } = require('./series');
+const { SECTIONS, StoryBibleValidationError, emptyBible, normalizeBible, normalizeEntry, mergeExtracted, combineBibles } = require('./story-bible');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize AI Manager
-const aiManager = new AIProviderManager();
+const aiManager = new AIProviderManager({
+  onProviderEvent: (type, data) => {
+    if (type === 'provider-rate-limited') notify('provider.rate-limited', data);
+  }
+});
+
+// Background worker pool for book generation
+const jobQueue = new JobQueue();
+
+// Book and chapter persistence (Postgres via Prisma, or in-memory/file-backed)
+const storage = createStorage();
+
+// The first admin comes from the environment, never from public registration
+ensureBootstrapAdmin(storage, { token: process.env.ADMIN_TOKEN, email: process.env.ADMIN_EMAIL })
+  .then(async admin => {
+    if (admin) return console.log(`🔑 ADMIN_TOKEN signs in as ${admin.email}`);
+    const users = await storage.listUsers();
+    if (!users.some(user => isAdmin(user))) console.warn('No admin account yet: set ADMIN_TOKEN (and ADMIN_EMAIL) and restart');
+  })
+  .catch(error => console.error('Failed to set up the admin account:', error.message));
+
+// Outgoing webhooks (see webhooks.js); retries a restart interrupted start again
+const webhooks = new WebhookDispatcher(storage);
+webhooks.resume().catch(error => console.error('Failed to resume webhook deliveries:', error.message));
+
+// Send a webhook event in the background. ownerId is the user it concerns.
+function notify(event, data, ownerId = null) {
+  webhooks.emit(event, data, { ownerId }).catch(error => console.error(`Failed to send ${event} webhooks:`, error.message));
+}
+
+// Generation outcomes and chapters that failed on every provider
+jobQueue.onAnyEvent((job, event) => {
+  const details = {
+    jobId: job.id,
+    jobType: job.type,
+    bookId: job.result?.bookId || job.progress.bookId || job.payload.bookId || null,
+    title: job.payload.title
+  };
+  if (event.type === 'chapter-failed') {
+    notify('chapter.failed', { ...details, ...event.data }, job.payload.ownerId);
+  } else if (event.type === 'status' && event.data.status === 'completed') {
+    const failedChapters = (job.result?.book?.chapters || []).filter(chapter => chapter.error).length;
+    notify('book.generation.completed', { ...details, failedChapters }, job.payload.ownerId);
+  } else if (event.type === 'status' && event.data.status === 'failed') {
+    notify('book.generation.failed', { ...details, error: job.error }, job.payload.ownerId);
+  }
+});
+
+// Stored prompt templates sit on top of the built-ins; reloaded whenever one changes
+async function reloadPromptTemplates() {
+  aiManager.prompts.load(await storage.listPromptTemplates({ activeOnly: true }));
+}
+reloadPromptTemplates().catch(error => console.error('Failed to load prompt templates:', error.message));
+
+// Bring the duplicate index up to date with stored chapters (only new and changed
+// ones are read); run before anything is checked against it
+function syncDuplicateIndex() {
+  return syncStoredChapters(storage, aiManager.duplicateIndex);
+}
+syncDuplicateIndex().catch(error => console.error('Failed to build duplicate index:', error.message));
 
 // Basic middleware
 app.use(express.json({ limit: '10mb' }));
@@ -18,20 +95,51 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Wrap async route handlers so storage errors reach the error middleware
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// Every /api route needs an API token except registration and the status page the
+// dashboard links to (see auth.js)
+app.use('/api', authenticate(storage, { publicRoutes: ['POST /auth/register', 'GET /status'] }));
+
+// Books and series belong to the user who created them; other users get a 404.
+// Reviewers may also read books under review and move them through the workflow.
+app.use('/api/books/:id', asyncRoute(async (req, res, next) => {
+  const book = await storage.getBook(req.params.id);
+  const reviewing = book && canReview(req.user, book) && (req.method === 'GET' || req.path === '/transitions');
+  if (book && !canAccess(req.user, book) && !reviewing) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  next();
+}));
+
+app.use('/api/webhooks/:id', asyncRoute(async (req, res, next) => {
+  const webhook = await storage.getWebhook(req.params.id);
+  if (webhook && !canAccess(req.user, webhook, 'ownerId')) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  next();
+}));
+
+app.use('/api/series/:id', asyncRoute(async (req, res, next) => {
+  const series = await storage.getSeries(req.params.id);
+  if (series && !canAccess(req.user, series, 'ownerId')) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+  next();
+}));
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     service: 'Briggs Empire',
-    timestamp: new Date().toISOString(),
-    ai_providers: aiManager.getProviderStatus()
+    timestamp: new Date().toISOString()
   });
 });
 
-// Enhanced dashboard with AI status
+// Enhanced dashboard; provider and API key status load only for admin tokens
 app.get('/', (req, res) => {
-  const providerStatus = aiManager.getProviderStatus();
-  
   res.send(`
     <html>
       <head>
@@ -136,6 +244,38 @@ app.get('/', (req, res) => {
             margin: 5px 0;
             font-size: 0.9em;
           }
+          .progress-panel { display: none; margin: 30px 0; }
+          .progress-bar {
+            height: 12px;
+            background: rgba(0,0,0,0.2);
+            border-radius: 6px;
+            overflow: hidden;
+            margin: 15px 0;
+          }
+          .progress-fill {
+            height: 100%;
+            width: 0;
+            background: linear-gradient(45deg, #4ade80, #22c55e);
+            transition: width 0.3s ease;
+          }
+          .chapter-row {
+            display: flex;
+            justify-content: space-between;
+            padding: 8px 10px;
+            margin: 5px 0;
+            background: rgba(0,0,0,0.2);
+            border-radius: 8px;
+          }
+          .event-log {
+            font-family: 'Courier New', monospace;
+            font-size: 0.85em;
+            max-height: 200px;
+            overflow-y: auto;
+            background: rgba(0,0,0,0.3);
+            padding: 10px;
+            border-radius: 8px;
+            margin-top: 15px;
+          }
         </style>
       </head>
       <body>
@@ -145,15 +285,10 @@ app.get('/', (req, res) => {
           
           <div class="status-grid">
             <div class="status">
-              <h3>🤖 AI Providers</h3>
-              ${providerStatus.map(provider => `
-                <div class="provider-status">
-                  <span><strong>${provider.name.toUpperCase()}</strong></span>
-                  <span class="${provider.available ? 'available' : 'unavailable'}">
-                    ${provider.available ? '✅ Available' : '🔄 Rate Limited'}
-                  </span>
-                </div>
-              `).join('')}
+              <h3>🔐 Access</h3>
+              <input type="password" id="apiToken" placeholder="API token" style="width: 100%; padding: 8px; border-radius: 5px; border: none;">
+              <button class="btn" style="margin-top: 10px;" onclick="saveToken()">Save Token</button>
+              <p id="signedInAs">Not signed in</p>
             </div>
             
             <div class="status">
@@ -165,10 +300,8 @@ app.get('/', (req, res) => {
             </div>
             
             <div class="status">
-              <h3>🔑 API Keys</h3>
-              <p>OpenAI: ${process.env.OPENAI_API_KEY ? '✅ Configured' : '❌ Missing'}</p>
-              <p>Claude: ${process.env.CLAUDE_API_KEY ? '✅ Configured' : '❌ Missing'}</p>
-              <p>Gemini: ${process.env.GEMINI_API_KEY ? '✅ Configured' : '❌ Missing'}</p>
+              <h3>🤖 AI Providers</h3>
+              <div id="adminStatus"><p>Provider and API key status is visible to admins.</p></div>
             </div>
           </div>
           
@@ -179,23 +312,105 @@ app.get('/', (req, res) => {
             <a href="/health" class="btn">🩺 Health Check</a>
           </div>
           
+          <div class="status progress-panel" id="progressPanel">
+            <h3>📖 <span id="progressTitle">Generating...</span></h3>
+            <div class="progress-bar"><div class="progress-fill" id="progressFill"></div></div>
+            <div id="chapterList"></div>
+            <div class="event-log" id="eventLog"></div>
+            <button class="btn" id="cancelBtn" style="margin-top: 15px;" onclick="cancelGeneration()">⛔ Cancel</button>
+          </div>
+          
           <div class="api-endpoints">
             <h3>📡 Available Endpoints:</h3>
+            <div class="endpoint">POST /api/auth/register - Create an account and its first API token</div>
+            <div class="endpoint">GET|POST /api/auth/tokens - List or create API tokens (send Authorization: Bearer &lt;token&gt;)</div>
+            <div class="endpoint">GET /api/users - Manage users and roles (admin)</div>
             <div class="endpoint">POST /api/generate-content - Generate single content piece</div>
-            <div class="endpoint">POST /api/generate-book - Generate complete book</div>
-            <div class="endpoint">GET /api/ai-status - Get AI provider status</div>
+            <div class="endpoint">POST /api/generate-book - Queue complete book generation (format: picture-book for spreads)</div>
+            <div class="endpoint">GET /api/generate-book/stream - Generate a book with live progress (SSE)</div>
+            <div class="endpoint">GET /api/usage - Token usage and cost, overall and per book</div>
+            <div class="endpoint">POST /api/outlines - Outline a new book from a premise</div>
+            <div class="endpoint">GET|PUT|POST /api/books/:id/outline - Review, edit or regenerate a book's outline</div>
+            <div class="endpoint">POST /api/books/:id/generate - Draft chapters from the book's outline</div>
+            <div class="endpoint">GET|PUT /api/books/:id/bible - View or replace a book's story bible</div>
+            <div class="endpoint">POST|PATCH|DELETE /api/books/:id/bible/:section - Edit story bible entries</div>
+            <div class="endpoint">GET|POST /api/prompt-templates - Prompt templates per content type, genre and audience</div>
+            <div class="endpoint">GET|PUT|DELETE /api/prompt-templates/:name - Template versions; PUT saves a new version</div>
+            <div class="endpoint">POST /api/prompt-templates/preview - Render the template a book would use</div>
+            <div class="endpoint">GET|POST /api/series - List or create series</div>
+            <div class="endpoint">GET|PUT|DELETE /api/series/:id - Series details, themes and characters</div>
+            <div class="endpoint">GET|POST|PUT /api/series/:id/books - Reading order: list, add or reorder books</div>
+            <div class="endpoint">GET /api/series/:id/context - Context from earlier installments</div>
+            <div class="endpoint">GET|PUT /api/series/:id/bible - Story bible shared by a series</div>
+            <div class="endpoint">GET /api/books/:id/chapters/:n/consistency - Drifting passages in a chapter</div>
+            <div class="endpoint">GET /api/books/:id/chapters/:n/readability - Reading level against the book's audience</div>
+            <div class="endpoint">GET /api/books/:id/chapters/:n/safety - Content safety findings for the book's audience</div>
+            <div class="endpoint">POST /api/books/:id/chapters/:n/revise - Revise a chapter from editor notes</div>
+            <div class="endpoint">GET /api/books/:id/chapters/:n/versions - Chapter version history</div>
+            <div class="endpoint">GET /api/books/:id/chapters/:n/diff - Diff chapter versions</div>
+            <div class="endpoint">POST /api/books/:id/chapters/:n/rollback - Restore an earlier chapter version</div>
+            <div class="endpoint">GET /api/jobs/:id - Get generation job progress</div>
+            <div class="endpoint">GET /api/jobs/:id/events - Stream generation job events (SSE)</div>
+            <div class="endpoint">DELETE /api/jobs/:id - Cancel a generation job</div>
+            <div class="endpoint">GET /api/books - List stored books</div>
+            <div class="endpoint">GET /api/books/:id/chapters - List a book's chapters</div>
+            <div class="endpoint">GET /api/workflow/books?status=IN_REVIEW - Books by workflow state</div>
+            <div class="endpoint">POST /api/books/:id/transitions - Move a book through the editorial workflow</div>
+            <div class="endpoint">GET /api/books/:id/transitions - Workflow history (who moved it, when)</div>
+            <div class="endpoint">GET /api/books/:id/export.epub - Export a book as EPUB 3</div>
+            <div class="endpoint">GET /api/books/:id/export.pdf?trim=6x9 - Export a print-ready PDF interior</div>
+            <div class="endpoint">POST /api/books/:id/listing - Generate a store-listing package (kdp or ingramspark)</div>
+            <div class="endpoint">GET /api/books/:id/listing - Get a book's saved store listing</div>
+            <div class="endpoint">GET /api/dashboard - Library statistics</div>
+            <div class="endpoint">POST /api/webhooks - Register a webhook for generation and publishing events</div>
+            <div class="endpoint">GET /api/webhooks/:id/deliveries - Webhook delivery log</div>
+            <div class="endpoint">GET /api/duplicates?threshold=0.5 - Passages reused across chapters and books</div>
+            <div class="endpoint">GET /api/ai-status - Get AI provider and API key status (admin)</div>
+            <div class="endpoint">GET /api/providers - List registered providers and capabilities (admin)</div>
             <div class="endpoint">GET /api/test-ai - Test AI connectivity</div>
           </div>
         </div>
         
         <script>
+          const authHeaders = () => ({ 'Authorization': 'Bearer ' + (localStorage.getItem('briggsToken') || '') });
+          const escapeHtml = value => String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+          
+          function saveToken() {
+            localStorage.setItem('briggsToken', document.getElementById('apiToken').value.trim());
+            document.getElementById('apiToken').value = '';
+            loadAccount();
+          }
+          
+          async function loadAccount() {
+            const me = await fetch('/api/auth/me', { headers: authHeaders() });
+            if (!me.ok) {
+              document.getElementById('signedInAs').textContent = 'Not signed in';
+              return;
+            }
+            const { user } = await me.json();
+            document.getElementById('signedInAs').textContent = 'Signed in as ' + user.email + ' (' + user.role + ')';
+            if (user.role !== 'admin') return;
+            
+            const status = await (await fetch('/api/ai-status', { headers: authHeaders() })).json();
+            document.getElementById('adminStatus').innerHTML =
+              status.providers.map(provider =>
+                '<div class="provider-status"><span><strong>' + escapeHtml(provider.name.toUpperCase()) + '</strong></span>' +
+                '<span class="' + (provider.available ? 'available' : 'unavailable') + '">' +
+                (provider.available ? '✅ Available' : '🔄 Rate Limited') + '</span></div>'
+              ).join('') +
+              Object.entries(status.apiKeys).map(([name, configured]) =>
+                '<p>' + escapeHtml(name) + ' key: ' + (configured ? '✅ Configured' : '❌ Missing') + '</p>'
+              ).join('');
+          }
+          loadAccount();
+          
           async function testAI() {
             const btn = event.target;
             btn.textContent = '🔄 Testing...';
             btn.disabled = true;
             
             try {
-              const response = await fetch('/api/test-ai');
+              const response = await fetch('/api/test-ai', { headers: authHeaders() });
               const result = await response.json();
               alert('AI Test Result: ' + JSON.stringify(result, null, 2));
             } catch (error) {
@@ -206,30 +421,77 @@ app.get('/', (req, res) => {
             }
           }
           
-          async function generateBook() {
+          let currentJobId = null;
+          
+          const chapterIcons = { pending: '⏳', generating: '✍️', completed: '✅', failed: '❌' };
+          
+          function logEvent(text) {
+            const log = document.getElementById('eventLog');
+            const line = document.createElement('div');
+            line.textContent = new Date().toLocaleTimeString() + '  ' + text;
+            log.appendChild(line);
+            log.scrollTop = log.scrollHeight;
+          }
+          
+          function renderProgress(progress) {
+            const total = progress.totalChapters || 0;
+            const done = progress.completedChapters || 0;
+            document.getElementById('progressFill').style.width = (total ? (done / total) * 100 : 0) + '%';
+            document.getElementById('chapterList').innerHTML = (progress.chapters || []).map(ch =>
+              '<div class="chapter-row"><span>' + chapterIcons[ch.status] + ' Chapter ' + ch.number + ': ' +
+              ch.title.replace(/</g, '&lt;') + '</span><span>' +
+              (ch.provider ? ch.provider.toUpperCase() + ' · ' + ch.wordCount + ' words' : ch.status) +
+              '</span></div>'
+            ).join('');
+          }
+          
+          function generateBook() {
             const btn = event.target;
             btn.textContent = '📖 Generating...';
             btn.disabled = true;
             
-            try {
-              const response = await fetch('/api/generate-book', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  title: 'The AI Revolution',
-                  genre: 'Non-fiction',
-                  chapters: ['Introduction', 'The Rise of AI', 'Future Implications']
-                })
-              });
-              const result = await response.json();
-              alert('Book generated! Check console for details.');
-              console.log('Generated book:', result);
-            } catch (error) {
-              alert('Generation failed: ' + error.message);
-            } finally {
+            const title = 'The AI Revolution';
+            // EventSource can't send headers, so the token goes in the query string
+            const params = new URLSearchParams({ title: title, genre: 'Non-fiction', access_token: localStorage.getItem('briggsToken') || '' });
+            ['Introduction', 'The Rise of AI', 'Future Implications'].forEach(ch => params.append('chapters', ch));
+            
+            document.getElementById('progressPanel').style.display = 'block';
+            document.getElementById('progressTitle').textContent = title;
+            document.getElementById('eventLog').innerHTML = '';
+            document.getElementById('cancelBtn').disabled = false;
+            renderProgress({});
+            
+            const source = new EventSource('/api/generate-book/stream?' + params.toString());
+            const finish = () => {
+              source.close();
               btn.textContent = '📚 Generate Sample Book';
               btn.disabled = false;
-            }
+              document.getElementById('cancelBtn').disabled = true;
+            };
+            const on = (type, handler) => source.addEventListener(type, e => handler(JSON.parse(e.data)));
+            
+            on('job', data => { currentJobId = data.jobId; logEvent('Job ' + data.jobId + ' queued'); });
+            on('progress', renderProgress);
+            on('chapter-started', data => logEvent('Chapter ' + data.chapter + ' started: ' + data.title));
+            on('provider-failover', data => logEvent('Chapter ' + data.chapter + ': ' + data.provider + ' unavailable (' + (data.error || data.reason) + '), failing over'));
+            on('quality-rejected', data => logEvent('Chapter ' + data.chapter + ': ' + data.check + ' check rejected ' + data.provider + ' output'));
+            on('chapter-completed', data => logEvent('Chapter ' + data.chapter + ' completed by ' + data.provider + ' (' + data.wordCount + ' words)'));
+            on('chapter-failed', data => logEvent('Chapter ' + data.chapter + ' failed: ' + data.error));
+            on('done', data => {
+              logEvent('Generation ' + data.status);
+              console.log('Generation job finished: /api/jobs/' + data.jobId);
+              finish();
+            });
+            source.onerror = () => {
+              if (source.readyState === EventSource.CLOSED) finish();
+            };
+          }
+          
+          async function cancelGeneration() {
+            if (!currentJobId) return;
+            document.getElementById('cancelBtn').disabled = true;
+            await fetch('/api/jobs/' + currentJobId, { method: 'DELETE', headers: authHeaders() });
+            logEvent('Cancellation requested');
           }
         </script>
       </body>
@@ -237,12 +499,191 @@ app.get('/', (req, res) => {
   `);
 });
 
+// Accounts and API tokens. Admins create users (the first admin comes from
+// ADMIN_TOKEN), or anyone may register as a user when ALLOW_REGISTRATION=true.
+app.post('/api/auth/register', asyncRoute(async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!/^[^\s@]+@[^\s@]+$/.test(email) || !name) {
+    return res.status(400).json({ error: 'A valid email and a name are required' });
+  }
+
+  let role = 'user';
+  if (isAdmin(req.user)) {
+    role = req.body.role || 'user';
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}` });
+    }
+  } else if (process.env.ALLOW_REGISTRATION !== 'true') {
+    return res.status(403).json({ error: 'Registration is closed; ask an admin for an account' });
+  }
+
+  if (await storage.getUserByEmail(email)) {
+    return res.status(409).json({ error: 'A user with this email already exists' });
+  }
+
+  const user = await storage.createUser({ email, name, role });
+  const { token, tokenHash, prefix } = generateToken();
+  const apiToken = await storage.createApiToken(user.id, { name: 'default', tokenHash, prefix });
+
+  // The plain token is only ever returned here
+  res.status(201).json({ success: true, user: publicUser(user), token, apiToken: publicToken(apiToken) });
+}));
+
+app.get('/api/auth/me', asyncRoute(async (req, res) => {
+  const tokens = await storage.listApiTokens(req.user.id);
+  res.json({ success: true, user: publicUser(req.user), tokens: tokens.map(publicToken) });
+}));
+
+app.get('/api/auth/tokens', asyncRoute(async (req, res) => {
+  const tokens = await storage.listApiTokens(req.user.id);
+  res.json({ success: true, tokens: tokens.map(publicToken) });
+}));
+
+// Create another token (e.g. one per machine) so each can be revoked on its own
+app.post('/api/auth/tokens', asyncRoute(async (req, res) => {
+  const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : 'default';
+  const { token, tokenHash, prefix } = generateToken();
+  const apiToken = await storage.createApiToken(req.user.id, { name, tokenHash, prefix });
+  res.status(201).json({ success: true, token, apiToken: publicToken(apiToken) });
+}));
+
+app.delete('/api/auth/tokens/:id', asyncRoute(async (req, res) => {
+  if (!(await storage.revokeApiToken(req.user.id, req.params.id))) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  res.json({ success: true, message: 'Token revoked' });
+}));
+
+app.get('/api/users', requireAdmin, asyncRoute(async (req, res) => {
+  const users = await storage.listUsers();
+  res.json({ success: true, users: users.map(publicUser) });
+}));
+
+app.put('/api/users/:id', requireAdmin, asyncRoute(async (req, res) => {
+  if (!ROLES.includes(req.body.role)) {
+    return res.status(400).json({ error: `Role must be one of ${ROLES.join(', ')}` });
+  }
+  if (req.params.id === req.user.id && req.body.role !== 'admin') {
+    return res.status(400).json({ error: 'Admins cannot remove their own admin role' });
+  }
+
+  const user = await storage.updateUser(req.params.id, { role: req.body.role });
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  res.json({ success: true, user: publicUser(user) });
+}));
+
+// Webhooks: the user's own (admins: everyone's)
+
+function sendWebhookValidationError(res, error) {
+  if (!(error instanceof WebhookValidationError)) throw error;
+  res.status(400).json({ error: error.message, details: error.errors });
+}
+
+app.get('/api/webhooks', asyncRoute(async (req, res) => {
+  const list = await storage.listWebhooks({ ownerId: isAdmin(req.user) ? undefined : req.user.id });
+  res.json({ success: true, webhooks: list.map(publicWebhook), events: WEBHOOK_EVENTS });
+}));
+
+// Register a webhook: { url, events, description }. The signing secret is only
+// returned here and when it's rotated.
+app.post('/api/webhooks', asyncRoute(async (req, res) => {
+  let fields;
+  try {
+    fields = normalizeWebhook(req.body, { admin: isAdmin(req.user) });
+  } catch (error) {
+    return sendWebhookValidationError(res, error);
+  }
+
+  const webhook = await storage.createWebhook({ ...fields, ownerId: req.user.id, secret: generateSecret() });
+  res.status(201).json({ success: true, webhook: publicWebhook(webhook), secret: webhook.secret });
+}));
+
+app.get('/api/webhooks/:id', asyncRoute(async (req, res) => {
+  const webhook = await storage.getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true, webhook: publicWebhook(webhook) });
+}));
+
+app.put('/api/webhooks/:id', asyncRoute(async (req, res) => {
+  let changes;
+  try {
+    changes = normalizeWebhook(req.body, { partial: true, admin: isAdmin(req.user) });
+  } catch (error) {
+    return sendWebhookValidationError(res, error);
+  }
+
+  const webhook = await storage.updateWebhook(req.params.id, changes);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true, webhook: publicWebhook(webhook) });
+}));
+
+app.delete('/api/webhooks/:id', asyncRoute(async (req, res) => {
+  if (!(await storage.deleteWebhook(req.params.id))) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true, message: 'Webhook deleted' });
+}));
+
+// Replace the signing secret; the old one stops working straight away
+app.post('/api/webhooks/:id/rotate-secret', asyncRoute(async (req, res) => {
+  const webhook = await storage.updateWebhook(req.params.id, { secret: generateSecret() });
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true, webhook: publicWebhook(webhook), secret: webhook.secret });
+}));
+
+// Send a signed "ping" event now and return how the receiver answered
+app.post('/api/webhooks/:id/ping', asyncRoute(async (req, res) => {
+  const webhook = await storage.getWebhook(req.params.id);
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  const delivery = await webhooks.enqueue(webhook, 'ping', { webhookId: webhook.id, events: webhook.events }, { wait: true });
+  res.json({ success: delivery.status === 'delivered', delivery: publicDelivery(delivery, { admin: isAdmin(req.user) }) });
+}));
+
+// Delivery log, newest first (?status=pending|delivered|failed)
+app.get('/api/webhooks/:id/deliveries', asyncRoute(async (req, res) => {
+  if (!(await storage.getWebhook(req.params.id))) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const deliveries = await storage.listWebhookDeliveries({ webhookId: req.params.id, status: req.query.status, limit });
+  res.json({ success: true, deliveries: deliveries.map(delivery => publicDelivery(delivery, { admin: isAdmin(req.user) })) });
+}));
+
+app.get('/api/webhooks/:id/deliveries/:deliveryId', asyncRoute(async (req, res) => {
+  const delivery = await storage.getWebhookDelivery(req.params.deliveryId);
+  if (!delivery || delivery.webhookId !== req.params.id) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json({ success: true, delivery: publicDelivery(delivery, { admin: isAdmin(req.user) }) });
+}));
+
+// Send a delivery again now (e.g. once a receiver that was down is back)
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', asyncRoute(async (req, res) => {
+  const delivery = await storage.getWebhookDelivery(req.params.deliveryId);
+  if (!delivery || delivery.webhookId !== req.params.id) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  const sent = await webhooks.redeliver(delivery.id);
+  res.json({ success: sent.status === 'delivered', delivery: publicDelivery(sent, { admin: isAdmin(req.user) }) });
+}));
+
 // API Endpoints for AI functionality
 
 // Test AI connectivity
 app.get('/api/test-ai', async (req, res) => {
   try {
-    const testPrompt = "Write a single paragraph about the future of AI in publishing.";
+    const testPrompt = aiManager.prompts.render('test', {});
     const result = await aiManager.generateContent(testPrompt, { type: 'test' });
     
     res.json({
@@ -254,7 +695,7 @@ app.get('/api/test-ai', async (req, res) => {
     res.status(500).json({
       success: false,
       error: error.message,
-      providers: aiManager.getProviderStatus()
+      ...(isAdmin(req.user) && { providers: aiManager.getProviderStatus() })
     });
   }
 });
@@ -277,59 +718,1599 @@ app.post('/api/generate-content', async (req, res) => {
     res.status(500).json({
       success: false,
       error: error.message,
-      providers: aiManager.getProviderStatus()
+      ...(isAdmin(req.user) && { providers: aiManager.getProviderStatus() })
     });
   }
 });
 
-// Generate complete book
+// What a book in a series is written with: the series, its story bible and a recap
+// of the books before it in reading order (all of them for a book not yet added)
+async function loadSeriesContext(seriesId, bookId = null) {
+  const series = seriesId ? await storage.getSeries(seriesId) : null;
+  if (!series) return { series: null, seriesBible: null, seriesContext: '' };
+
+  const books = await storage.listSeriesBooks(seriesId, { includeChapters: true });
+  const index = books.findIndex(book => book.id === bookId);
+  return {
+    series,
+    seriesBible: await storage.getStoryBible('series', seriesId),
+    seriesContext: buildSeriesContext(series, index === -1 ? books : books.slice(0, index))
+  };
+}
+
+// Move a book into a series at a 1-based position (default: last). The series it
+// leaves is renumbered so reading order stays gapless.
+async function addBookToSeries(seriesId, book, position) {
+  const current = (await storage.listSeriesBooks(seriesId)).map(entry => entry.id);
+  const books = await storage.setSeriesOrder(seriesId, insertIntoOrder(current, book.id, position));
+  if (book.seriesId && book.seriesId !== seriesId) {
+    const left = (await storage.listSeriesBooks(book.seriesId)).map(entry => entry.id);
+    await storage.setSeriesOrder(book.seriesId, left);
+  }
+  return books;
+}
+
+// Workflow moves made by generation jobs, logged without a user. A move that isn't
+// legal from the book's current state is skipped, so a book someone moved by hand
+// while the job ran stays where they put it. Returns the (updated) book.
+async function autoTransition(book, to, note) {
+  if (!book || book.status === to || !canTransition(book.status, to)) return book;
+  const { status, metadata } = planTransition(book, to);
+  return await storage.transitionBook(book.id, book.status, { status, metadata }, { note, automatic: true }) || book;
+}
+
+// Edits to a signed-off book are refused (409), so it can't be published with text
+// the reviewer never saw. Returns true when the response has been sent.
+function rejectLockedBook(res, book) {
+  if (!LOCKED_STATUSES.includes(book.status)) return false;
+  res.status(409).json({
+    error: book.status === 'APPROVED'
+      ? 'Book is APPROVED and can\'t be edited; a reviewer must request changes first'
+      : 'Book is PUBLISHED and can\'t be edited; archive it and move it back to DRAFTING first'
+  });
+  return true;
+}
+
+// A complete draft goes to review; a partial one (chapters failed or never written
+// because the job was cancelled or hit its budget) stays in drafting
+function finishDrafting(book, complete, jobId) {
+  if (!complete) return book;
+  return autoTransition(book, 'IN_REVIEW', `Draft finished (job ${jobId})`);
+}
+
+// Queue a book generation job. chapters is a list of titles or outline entries
+// ({ title, outline, keyPoints, beats }); bookId drafts into an existing book
+// (e.g. one created from a reviewed outline), replacing any chapters it has; a
+// cancelled or over-budget run only replaces the ones it wrote.
+// seriesId adds a new book to the end of that series; books in a series are
+// written with the series bible and recaps of earlier installments, and get a
+// recap of their own once drafted. Throws OutlineValidationError for an unusable
+// chapter list.
+function queueBookGeneration({ title, genre, style = 'engaging', audience = 'general', premise, chapters, budget = null, bookId = null, seriesId = null, authorId }) {
+  const bookPrompt = {
+    title,
+    genre: genre || 'General',
+    style,
+    audience,
+    premise,
+    context: `This book titled "${title}" is a ${genre} work written in an ${style} style for a ${audience} audience.`
+  };
+
+  const chapterOutline = normalizeOutline(chapters);
+
+  return jobQueue.enqueue('generate-book', { title, genre, chapters: chapterOutline.length, budget, bookId, ownerId: authorId }, async (job, { signal, onProgress, emit }) => {
+    console.log(`Starting book generation: "${title}" with ${chapterOutline.length} chapters (job ${job.id})`);
+
+    const existing = bookId && await autoTransition(await storage.getBook(bookId), 'DRAFTING', `Drafting started (job ${job.id})`);
+    const record = existing
+      ? await storage.updateBook(bookId, {
+        metadata: { ...existing.metadata, jobId: job.id, budget, error: undefined }
+      })
+      : await storage.createBook({
+        title,
+        status: 'DRAFTING',
+        authorId,
+        metadata: { genre: bookPrompt.genre, style, audience, premise, jobId: job.id, budget }
+      });
+    if (!existing && seriesId) await addBookToSeries(seriesId, record);
+    onProgress({ bookId: record.id });
+
+    const bookSeriesId = existing ? record.seriesId : seriesId;
+    const { seriesBible, seriesContext } = await loadSeriesContext(bookSeriesId, record.id);
+
+    try {
+      await syncDuplicateIndex();
+      const book = await aiManager.generateBook({ ...bookPrompt, seriesContext }, chapterOutline, {
+        signal,
+        onProgress,
+        onEvent: emit,
+        budget,
+        storyBible: await storage.getStoryBible('book', record.id) || emptyBible(),
+        seriesBible,
+        bookId: record.id,
+        authorId: record.authorId
+      });
+      await saveGeneratedChapters(storage, record.id, book);
+      await storage.saveStoryBible('book', record.id, book.storyBible);
+      if (bookSeriesId) {
+        const { bible } = mergeExtracted(seriesBible || emptyBible(), book.storyBible, null);
+        await storage.saveStoryBible('series', bookSeriesId, bible);
+      }
+      const summary = bookSeriesId
+        ? await aiManager.summarizeBook({ title, premise, chapters: book.chapters }, { signal, onEvent: emit })
+        : null;
+      const drafted = await storage.updateBook(record.id, {
+        metadata: { ...record.metadata, generation: book.metadata, summary: summary || record.metadata?.summary }
+      });
+      const written = book.chapters.filter(chapter => !chapter.error).length;
+      const complete = written === chapterOutline.length && !book.metadata.cancelled && !book.metadata.budgetExceeded;
+      await finishDrafting(drafted, complete, job.id);
+
+      return { bookId: record.id, book };
+    } catch (error) {
+      await storage.updateBook(record.id, {
+        metadata: { ...record.metadata, error: error.message }
+      });
+      throw error;
+    }
+  });
+}
+
+// Queue a picture book: one provider call lays out the whole page count as
+// spreads, which are stored as the book's chapters (one per spread)
+function queuePictureBookGeneration({ title, premise, genre, style, audience = 'picture book', pageCount, maxWordsPerPage, budget = null, seriesId = null, authorId }) {
+  const bookPrompt = { title, premise, genre: genre || 'Picture book', style, audience };
+
+  return jobQueue.enqueue('generate-picture-book', { title, format: 'picture-book', pageCount, budget, ownerId: authorId }, async (job, { signal, onProgress, emit }) => {
+    console.log(`Starting picture book generation: "${title}" (${pageCount} pages, job ${job.id})`);
+
+    const record = await storage.createBook({
+      title,
+      status: 'DRAFTING',
+      authorId,
+      metadata: { format: 'picture-book', genre: bookPrompt.genre, style, audience, premise, pageCount, maxWordsPerPage, jobId: job.id, budget }
+    });
+    if (seriesId) await addBookToSeries(seriesId, record);
+    onProgress({ bookId: record.id, pageCount });
+    emit('picture-book-started', { bookId: record.id, pageCount });
+
+    try {
+      const usageTracker = new UsageTracker({ maxCost: budget, prices: aiManager.usage.prices });
+      const { seriesContext } = await loadSeriesContext(seriesId, record.id);
+      const book = await aiManager.generatePictureBook({ ...bookPrompt, seriesContext }, { pageCount, maxWordsPerPage, usageTracker, signal, onEvent: emit });
+      for (const spread of book.spreads) {
+        await storage.createChapter(record.id, spreadToChapter(spread));
+      }
+
+      const generation = {
+        provider: book.provider,
+        spreads: book.spreads.length,
+        totalWords: book.spreads.reduce((sum, spread) => sum + spread.wordCount, 0),
+        issues: book.issues,
+        readability: { passes: book.readability.passes, fleschKincaidGrade: book.readability.metrics.fleschKincaidGrade, issues: book.readability.issues },
+        safety: { flagged: book.safety.findings.length, rejectedDrafts: book.safety.rejectedDrafts.length },
+        usage: usageTracker.summary(),
+        endTime: new Date().toISOString()
+      };
+      const summary = seriesId
+        ? await aiManager.summarizeBook({ title, premise, chapters: book.spreads.map(spreadToChapter) }, { signal, onEvent: emit })
+        : null;
+      const drafted = await storage.updateBook(record.id, { metadata: { ...record.metadata, generation, summary: summary || undefined } });
+      await finishDrafting(drafted, book.issues.length === 0, job.id);
+      onProgress({ totalChapters: book.spreads.length, completedChapters: book.spreads.length });
+      emit('picture-book-completed', { bookId: record.id, spreads: book.spreads.length, issues: book.issues });
+
+      return { bookId: record.id, layout: book.layout, spreads: book.spreads, generation };
+    } catch (error) {
+      await storage.updateBook(record.id, {
+        metadata: { ...record.metadata, error: error.message }
+      });
+      throw error;
+    }
+  });
+}
+
+// Picture-book options from a request; returns { pageCount, maxWordsPerPage } or { error }
+function parsePictureBookOptions({ pageCount, maxWordsPerPage }) {
+  const pages = pageCount === undefined ? DEFAULT_PAGE_COUNT : parseInt(pageCount, 10);
+  if (!PAGE_COUNTS.includes(pages)) {
+    return { error: `pageCount must be one of ${PAGE_COUNTS.join(', ')}` };
+  }
+
+  const words = maxWordsPerPage === undefined ? DEFAULT_MAX_WORDS_PER_PAGE : parseInt(maxWordsPerPage, 10);
+  if (!Number.isInteger(words) || words < 1) {
+    return { error: 'maxWordsPerPage must be a positive whole number' };
+  }
+  return { pageCount: pages, maxWordsPerPage: words };
+}
+
+// Optional per-book spending cap in USD; returns { budget } or { error }
+function parseBudget(value) {
+  if (value === undefined || value === null || value === '') return { budget: null };
+  const budget = Number(value);
+  if (!Number.isFinite(budget) || budget <= 0) {
+    return { error: 'Budget must be a positive amount in USD' };
+  }
+  return { budget };
+}
+
+// Stream a job's events to the client as Server-Sent Events until it finishes
+function streamJobEvents(req, res, job) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ jobId: job.id, ...event.data })}\n\n`);
+    // Check the event's own status: a finished job's replayed history also has 'running'
+    if (event.type === 'status' && ['completed', 'failed', 'cancelled'].includes(event.data.status)) {
+      res.write(`event: done\ndata: ${JSON.stringify({ jobId: job.id, status: event.data.status })}\n\n`);
+      res.end();
+    }
+  };
+
+  res.write(`event: job\ndata: ${JSON.stringify({ jobId: job.id, statusUrl: `/api/jobs/${job.id}` })}\n\n`);
+
+  // Keep proxies from closing an idle stream between chapters
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  const unsubscribe = jobQueue.subscribe(job.id, send);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// Generate complete book (runs as a background job; poll /api/jobs/:id).
+// format: 'picture-book' lays out pageCount pages as spreads instead of chapters.
 app.post('/api/generate-book', async (req, res) => {
   try {
-    const { title, genre, style = 'engaging', audience = 'general', chapters } = req.body;
-    
-    if (!title || !chapters) {
+    const { title, chapters, format = 'chapters' } = req.body;
+    const pictureBook = format === 'picture-book';
+
+    if (!['chapters', 'picture-book'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be chapters or picture-book' });
+    }
+    if (!title || (!chapters && !pictureBook)) {
       return res.status(400).json({ error: 'Title and chapters are required' });
     }
 
-    const bookPrompt = {
-      title,
-      genre: genre || 'General',
-      style,
-      audience,
-      context: `This book titled "${title}" is a ${genre} work written in an ${style} style for a ${audience} audience.`
-    };
-
-    // Convert simple chapter list to outline format
-    const chapterOutline = chapters.map((chapterTitle, index) => ({
-      title: chapterTitle,
-      outline: `Chapter ${index + 1} should cover the main aspects of ${chapterTitle}`,
-      keyPoints: [],
-      length: '1500-2500 words'
-    }));
+    const { budget, error } = parseBudget(req.body.budget);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (req.body.seriesId && !(await findSeries(req.user, req.body.seriesId))) {
+      return res.status(400).json({ error: 'Series not found' });
+    }
 
-    console.log(`Starting book generation: "${title}" with ${chapters.length} chapters`);
-    
-    const book = await aiManager.generateBook(bookPrompt, chapterOutline);
-    
-    res.json({
+    let job;
+    if (pictureBook) {
+      const layout = parsePictureBookOptions(req.body);
+      if (layout.error) {
+        return res.status(400).json({ error: layout.error });
+      }
+      job = queuePictureBookGeneration({ ...req.body, ...layout, budget, authorId: req.user.id });
+    } else {
+      job = queueBookGeneration({ ...req.body, budget, bookId: null, authorId: req.user.id });
+    }
+
+    res.status(202).json({
       success: true,
-      book: book,
-      message: `Book "${title}" generated successfully!`
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      streamUrl: `/api/jobs/${job.id}/events`,
+      message: `Book "${title}" queued for generation`
     });
   } catch (error) {
+    if (error instanceof OutlineValidationError) {
+      return res.status(400).json({ error: error.message, details: error.errors });
+    }
     console.error('Book generation error:', error);
     res.status(500).json({
       success: false,
       error: error.message,
-      providers: aiManager.getProviderStatus()
+      ...(isAdmin(req.user) && { providers: aiManager.getProviderStatus() })
     });
   }
 });
 
-// Get AI provider status
-app.get('/api/ai-status', (req, res) => {
+// Generate complete book and stream chapter-by-chapter progress (SSE).
+// Chapters may be repeated query params or a comma-separated list.
+app.get('/api/generate-book/stream', (req, res) => {
+  const { title, genre, style, audience } = req.query;
+  const chapters = [].concat(req.query.chapters || [])
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  if (!title || chapters.length === 0) {
+    return res.status(400).json({ error: 'Title and chapters are required' });
+  }
+
+  const { budget, error } = parseBudget(req.query.budget);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let job;
+  try {
+    job = queueBookGeneration({ title, genre, style, audience, chapters, budget, authorId: req.user.id });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  streamJobEvents(req, res, job);
+});
+
+// Jobs the user started (every job for admins)
+function visibleJobs(user) {
+  return jobQueue.listJobs().filter(job => canAccess(user, job.payload, 'ownerId'));
+}
+
+// A job the user may see, or null
+function findJob(user, id) {
+  const job = jobQueue.getJob(id);
+  return job && canAccess(user, job.payload, 'ownerId') ? job : null;
+}
+
+// List generation jobs
+app.get('/api/jobs', (req, res) => {
+  res.json({
+    jobs: visibleJobs(req.user).map(job => jobQueue.serializeJob(job, { includeResult: false })),
+    stats: jobQueue.getStats()
+  });
+});
+
+// Get job status, per-chapter progress and (once finished) the result
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ success: true, job: jobQueue.serializeJob(job) });
+});
+
+// Stream a job's events (SSE); replays earlier events first
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = findJob(req.user, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  streamJobEvents(req, res, job);
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', (req, res) => {
+  if (!findJob(req.user, req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const job = jobQueue.cancel(req.params.id);
+
+  res.json({
+    success: true,
+    job: jobQueue.serializeJob(job, { includeResult: false }),
+    message: job.status === 'running' ? 'Cancellation requested' : `Job is ${job.status}`
+  });
+});
+
+// Book library
+
+const BOOK_FIELDS = ['title', 'description', 'status', 'metadata'];
+const CHAPTER_FIELDS = ['title', 'content', 'metadata'];
+
+function pickFields(body, fields) {
+  return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function parseChapterNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// List the user's books (admins: every book, or one author's with ?authorId=),
+// optionally filtered by status
+app.get('/api/books', asyncRoute(async (req, res) => {
+  const authorId = isAdmin(req.user) ? req.query.authorId : req.user.id;
+  const books = await storage.listBooks({ status: req.query.status, authorId });
+  res.json({ success: true, books });
+}));
+
+// Create a book, optionally with chapters
+app.post('/api/books', asyncRoute(async (req, res) => {
+  const { title, status = 'DRAFTING', chapters = [] } = req.body;
+
+  if (!title) {
+    return res.status(400).json({ error: 'Title is required' });
+  }
+  if (!INITIAL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `New books start in ${INITIAL_STATUSES.join(' or ')}` });
+  }
+
+  const book = await storage.createBook({ ...pickFields(req.body, BOOK_FIELDS), status, authorId: req.user.id });
+  for (const chapter of chapters) {
+    await storage.createChapter(book.id, pickFields(chapter, CHAPTER_FIELDS));
+  }
+
+  res.status(201).json({ success: true, book: await storage.getBook(book.id, { includeChapters: true }) });
+}));
+
+app.get('/api/books/:id', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id, { includeChapters: true });
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+
+  res.json({ success: true, book });
+}));
+
+// Status changes go through the workflow (POST /api/books/:id/transitions)
+app.put('/api/books/:id', asyncRoute(async (req, res) => {
+  const { status, ...changes } = pickFields(req.body, BOOK_FIELDS);
+  const current = await storage.getBook(req.params.id);
+  if (current && status && status !== current.status) {
+    return res.status(400).json({ error: 'Change the status with POST /api/books/:id/transitions' });
+  }
+  if (current && rejectLockedBook(res, current)) return;
+
+  const book = current && await storage.updateBook(req.params.id, changes);
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+
+  res.json({ success: true, book });
+}));
+
+app.delete('/api/books/:id', asyncRoute(async (req, res) => {
+  if (!(await storage.deleteBook(req.params.id))) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+
+  res.json({ success: true, message: 'Book deleted' });
+}));
+
+// Workflow states and the moves allowed from each
+app.get('/api/workflow', (req, res) => {
+  res.json({ success: true, states: BOOK_STATUSES, transitions: TRANSITIONS, initial: INITIAL_STATUSES });
+});
+
+// Books grouped by workflow state (?status= for one state). Users see their own
+// books; reviewers also see every author's books under review.
+app.get('/api/workflow/books', asyncRoute(async (req, res) => {
+  const states = req.query.status ? [req.query.status] : BOOK_STATUSES;
+  if (!states.every(status => BOOK_STATUSES.includes(status))) {
+    return res.status(400).json({ error: `Status must be one of ${BOOK_STATUSES.join(', ')}` });
+  }
+
+  const books = {};
+  for (const status of states) {
+    const everyone = isAdmin(req.user) || (isReviewer(req.user) && REVIEW_STATUSES.includes(status));
+    const found = await storage.listBooks({ status, authorId: everyone ? undefined : req.user.id });
+    books[status] = found.map(book => ({
+      id: book.id,
+      title: book.title,
+      authorId: book.authorId,
+      status: book.status,
+      signoff: book.metadata?.signoff || null,
+      updatedAt: book.updatedAt
+    }));
+  }
+  res.json({ success: true, books });
+}));
+
+// Move a book to another workflow state: { status, note }. Approving is a reviewer's
+// sign-off; requesting changes needs a note.
+app.post('/api/books/:id/transitions', asyncRoute(async (req, res) => {
+  const { status } = req.body;
+  const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+  const book = await storage.getBook(req.params.id);
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+
+  let planned;
+  try {
+    planned = planTransition(book, status, { user: req.user, note });
+  } catch (error) {
+    if (!(error instanceof WorkflowError)) throw error;
+    return res.status(error.forbidden ? 403 : 409).json({ error: error.message, status: book.status, allowed: TRANSITIONS[book.status] });
+  }
+
+  const moved = await storage.transitionBook(book.id, book.status, planned, { userId: req.user.id, note });
+  if (!moved) {
+    return res.status(409).json({ error: 'The book was moved by someone else; reload it and try again' });
+  }
+  if (moved.status === 'PUBLISHED') {
+    notify('book.published', { bookId: moved.id, title: moved.title, publishedAt: moved.metadata.publishedAt, signoff: moved.metadata.signoff }, moved.authorId);
+  }
+  res.json({ success: true, book: moved });
+}));
+
+// Who moved the book, when, and from which state
+app.get('/api/books/:id/transitions', asyncRoute(async (req, res) => {
+  if (!(await storage.getBook(req.params.id))) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  res.json({ success: true, transitions: await storage.listBookTransitions(req.params.id) });
+}));
+
+// Outline fields a caller can set when asking for an outline
+const OUTLINE_REQUEST_FIELDS = ['premise', 'title', 'genre', 'style', 'audience', 'chapterCount', 'targetWords'];
+
+function parseTargetWords(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const words = parseInt(value, 10);
+  return Number.isInteger(words) && words > 0 ? words : NaN;
+}
+
+// Generate an outline from a premise and save it as a new draft book for review
+app.post('/api/outlines', asyncRoute(async (req, res) => {
+  const request = pickFields(req.body, OUTLINE_REQUEST_FIELDS);
+  if (!request.premise) {
+    return res.status(400).json({ error: 'Premise is required' });
+  }
+  request.targetWords = parseTargetWords(request.targetWords);
+  if (Number.isNaN(request.targetWords)) {
+    return res.status(400).json({ error: 'targetWords must be a positive whole number' });
+  }
+  const { series, seriesContext } = await loadSeriesContext(req.body.seriesId);
+  if (req.body.seriesId && !(series && canAccess(req.user, series, 'ownerId'))) {
+    return res.status(400).json({ error: 'Series not found' });
+  }
+
+  let outline;
+  try {
+    outline = await aiManager.generateOutline({ ...request, seriesContext });
+  } catch (error) {
+    return res.status(502).json({ success: false, error: error.message, ...(isAdmin(req.user) && { providers: aiManager.getProviderStatus() }) });
+  }
+
+  const book = await storage.createBook({
+    title: request.title || outline.chapters[0].title,
+    status: 'OUTLINING',
+    authorId: req.user.id,
+    metadata: {
+      genre: request.genre || 'General',
+      style: request.style || 'engaging',
+      audience: request.audience || 'general',
+      premise: request.premise,
+      targetWords: request.targetWords,
+      outline: { chapters: outline.chapters, provider: outline.provider, generatedAt: outline.timestamp, usage: outline.usage }
+    }
+  });
+  if (series) await addBookToSeries(series.id, book);
+
+  res.status(201).json({ success: true, book: await storage.getBook(book.id), outline: book.metadata.outline });
+}));
+
+app.get('/api/books/:id/outline', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id);
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  if (!book.metadata?.outline) {
+    return res.status(404).json({ error: 'Book has no outline' });
+  }
+
+  res.json({ success: true, premise: book.metadata.premise || null, outline: book.metadata.outline });
+}));
+
+// Replace the outline after review (chapters may be reordered, added or edited)
+app.put('/api/books/:id/outline', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id);
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  if (rejectLockedBook(res, book)) return;
+
+  let chapters;
+  try {
+    chapters = normalizeOutline(req.body);
+  } catch (error) {
+    if (!(error instanceof OutlineValidationError)) throw error;
+    return res.status(400).json({ error: error.message, details: error.errors });
+  }
+
+  const outline = { ...book.metadata?.outline, chapters, editedAt: new Date().toISOString() };
+  const metadata = { ...book.metadata, outline };
+  if (req.body.premise) metadata.premise = req.body.premise;
+
+  await storage.updateBook(book.id, { metadata });
+  res.json({ success: true, premise: metadata.premise || null, outline });
+}));
+
+// Regenerate the outline, from a new premise or the stored one
+app.post('/api/books/:id/outline', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id);
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  if (rejectLockedBook(res, book)) return;
+
+  const metadata = book.metadata || {};
+  const request = {
+    premise: metadata.premise,
+    title: book.title,
+    genre: metadata.genre,
+    style: metadata.style,
+    audience: metadata.audience,
+    targetWords: metadata.targetWords,
+    chapterCount: metadata.outline?.chapters.length,
+    ...pickFields(req.body, OUTLINE_REQUEST_FIELDS)
+  };
+  if (!request.premise) {
+    return res.status(400).json({ error: 'Premise is required' });
+  }
+  request.targetWords = parseTargetWords(request.targetWords);
+  if (Number.isNaN(request.targetWords)) {
+    return res.status(400).json({ error: 'targetWords must be a positive whole number' });
+  }
+
+  const { seriesContext } = await loadSeriesContext(book.seriesId, book.id);
+  let generated;
+  try {
+    generated = await aiManager.generateOutline({ ...request, seriesContext });
+  } catch (error) {
+    return res.status(502).json({ success: false, error: error.message, ...(isAdmin(req.user) && { providers: aiManager.getProviderStatus() }) });
+  }
+
+  const outline = { chapters: generated.chapters, provider: generated.provider, generatedAt: generated.timestamp, usage: generated.usage };
+  await storage.updateBook(book.id, {
+    metadata: { ...metadata, premise: request.premise, targetWords: request.targetWords, outline }
+  });
+  res.json({ success: true, premise: request.premise, outline });
+}));
+
+// Draft the book's chapters from its outline (background job; replaces existing chapters)
+app.post('/api/books/:id/generate', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id);
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  if (!book.metadata?.outline) {
+    return res.status(409).json({ error: 'Book has no outline; create one with POST /api/books/:id/outline' });
+  }
+  if (book.status !== 'DRAFTING' && !canTransition(book.status, 'DRAFTING')) {
+    return res.status(409).json({ error: `A book in ${book.status} can't be redrafted` });
+  }
+
+  const { budget, error } = parseBudget(req.body.budget);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const metadata = book.metadata;
+  const job = queueBookGeneration({
+    title: book.title,
+    genre: metadata.genre,
+    style: metadata.style,
+    audience: metadata.audience,
+    premise: metadata.premise,
+    chapters: metadata.outline.chapters,
+    budget,
+    bookId: book.id,
+    authorId: book.authorId
+  });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    streamUrl: `/api/jobs/${job.id}/events`,
+    message: `Book "${book.title}" queued for drafting from its outline`
+  });
+}));
+
+// Story bible routes for a scope: books (/api/books/:id/bible) and series
+// (/api/series/:id/bible). findScope(req) resolves the scope id or null for 404.
+function storyBibleRoutes(basePath, scope, findScope) {
+  const load = async (req, res) => {
+    const scopeId = await findScope(req);
+    if (!scopeId) {
+      res.status(404).json({ error: `${scope === 'book' ? 'Book' : 'Series'} not found` });
+      return null;
+    }
+    return { scopeId, bible: await storage.getStoryBible(scope, scopeId) || emptyBible() };
+  };
+  const checkSection = (req, res) => {
+    if (SECTIONS[req.params.section]) return true;
+    res.status(400).json({ error: `Section must be one of ${Object.keys(SECTIONS).join(', ')}` });
+    return false;
+  };
+  const sendValidationError = (res, error) => {
+    if (!(error instanceof StoryBibleValidationError)) throw error;
+    res.status(400).json({ error: error.message, details: error.errors });
+  };
+
+  app.get(basePath, asyncRoute(async (req, res) => {
+    const loaded = await load(req, res);
+    if (!loaded) return;
+
+    const seriesId = scope === 'book' ? (await storage.getBook(loaded.scopeId)).seriesId : null;
+    res.json({
+      success: true,
+      bible: loaded.bible,
+      seriesBible: seriesId ? await storage.getStoryBible('series', seriesId) : undefined
+    });
+  }));
+
+  // Replace the whole bible
+  app.put(basePath, asyncRoute(async (req, res) => {
+    const loaded = await load(req, res);
+    if (!loaded) return;
+
+    try {
+      const bible = await storage.saveStoryBible(scope, loaded.scopeId, normalizeBible(req.body));
+      res.json({ success: true, bible });
+    } catch (error) {
+      sendValidationError(res, error);
+    }
+  }));
+
+  app.post(`${basePath}/:section`, asyncRoute(async (req, res) => {
+    if (!checkSection(req, res)) return;
+    const loaded = await load(req, res);
+    if (!loaded) return;
+
+    try {
+      const entry = normalizeEntry(req.params.section, { ...req.body, id: undefined, source: 'manual' });
+      const key = SECTIONS[req.params.section].key;
+      const duplicate = loaded.bible[req.params.section]
+        .find(item => item[key].toLowerCase() === entry[key].toLowerCase());
+      if (duplicate) {
+        return res.status(409).json({ error: `Entry already exists; update it with PATCH ${req.baseUrl}${req.path}/${duplicate.id}`, entry: duplicate });
+      }
+
+      loaded.bible[req.params.section].push(entry);
+      await storage.saveStoryBible(scope, loaded.scopeId, { ...loaded.bible, updatedAt: new Date().toISOString() });
+      res.status(201).json({ success: true, entry });
+    } catch (error) {
+      sendValidationError(res, error);
+    }
+  }));
+
+  // Edited entries become manual, so later extraction won't overwrite them
+  app.patch(`${basePath}/:section/:entryId`, asyncRoute(async (req, res) => {
+    if (!checkSection(req, res)) return;
+    const loaded = await load(req, res);
+    if (!loaded) return;
+
+    const entries = loaded.bible[req.params.section];
+    const index = entries.findIndex(entry => entry.id === req.params.entryId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+
+    try {
+      entries[index] = normalizeEntry(req.params.section, { ...entries[index], ...req.body, id: entries[index].id, source: 'manual' });
+      await storage.saveStoryBible(scope, loaded.scopeId, { ...loaded.bible, updatedAt: new Date().toISOString() });
+      res.json({ success: true, entry: entries[index] });
+    } catch (error) {
+      sendValidationError(res, error);
+    }
+  }));
+
+  app.delete(`${basePath}/:section/:entryId`, asyncRoute(async (req, res) => {
+    if (!checkSection(req, res)) return;
+    const loaded = await load(req, res);
+    if (!loaded) return;
+
+    const entries = loaded.bible[req.params.section];
+    const index = entries.findIndex(entry => entry.id === req.params.entryId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+
+    entries.splice(index, 1);
+    await storage.saveStoryBible(scope, loaded.scopeId, { ...loaded.bible, updatedAt: new Date().toISOString() });
+    res.json({ success: true, message: 'Entry deleted' });
+  }));
+}
+
+storyBibleRoutes('/api/books/:id/bible', 'book', async req => ((await storage.getBook(req.params.id)) ? req.params.id : null));
+
+// Series: books in reading order, with recurring themes and a shared story bible
+
+function sendSeriesValidationError(res, error) {
+  if (!(error instanceof SeriesValidationError)) throw error;
+  res.status(400).json({ error: error.message, details: error.errors });
+}
+
+// A book as listed in its series
+function seriesEntry(book) {
+  return {
+    id: book.id,
+    title: book.title,
+    status: book.status,
+    seriesOrder: book.seriesOrder,
+    summary: bookSummary(book)
+  };
+}
+
+// A series the user may change, or null
+async function findSeries(user, id) {
+  const series = await storage.getSeries(id);
+  return series && canAccess(user, series, 'ownerId') ? series : null;
+}
+
+app.get('/api/series', asyncRoute(async (req, res) => {
+  res.json({ success: true, series: await storage.listSeries({ ownerId: isAdmin(req.user) ? undefined : req.user.id }) });
+}));
+
+// Create a series; bookIds optionally adds existing books in that reading order
+app.post('/api/series', asyncRoute(async (req, res) => {
+  let fields;
+  try {
+    fields = normalizeSeries(req.body);
+  } catch (error) {
+    return sendSeriesValidationError(res, error);
+  }
+
+  const bookIds = [].concat(req.body.bookIds || []);
+  const books = await Promise.all(bookIds.map(id => storage.getBook(id)));
+  const missing = bookIds.filter((id, index) => !books[index] || !canAccess(req.user, books[index]));
+  if (missing.length > 0) {
+    return res.status(400).json({ error: `Books not found: ${missing.join(', ')}` });
+  }
+
+  const series = await storage.createSeries({ ...fields, ownerId: req.user.id });
+  for (const book of books) {
+    await addBookToSeries(series.id, book);
+  }
+
+  res.status(201).json({ success: true, series, books: (await storage.listSeriesBooks(series.id)).map(seriesEntry) });
+}));
+
+app.get('/api/series/:id', asyncRoute(async (req, res) => {
+  const series = await storage.getSeries(req.params.id);
+  if (!series) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+
+  const bible = await storage.getStoryBible('series', series.id) || emptyBible();
+  res.json({
+    success: true,
+    series,
+    books: (await storage.listSeriesBooks(series.id)).map(seriesEntry),
+    characters: bible.characters
+  });
+}));
+
+app.put('/api/series/:id', asyncRoute(async (req, res) => {
+  let changes;
+  try {
+    changes = normalizeSeries(req.body, { partial: true });
+  } catch (error) {
+    return sendSeriesValidationError(res, error);
+  }
+
+  const series = await storage.updateSeries(req.params.id, changes);
+  if (!series) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+
+  res.json({ success: true, series });
+}));
+
+// Books stay in the library as standalone titles
+app.delete('/api/series/:id', asyncRoute(async (req, res) => {
+  if (!(await storage.deleteSeries(req.params.id))) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+
+  res.json({ success: true, message: 'Series deleted' });
+}));
+
+app.get('/api/series/:id/books', asyncRoute(async (req, res) => {
+  if (!(await storage.getSeries(req.params.id))) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+
+  res.json({ success: true, books: (await storage.listSeriesBooks(req.params.id)).map(seriesEntry) });
+}));
+
+// Add a book (or move it within or from another series) at a 1-based position
+app.post('/api/series/:id/books', asyncRoute(async (req, res) => {
+  const { bookId, position } = req.body;
+  if (!bookId) {
+    return res.status(400).json({ error: 'bookId is required' });
+  }
+  if (position !== undefined && !parseChapterNumber(position)) {
+    return res.status(400).json({ error: 'Position must be a positive integer' });
+  }
+  if (!(await storage.getSeries(req.params.id))) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+  const book = await storage.getBook(bookId);
+  if (!book || !canAccess(req.user, book)) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+
+  const books = await addBookToSeries(req.params.id, book, parseChapterNumber(position));
+  res.json({ success: true, books: books.map(seriesEntry) });
+}));
+
+// Reorder: bookIds lists every book in the series in its new reading order
+app.put('/api/series/:id/books', asyncRoute(async (req, res) => {
+  if (!(await storage.getSeries(req.params.id))) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+
+  const current = (await storage.listSeriesBooks(req.params.id)).map(book => book.id);
+  let order;
+  try {
+    order = validateReorder(current, req.body.bookIds);
+  } catch (error) {
+    return sendSeriesValidationError(res, error);
+  }
+
+  const books = await storage.setSeriesOrder(req.params.id, order);
+  res.json({ success: true, books: books.map(seriesEntry) });
+}));
+
+app.delete('/api/series/:id/books/:bookId', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.bookId);
+  if (!book || book.seriesId !== req.params.id) {
+    return res.status(404).json({ error: 'Book is not in this series' });
+  }
+
+  await storage.updateBook(book.id, { seriesId: null, seriesOrder: null });
+  const remaining = (await storage.listSeriesBooks(req.params.id)).map(entry => entry.id);
+  const books = await storage.setSeriesOrder(req.params.id, remaining);
+  res.json({ success: true, books: books.map(seriesEntry) });
+}));
+
+// The series context a book is generated with (?bookId=; default: the next new book)
+app.get('/api/series/:id/context', asyncRoute(async (req, res) => {
+  const { series, seriesContext } = await loadSeriesContext(req.params.id, req.query.bookId || null);
+  if (!series) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+
+  res.json({ success: true, context: seriesContext });
+}));
+
+// Characters, places and facts shared by every book in the series
+storyBibleRoutes('/api/series/:id/bible', 'series', async req => ((await storage.getSeries(req.params.id)) ? req.params.id : null));
+
+// Prompt templates. Editing a template saves a new version and activates it;
+// built-in templates are read-only, so override one with a stored template for
+// the same content type. Templates apply to every user, so only admins edit them.
+
+function sendTemplateError(res, error) {
+  if (!(error instanceof PromptTemplateError)) throw error;
+  res.status(400).json({ error: error.message, details: error.errors });
+}
+
+function isBuiltinTemplate(name) {
+  return aiManager.prompts.get(name)?.builtin === true;
+}
+
+// Active templates (built-in and stored), optionally for one content type
+app.get('/api/prompt-templates', (req, res) => {
+  res.json({ success: true, templates: aiManager.prompts.list({ contentType: req.query.contentType }) });
+});
+
+// Variables each content type provides, and which ones templates must use
+app.get('/api/prompt-templates/variables', (req, res) => {
+  res.json({ success: true, contentTypes: CONTENT_TYPES });
+});
+
+// Which template a book would use, rendered with the given variables
+// ({ contentType, genre, audience, variables }, or { name, variables })
+app.post('/api/prompt-templates/preview', asyncRoute(async (req, res) => {
+  const { name, contentType, genre, audience, variables = {} } = req.body;
+  const template = name ? aiManager.prompts.get(name) : aiManager.prompts.resolve(contentType, { genre, audience });
+  if (!template) {
+    return res.status(404).json({ error: name ? 'Template not found' : `No template for content type ${contentType}` });
+  }
+
+  try {
+    res.json({ success: true, template: { name: template.name, version: template.version }, prompt: renderTemplate(template, variables) });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+}));
+
+app.post('/api/prompt-templates', requireAdmin, asyncRoute(async (req, res) => {
+  if (!req.body.name) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  let fields;
+  try {
+    fields = validateTemplate(req.body);
+  } catch (error) {
+    return sendTemplateError(res, error);
+  }
+  if (isBuiltinTemplate(req.body.name) || (await storage.listPromptTemplateVersions(req.body.name)).length > 0) {
+    return res.status(409).json({ error: `Template ${req.body.name} already exists; edit it with PUT /api/prompt-templates/${req.body.name}` });
+  }
+
+  const template = await storage.createPromptTemplateVersion(req.body.name, fields);
+  await reloadPromptTemplates();
+  res.status(201).json({ success: true, template });
+}));
+
+// Active version and full history (built-ins have a single version)
+app.get('/api/prompt-templates/:name', asyncRoute(async (req, res) => {
+  if (isBuiltinTemplate(req.params.name)) {
+    const template = aiManager.prompts.get(req.params.name);
+    return res.json({ success: true, template, versions: [template] });
+  }
+
+  const versions = await storage.listPromptTemplateVersions(req.params.name);
+  if (versions.length === 0) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  res.json({ success: true, template: versions.find(version => version.active) || null, versions });
+}));
+
+// Save a new version; fields not given are carried over from the active version
+app.put('/api/prompt-templates/:name', requireAdmin, asyncRoute(async (req, res) => {
+  if (isBuiltinTemplate(req.params.name)) {
+    return res.status(409).json({ error: 'Built-in templates are read-only; create a template for the same content type to override it' });
+  }
+  const versions = await storage.listPromptTemplateVersions(req.params.name);
+  if (versions.length === 0) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  const current = versions.find(version => version.active) || versions[versions.length - 1];
+  let fields;
+  try {
+    fields = validateTemplate({
+      ...pickFields(current, ['genre', 'audience', 'description', 'body', 'requiredVariables']),
+      ...pickFields(req.body, ['genre', 'audience', 'description', 'body', 'requiredVariables']),
+      contentType: current.contentType
+    });
+  } catch (error) {
+    return sendTemplateError(res, error);
+  }
+
+  const template = await storage.createPromptTemplateVersion(req.params.name, fields);
+  await reloadPromptTemplates();
+  res.json({ success: true, template });
+}));
+
+// Roll back (or forward) to a saved version
+app.post('/api/prompt-templates/:name/activate', requireAdmin, asyncRoute(async (req, res) => {
+  const version = parseChapterNumber(req.body.version);
+  if (!version) {
+    return res.status(400).json({ error: 'Version must be a positive integer' });
+  }
+
+  const template = await storage.activatePromptTemplateVersion(req.params.name, version);
+  if (!template) {
+    return res.status(404).json({ error: 'Template version not found' });
+  }
+
+  await reloadPromptTemplates();
+  res.json({ success: true, template });
+}));
+
+app.delete('/api/prompt-templates/:name', requireAdmin, asyncRoute(async (req, res) => {
+  if (isBuiltinTemplate(req.params.name)) {
+    return res.status(409).json({ error: 'Built-in templates cannot be deleted' });
+  }
+  if (!(await storage.deletePromptTemplate(req.params.name))) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+
+  await reloadPromptTemplates();
+  res.json({ success: true, message: 'Template deleted' });
+}));
+
+// Chapters are addressed by their number (order) within the book
+app.get('/api/books/:id/chapters', asyncRoute(async (req, res) => {
+  if (!(await storage.getBook(req.params.id))) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+
+  res.json({ success: true, chapters: await storage.listChapters(req.params.id) });
+}));
+
+app.post('/api/books/:id/chapters', asyncRoute(async (req, res) => {
+  const { title, order } = req.body;
+
+  if (!title) {
+    return res.status(400).json({ error: 'Title is required' });
+  }
+  if (order !== undefined && !parseChapterNumber(order)) {
+    return res.status(400).json({ error: 'Order must be a positive integer' });
+  }
+  const book = await storage.getBook(req.params.id);
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  if (rejectLockedBook(res, book)) return;
+  if (order !== undefined && await storage.getChapter(req.params.id, parseChapterNumber(order))) {
+    return res.status(409).json({ error: `Chapter ${order} already exists` });
+  }
+
+  const chapter = await storage.createChapter(req.params.id, {
+    ...pickFields(req.body, CHAPTER_FIELDS),
+    order: order !== undefined ? parseChapterNumber(order) : undefined
+  });
+  res.status(201).json({ success: true, chapter });
+}));
+
+app.get('/api/books/:id/chapters/:n', asyncRoute(async (req, res) => {
+  const chapter = await storage.getChapter(req.params.id, parseChapterNumber(req.params.n));
+  if (!chapter) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  res.json({ success: true, chapter });
+}));
+
+// What a stored chapter must stay consistent with: the chapters before it
+// (as generateBook sees them) and the book's and series' story bibles
+async function loadChapterContext(book, number) {
+  const earlier = book.chapters
+    .filter(ch => ch.order < number && !ch.metadata?.error)
+    .map(ch => ({ number: ch.order, title: ch.title, content: ch.content }));
+  const seriesId = book.seriesId;
+  const storyBible = combineBibles(
+    seriesId ? await storage.getStoryBible('series', seriesId) : null,
+    await storage.getStoryBible('book', book.id)
+  );
+
+  return {
+    previousContent: aiManager.buildContextFromChapters(earlier),
+    consistencyReference: aiManager.buildConsistencyReference(earlier, storyBible),
+    storyBible
+  };
+}
+
+// Score a stored chapter against the chapters before it and the story bible
+app.get('/api/books/:id/chapters/:n/consistency', asyncRoute(async (req, res) => {
+  const number = parseChapterNumber(req.params.n);
+  const book = await storage.getBook(req.params.id, { includeChapters: true });
+  const chapter = book?.chapters.find(ch => ch.order === number);
+  if (!chapter) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  const reference = (await loadChapterContext(book, number)).consistencyReference;
+  if (reference.length === 0) {
+    return res.json({ success: true, chapter: number, consistency: null, message: 'Nothing earlier to compare against' });
+  }
+
+  const report = await aiManager.checkConsistency(chapter.content, reference);
+  if (!report) {
+    return res.status(502).json({ error: 'Consistency scoring is unavailable' });
+  }
+
+  res.json({ success: true, chapter: number, consistency: report });
+}));
+
+// Reading level of a stored chapter against the book's audience (or ?audience=)
+app.get('/api/books/:id/chapters/:n/readability', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id);
+  const chapter = book && await storage.getChapter(book.id, parseChapterNumber(req.params.n));
+  if (!chapter) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  const audience = req.query.audience || book.metadata?.audience || 'general';
+  res.json({ success: true, chapter: chapter.order, readability: checkReadability(chapter.content, audience) });
+}));
+
+// Check a stored chapter (e.g. after a manual edit) against the audience's safety rules
+app.get('/api/books/:id/chapters/:n/safety', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id);
+  const chapter = book && await storage.getChapter(book.id, parseChapterNumber(req.params.n));
+  if (!chapter) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  const audience = req.query.audience || book.metadata?.audience || 'general';
+  res.json({ success: true, chapter: chapter.order, safety: aiManager.safetyFilter.check(chapter.content, audience) });
+}));
+
+// Text edits are recorded in the chapter's version history
+app.put('/api/books/:id/chapters/:n', asyncRoute(async (req, res) => {
+  const number = parseChapterNumber(req.params.n);
+  const book = await storage.getBook(req.params.id);
+  if (book && rejectLockedBook(res, book)) return;
+
+  const changes = pickFields(req.body, CHAPTER_FIELDS);
+  const updated = changes.content !== undefined
+    ? await updateChapterWithHistory(storage, req.params.id, number, changes, { source: 'manual', notes: req.body.notes || null })
+    : { chapter: await storage.updateChapter(req.params.id, number, changes) };
+  if (!updated?.chapter) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  res.json({ success: true, chapter: updated.chapter, version: updated.version });
+}));
+
+// Rewrite a chapter from editor notes; the result becomes a new chapter version
+app.post('/api/books/:id/chapters/:n/revise', asyncRoute(async (req, res) => {
+  const { notes, provider } = req.body;
+  if (!notes || typeof notes !== 'string' || !notes.trim()) {
+    return res.status(400).json({ error: 'Editor notes are required' });
+  }
+
+  const number = parseChapterNumber(req.params.n);
+  const book = await storage.getBook(req.params.id, { includeChapters: true });
+  const chapter = book?.chapters.find(ch => ch.order === number);
+  if (!chapter) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+  if (rejectLockedBook(res, book)) return;
+
+  const metadata = book.metadata || {};
+  const bookPrompt = {
+    title: book.title,
+    genre: metadata.genre || 'General',
+    style: metadata.style || 'engaging',
+    audience: metadata.audience || 'general',
+    seriesContext: (await loadSeriesContext(book.seriesId, book.id)).seriesContext
+  };
+
+  let result;
+  try {
+    await syncDuplicateIndex();
+    result = await aiManager.reviseChapter(bookPrompt, chapter, notes.trim(), await loadChapterContext(book, number), {
+      provider,
+      duplicateKey: chapterKey(book.id, number),
+      authorId: book.authorId
+    });
+  } catch (error) {
+    if (error instanceof ContentSafetyError) {
+      return res.status(422).json({ success: false, error: error.message, findings: error.findings });
+    }
+    return res.status(502).json({ success: false, error: error.message, ...(isAdmin(req.user) && { providers: aiManager.getProviderStatus() }) });
+  }
+
+  const revisionMetadata = {
+    provider: result.provider,
+    qualityScore: result.qualityScore,
+    consistencyScore: result.consistencyScore,
+    driftingPassages: result.consistency?.drifting,
+    readability: result.readability,
+    safety: result.safety,
+    duplicates: result.duplicates,
+    usage: result.usage,
+    generatedAt: result.timestamp
+  };
+  const { chapter: revised, version } = await updateChapterWithHistory(storage, book.id, number, {
+    content: result.content,
+    metadata: { ...chapter.metadata, ...revisionMetadata, error: undefined, revisedAt: result.timestamp }
+  }, { source: 'revision', notes: notes.trim(), metadata: revisionMetadata });
+
+  res.json({ success: true, chapter: revised, version });
+}));
+
+// Version history, newest last; pass ?content=true to include each version's text
+app.get('/api/books/:id/chapters/:n/versions', asyncRoute(async (req, res) => {
+  const versions = await storage.listChapterVersions(req.params.id, parseChapterNumber(req.params.n));
+  if (!versions) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  const includeContent = req.query.content === 'true';
+  res.json({
+    success: true,
+    versions: versions.map(({ content, ...version }) => (includeContent ? { ...version, content } : version))
+  });
+}));
+
+app.get('/api/books/:id/chapters/:n/versions/:version', asyncRoute(async (req, res) => {
+  const version = await storage.getChapterVersion(req.params.id, parseChapterNumber(req.params.n), parseChapterNumber(req.params.version));
+  if (!version) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  res.json({ success: true, version });
+}));
+
+// Diff two versions (?from=&to=, default: previous version against the current
+// text). ?by=word gives a word-level diff.
+app.get('/api/books/:id/chapters/:n/diff', asyncRoute(async (req, res) => {
+  const number = parseChapterNumber(req.params.n);
+  const chapter = await storage.getChapter(req.params.id, number);
+  if (!chapter) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  const versions = await storage.listChapterVersions(req.params.id, number);
+  if (versions.length === 0) {
+    return res.status(404).json({ error: 'Chapter has no version history yet' });
+  }
+  const latest = versions[versions.length - 1];
+  const resolve = (value, fallback) => {
+    if (value === undefined || value === 'current') return fallback;
+    return versions.find(v => v.version === parseChapterNumber(value)) || null;
+  };
+  const current = { version: 'current', content: chapter.content };
+  const to = resolve(req.query.to, current);
+  const from = resolve(req.query.from, versions.length > 1 ? versions[versions.length - 2] : latest);
+  if (!from || !to) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  const by = req.query.by === 'word' ? 'word' : 'line';
+  res.json({ success: true, from: from.version, to: to.version, ...diffText(from.content, to.content, { by }) });
+}));
+
+// Restore an earlier version; the restored text is recorded as a new version
+app.post('/api/books/:id/chapters/:n/rollback', asyncRoute(async (req, res) => {
+  const number = parseChapterNumber(req.params.n);
+  const target = await storage.getChapterVersion(req.params.id, number, parseChapterNumber(req.body.version));
+  if (!target) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  if (rejectLockedBook(res, await storage.getBook(req.params.id))) return;
+
+  const { chapter, version } = await updateChapterWithHistory(storage, req.params.id, number, {
+    title: target.title,
+    content: target.content
+  }, { source: 'rollback', notes: `Rolled back to version ${target.version}`, metadata: { restoredVersion: target.version } });
+
+  res.json({ success: true, chapter, version });
+}));
+
+app.delete('/api/books/:id/chapters/:n', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id);
+  if (book && rejectLockedBook(res, book)) return;
+
+  if (!(await storage.deleteChapter(req.params.id, parseChapterNumber(req.params.n)))) {
+    return res.status(404).json({ error: 'Chapter not found' });
+  }
+
+  res.json({ success: true, message: 'Chapter deleted' });
+}));
+
+// Book exports
+
+function slugify(title) {
+  return String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'book';
+}
+
+// Load a book for export; responds with an error and returns null when it can't be exported
+async function loadBookForExport(req, res) {
+  const book = await storage.getBook(req.params.id, { includeChapters: true });
+  if (!book) {
+    res.status(404).json({ error: 'Book not found' });
+    return null;
+  }
+  if (book.chapters.length === 0) {
+    res.status(400).json({ error: 'Book has no chapters to export' });
+    return null;
+  }
+
+  const failed = book.chapters.filter(ch => ch.metadata?.error).map(ch => ch.order);
+  if (failed.length > 0 && req.query.force !== 'true') {
+    res.status(409).json({
+      error: 'Book has chapters that failed generation; fix them or pass force=true',
+      chapters: failed
+    });
+    return null;
+  }
+
+  const author = await storage.getUser(book.authorId);
+  return { book, author: author?.name };
+}
+
+// Export a stored book as EPUB 3
+app.get('/api/books/:id/export.epub', asyncRoute(async (req, res) => {
+  const loaded = await loadBookForExport(req, res);
+  if (!loaded) return;
+
+  let epub;
+  try {
+    epub = new EpubExporter().export(loaded.book, { author: loaded.author, language: req.query.language });
+  } catch (error) {
+    return res.status(422).json({ success: false, error: error.message });
+  }
+
+  res.set({
+    'Content-Type': 'application/epub+zip',
+    'Content-Disposition': `attachment; filename="${slugify(loaded.book.title)}.epub"`
+  });
+  res.send(epub);
+}));
+
+// Export a stored book as a print-ready PDF interior (?trim=5x8|6x9|8.5x8.5)
+app.get('/api/books/:id/export.pdf', asyncRoute(async (req, res) => {
+  const trimSize = req.query.trim || '6x9';
+  if (!TRIM_SIZES[trimSize]) {
+    return res.status(400).json({ error: `Trim size must be one of ${Object.keys(TRIM_SIZES).join(', ')}` });
+  }
+
+  const loaded = await loadBookForExport(req, res);
+  if (!loaded) return;
+
+  const pdf = new PdfExporter({ trimSize }).export(loaded.book, { author: loaded.author });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${slugify(loaded.book.title)}-${trimSize}.pdf"`
+  });
+  res.send(pdf);
+}));
+
+// Generate the store listing for a book: blurbs, keywords, BISAC categories, age and
+// grade range, series tagline and author bio, checked against the platform's limits.
+// The listing is saved in the book's metadata.
+app.post('/api/books/:id/listing', asyncRoute(async (req, res) => {
+  const { platform = 'kdp', provider, authorNotes } = req.body;
+  if (!PLATFORMS[platform]) {
+    return res.status(400).json({ error: `Platform must be one of ${Object.keys(PLATFORMS).join(', ')}` });
+  }
+
+  const book = await storage.getBook(req.params.id, { includeChapters: true });
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  const chapters = book.chapters.filter(ch => !ch.metadata?.error && ch.content);
+  if (chapters.length === 0) {
+    return res.status(400).json({ error: 'Book has no chapters to write a listing from' });
+  }
+
+  const { series, seriesContext } = await loadSeriesContext(book.seriesId, book.id);
+  const author = await storage.getUser(book.authorId);
+  let listing;
+  try {
+    listing = await aiManager.generateListing({ ...book, chapters }, {
+      platform,
+      provider,
+      series,
+      seriesContext,
+      authorName: author?.name,
+      authorNotes
+    });
+  } catch (error) {
+    if (error instanceof ListingValidationError) {
+      return res.status(502).json({ success: false, error: error.message, details: error.errors });
+    }
+    if (error instanceof ContentSafetyError) {
+      return res.status(422).json({ success: false, error: error.message, findings: error.findings });
+    }
+    return res.status(502).json({ success: false, error: error.message, ...(isAdmin(req.user) && { providers: aiManager.getProviderStatus() }) });
+  }
+
+  await storage.updateBook(book.id, {
+    metadata: { ...book.metadata, summary: book.metadata?.summary || listing.summary || undefined, listing }
+  });
+  res.json({ success: true, listing });
+}));
+
+app.get('/api/books/:id/listing', asyncRoute(async (req, res) => {
+  const book = await storage.getBook(req.params.id);
+  if (!book?.metadata?.listing) {
+    return res.status(404).json({ error: 'Book has no listing; generate one first' });
+  }
+  res.json({ success: true, listing: book.metadata.listing });
+}));
+
+// Record a sale for a book
+app.post('/api/books/:id/sales', asyncRoute(async (req, res) => {
+  const { platform, quantity, revenue, saleDate } = req.body;
+
+  if (!platform || !Number.isInteger(quantity) || typeof revenue !== 'number') {
+    return res.status(400).json({ error: 'Platform, integer quantity and numeric revenue are required' });
+  }
+  if (!(await storage.getBook(req.params.id))) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+
+  const sale = await storage.createSale({ bookId: req.params.id, platform, quantity, revenue, saleDate });
+  res.status(201).json({ success: true, sale });
+}));
+
+app.get('/api/books/:id/sales', asyncRoute(async (req, res) => {
+  res.json({ success: true, sales: await storage.listSales({ bookId: req.params.id }) });
+}));
+
+// Summed generation usage of some books (a user's share of the server totals)
+function booksUsage(books) {
+  const totals = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+  for (const book of books) {
+    const usage = book.metadata?.generation?.usage;
+    if (!usage) continue;
+    for (const field of Object.keys(totals)) totals[field] += usage[field] || 0;
+  }
+  totals.cost = Math.round(totals.cost * 1e6) / 1e6;
+  return totals;
+}
+
+// Library statistics for the dashboard; users see their own books and jobs,
+// admins see everything plus provider status
+app.get('/api/dashboard', asyncRoute(async (req, res) => {
+  const admin = isAdmin(req.user);
+  const stats = await storage.getLibraryStats({ authorId: admin ? undefined : req.user.id });
+  const totalSales = stats.revenueByPlatform.reduce((sum, platform) => sum + platform.quantity, 0);
+  const totalRevenue = stats.revenueByPlatform.reduce((sum, platform) => sum + platform.revenue, 0);
+
+  res.json({
+    ...stats,
+    totalSales,
+    totalRevenue: Math.round(totalRevenue * 100) / 100,
+    recentJobs: visibleJobs(req.user).slice(0, 10).map(job => jobQueue.serializeJob(job, { includeResult: false })),
+    jobs: jobQueue.getStats(),
+    usage: admin ? aiManager.usage.summary() : booksUsage(await storage.listBooks({ authorId: req.user.id })),
+    ...(admin && { providers: aiManager.getProviderStatus() }),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Library-wide duplication report: chapter pairs sharing passages at or above
+// ?threshold= (estimated shingle overlap, 0-1). ?bookId= limits it to pairs with
+// that book. Users only see pairs between their own books.
+app.get('/api/duplicates', asyncRoute(async (req, res) => {
+  const threshold = req.query.threshold === undefined ? undefined : Number(req.query.threshold);
+  if (threshold !== undefined && !(threshold > 0 && threshold <= 1)) {
+    return res.status(400).json({ error: 'Threshold must be a number above 0 and at most 1' });
+  }
+
+  await syncDuplicateIndex();
+  const admin = isAdmin(req.user);
+  const pairs = aiManager.duplicateIndex
+    .report({ threshold, include: meta => admin || meta.authorId === req.user.id })
+    .filter(pair => !req.query.bookId || pair.a.bookId === req.query.bookId || pair.b.bookId === req.query.bookId)
+    .map(({ a, b, ...pair }) => ({ a: describeIndexed(a), b: describeIndexed(b), ...pair }));
+
+  res.json({
+    success: true,
+    threshold: threshold ?? aiManager.duplicateIndex.options.threshold,
+    chaptersIndexed: aiManager.duplicateIndex.size,
+    pairs
+  });
+}));
+
+function describeIndexed({ bookId, bookTitle, chapter, chapterTitle }) {
+  return { bookId, bookTitle, chapter, chapterTitle };
+}
+
+// Token usage and cost since the server started (admins), plus per-book generation cost
+app.get('/api/usage', asyncRoute(async (req, res) => {
+  const admin = isAdmin(req.user);
+  const books = await storage.listBooks({ authorId: admin ? undefined : req.user.id });
+  res.json({
+    success: true,
+    usage: admin ? aiManager.usage.summary() : booksUsage(books),
+    books: books
+      .filter(book => book.metadata?.generation?.usage)
+      .map(book => ({
+        id: book.id,
+        title: book.title,
+        budgetExceeded: !!book.metadata.generation.budgetExceeded,
+        ...book.metadata.generation.usage
+      }))
+  });
+}));
+
+// List registered providers and their capabilities
+app.get('/api/providers', requireAdmin, (req, res) => {
+  res.json({
+    providers: aiManager.registry.list().map(provider => ({
+      ...provider,
+      enabled: !!aiManager.providers[provider.name]
+    })),
+    failoverChain: aiManager.failoverChain,
+    defaultProvider: aiManager.defaultProvider
+  });
+});
+
+// Get AI provider and API key status
+app.get('/api/ai-status', requireAdmin, (req, res) => {
   res.json({
     providers: aiManager.getProviderStatus(),
+    apiKeys: {
+      openai: !!process.env.OPENAI_API_KEY,
+      claude: !!process.env.CLAUDE_API_KEY,
+      gemini: !!process.env.GEMINI_API_KEY
+    },
     timestamp: new Date().toISOString()
   });
 });
@@ -341,10 +2322,13 @@ app.get('/api/status', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
-    ai_providers: aiManager.getProviderStatus(),
+    ...(isAdmin(req.user) && { ai_providers: aiManager.getProviderStatus() }),
+    jobs: jobQueue.getStats(),
     features: {
       ai_generation: true,
       book_creation: true,
+      background_jobs: true,
+      book_storage: true,
       multi_provider_failover: true,
       quality_control: true
     }
@@ -372,7 +2356,7 @@ app.use((req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🏰 Briggs Empire server running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🤖 AI Providers initialized: OpenAI, Claude, Gemini`);
+  console.log(`🤖 AI Providers initialized: ${aiManager.failoverChain.join(', ')}`);
   console.log(`🚀 Ready for book generation!`);
 });
 
@@ -0,0 +1,189 @@
+// File: job-queue.js
+// Background job queue with a bounded worker pool for long-running generation
+
+const crypto = require('crypto');
+
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.maxFinishedJobs = options.maxFinishedJobs || 100;
+    this.maxEventsPerJob = options.maxEventsPerJob || 500;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    // Listeners for every job's events (see onAnyEvent)
+    this.globalListeners = new Set();
+  }
+
+  // Queue a job. The handler receives (job, { signal, onProgress, emit }) and its
+  // resolved value becomes the job result.
+  enqueue(type, payload, handler) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      payload,
+      progress: {},
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      events: [],
+      eventCount: 0,
+      listeners: new Set(),
+      controller: new AbortController(),
+      handler
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.processNext();
+
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Subscribe to a job's events. Past events are replayed first so late
+  // subscribers see the whole history. Returns an unsubscribe function.
+  subscribe(id, listener) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    job.events.forEach(listener);
+    if (this.isFinished(job)) return () => {};
+
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  }
+
+  // Listen to the events of every job: listener(job, event). Returns an
+  // unsubscribe function.
+  onAnyEvent(listener) {
+    this.globalListeners.add(listener);
+    return () => this.globalListeners.delete(listener);
+  }
+
+  emit(job, type, data = {}) {
+    const event = { id: ++job.eventCount, type, data, timestamp: new Date().toISOString() };
+    job.events.push(event);
+    if (job.events.length > this.maxEventsPerJob) job.events.shift();
+
+    for (const listener of job.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Job ${job.id} listener failed:`, error.message);
+      }
+    }
+    for (const listener of this.globalListeners) {
+      try {
+        listener(job, event);
+      } catch (error) {
+        console.error(`Job ${job.id} listener failed:`, error.message);
+      }
+    }
+  }
+
+  isFinished(job) {
+    return ['completed', 'failed', 'cancelled'].includes(job.status);
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Cancel a queued or running job. Running handlers see the aborted signal
+  // and are expected to stop at their next checkpoint.
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (!['queued', 'running'].includes(job.status)) return job;
+
+    job.controller.abort();
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(queued => queued !== job);
+      this.finish(job, 'cancelled');
+    }
+
+    return job;
+  }
+
+  // Start queued jobs while there are free workers
+  processNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emit(job, 'status', { status: job.status });
+
+    try {
+      job.result = await job.handler(job, {
+        signal: job.controller.signal,
+        onProgress: (progress) => {
+          job.progress = { ...job.progress, ...progress };
+          this.emit(job, 'progress', structuredClone(job.progress));
+        },
+        emit: (type, data) => this.emit(job, type, data)
+      });
+      this.finish(job, job.controller.signal.aborted ? 'cancelled' : 'completed');
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error.message);
+      job.error = error.message;
+      this.finish(job, job.controller.signal.aborted ? 'cancelled' : 'failed');
+    } finally {
+      this.running--;
+      this.processNext();
+    }
+  }
+
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    this.emit(job, 'status', { status, error: job.error });
+    job.listeners.clear();
+    this.pruneFinishedJobs();
+  }
+
+  // Keep memory bounded by dropping the oldest finished jobs
+  pruneFinishedJobs() {
+    const finished = this.listJobs().filter(job => job.finishedAt);
+    for (const job of finished.slice(this.maxFinishedJobs)) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  // Public view of a job (no handler or controller internals)
+  serializeJob(job, { includeResult = true } = {}) {
+    return {
+      id: job.id,
+      type: job.type,
+      payload: job.payload,
+      status: job.status,
+      progress: job.progress,
+      result: includeResult ? job.result : undefined,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  getStats() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) counts[job.status]++;
+    return { concurrency: this.concurrency, ...counts };
+  }
+}
+
+module.exports = { JobQueue };
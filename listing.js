@@ -0,0 +1,209 @@
+// File: listing.js
+// Store-listing packages: short and long blurbs, keyword slots, BISAC category
+// suggestions, age and grade range, series tagline and author bio, checked against
+// each platform's field limits before they're saved with the book.
+
+const { resolveAudience } = require('./readability');
+
+// Field limits per store (characters unless noted)
+const PLATFORMS = {
+  kdp: {
+    label: 'Amazon KDP',
+    shortBlurb: { min: 80, max: 400 },
+    longBlurb: { min: 300, max: 4000 },
+    keywords: { count: 7, maxLength: 50 },
+    categories: { max: 3 },
+    seriesTagline: { max: 150 },
+    authorBio: { min: 40, max: 1000 }
+  },
+  ingramspark: {
+    label: 'IngramSpark',
+    shortBlurb: { min: 80, max: 350 },
+    longBlurb: { min: 300, max: 4000 },
+    // IngramSpark takes one keyword field of at most 500 characters
+    keywords: { count: 7, maxLength: 50, maxTotalLength: 500 },
+    categories: { max: 3 },
+    seriesTagline: { max: 150 },
+    authorBio: { min: 40, max: 1000 }
+  }
+};
+
+// BISAC subject codes offered to the provider, by the kind of book
+const BISAC_CATEGORIES = {
+  JUV000000: 'JUVENILE FICTION / General',
+  JUV001000: 'JUVENILE FICTION / Action & Adventure / General',
+  JUV002000: 'JUVENILE FICTION / Animals / General',
+  JUV002050: 'JUVENILE FICTION / Animals / Cats',
+  JUV002070: 'JUVENILE FICTION / Animals / Dogs',
+  JUV010000: 'JUVENILE FICTION / Bedtime & Dreams',
+  JUV013000: 'JUVENILE FICTION / Family / General',
+  JUV019000: 'JUVENILE FICTION / Humorous Stories',
+  JUV028000: 'JUVENILE FICTION / Mysteries & Detective Stories',
+  JUV029000: 'JUVENILE FICTION / Nature & the Natural World / General',
+  JUV037000: 'JUVENILE FICTION / Fantasy & Magic',
+  JUV039000: 'JUVENILE FICTION / Social Themes / General',
+  JUV039060: 'JUVENILE FICTION / Social Themes / Friendship',
+  JUV051000: 'JUVENILE FICTION / Imagination & Play',
+  JNF000000: 'JUVENILE NONFICTION / General',
+  JNF003000: 'JUVENILE NONFICTION / Animals / General',
+  YAF000000: 'YOUNG ADULT FICTION / General',
+  YAF001000: 'YOUNG ADULT FICTION / Action & Adventure / General',
+  YAF019000: 'YOUNG ADULT FICTION / Fantasy / General',
+  YAF042000: 'YOUNG ADULT FICTION / Mysteries & Detective Stories',
+  FIC000000: 'FICTION / General',
+  FIC002000: 'FICTION / Action & Adventure',
+  FIC009000: 'FICTION / Fantasy / General',
+  FIC016000: 'FICTION / Humorous / General',
+  FIC022000: 'FICTION / Mystery & Detective / General'
+};
+
+// Age and grade range per reading-level audience (grade 0 is kindergarten, -1 pre-K)
+const AUDIENCE_RANGES = {
+  'picture-book': { age: { min: 3, max: 6 }, grade: { min: -1, max: 1 }, prefixes: ['JUV', 'JNF'] },
+  'early-reader': { age: { min: 5, max: 8 }, grade: { min: 0, max: 3 }, prefixes: ['JUV', 'JNF'] },
+  children: { age: { min: 8, max: 12 }, grade: { min: 3, max: 7 }, prefixes: ['JUV', 'JNF'] },
+  'young-adult': { age: { min: 12, max: 18 }, grade: { min: 7, max: 12 }, prefixes: ['YAF'] },
+  general: { age: null, grade: null, prefixes: ['FIC'] }
+};
+
+// Claims stores reject in metadata
+const FORBIDDEN_KEYWORD_TERMS = ['bestseller', 'best seller', 'best-selling', 'free', '#1', 'kindle unlimited', 'new release'];
+
+class ListingValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid listing: ${errors.join('; ')}`);
+    this.name = 'ListingValidationError';
+    this.errors = errors;
+  }
+}
+
+function gradeLabel(grade) {
+  return grade === -1 ? 'Pre-K' : grade === 0 ? 'K' : String(grade);
+}
+
+// Age and grade range for the book's audience. An explicit "ages 4-8" audience
+// overrides the profile's age range.
+function audienceRange(audience) {
+  const profile = resolveAudience(audience);
+  const range = AUDIENCE_RANGES[profile.name];
+  const ages = String(audience || '').match(/(\d+)\s*(?:-|to|–)\s*(\d+)/);
+  const age = ages ? { min: Number(ages[1]), max: Number(ages[2]) } : range.age;
+
+  return {
+    audience: profile.name,
+    ageRange: age,
+    gradeRange: range.grade && { min: gradeLabel(range.grade.min), max: gradeLabel(range.grade.max) },
+    categories: Object.fromEntries(Object.entries(BISAC_CATEGORIES)
+      .filter(([code]) => range.prefixes.some(prefix => code.startsWith(prefix))))
+  };
+}
+
+// Field limits as prompt text
+function describeLimits(platform) {
+  const limits = PLATFORMS[platform];
+  return [
+    `keywords: exactly ${limits.keywords.count}, each at most ${limits.keywords.maxLength} characters` +
+      (limits.keywords.maxTotalLength ? ` and ${limits.keywords.maxTotalLength} characters in total` : ''),
+    `categories: 1-${limits.categories.max} codes`,
+    `seriesTagline: at most ${limits.seriesTagline.max} characters`,
+    `authorBio: ${limits.authorBio.min}-${limits.authorBio.max} characters`
+  ].join('\n');
+}
+
+function checkLength(errors, name, value, { min = 1, max }) {
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push(`${name} is required`);
+    return;
+  }
+  const length = value.trim().length;
+  if (length < min) errors.push(`${name} is ${length} characters; it needs at least ${min}`);
+  if (length > max) errors.push(`${name} is ${length} characters; the limit is ${max}`);
+}
+
+// Check a blurb against the platform limit for its kind ('shortBlurb' or 'longBlurb')
+function validateBlurb(text, kind, platform = 'kdp') {
+  const errors = [];
+  checkLength(errors, kind, text, PLATFORMS[platform][kind]);
+  return errors;
+}
+
+// Check the structured fields ({ keywords, categories, seriesTagline, authorBio }).
+// Returns the errors found; categories must come from allowedCategories.
+function validateListingFields(fields, { platform = 'kdp', inSeries = false, allowedCategories = BISAC_CATEGORIES } = {}) {
+  const limits = PLATFORMS[platform];
+  const errors = [];
+
+  const keywords = Array.isArray(fields?.keywords) ? fields.keywords : null;
+  if (!keywords) {
+    errors.push('keywords must be a list');
+  } else {
+    if (keywords.length !== limits.keywords.count) errors.push(`keywords needs exactly ${limits.keywords.count} entries, got ${keywords.length}`);
+    keywords.forEach((keyword, index) => {
+      if (typeof keyword !== 'string' || !keyword.trim()) return errors.push(`keyword ${index + 1} is empty`);
+      if (keyword.length > limits.keywords.maxLength) errors.push(`keyword "${keyword}" is over ${limits.keywords.maxLength} characters`);
+      const forbidden = FORBIDDEN_KEYWORD_TERMS.find(term => keyword.toLowerCase().includes(term));
+      if (forbidden) errors.push(`keyword "${keyword}" makes a claim stores reject ("${forbidden}")`);
+    });
+    const unique = new Set(keywords.map(keyword => String(keyword).toLowerCase().trim()));
+    if (unique.size !== keywords.length) errors.push('keywords must not repeat');
+    const total = keywords.join('; ').length;
+    if (limits.keywords.maxTotalLength && total > limits.keywords.maxTotalLength) {
+      errors.push(`keywords are ${total} characters in total; the limit is ${limits.keywords.maxTotalLength}`);
+    }
+  }
+
+  const categories = Array.isArray(fields?.categories) ? fields.categories : null;
+  if (!categories || categories.length === 0) {
+    errors.push('categories needs at least one BISAC code');
+  } else {
+    if (categories.length > limits.categories.max) errors.push(`at most ${limits.categories.max} categories are allowed`);
+    const unknown = categories.filter(code => !allowedCategories[code]);
+    if (unknown.length > 0) errors.push(`categories ${unknown.join(', ')} are not in the offered list`);
+  }
+
+  if (inSeries) {
+    checkLength(errors, 'seriesTagline', fields?.seriesTagline, limits.seriesTagline);
+  }
+  checkLength(errors, 'authorBio', fields?.authorBio, limits.authorBio);
+  return errors;
+}
+
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) throw new ListingValidationError(['response contains no JSON object']);
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    throw new ListingValidationError([`response is not valid JSON (${error.message})`]);
+  }
+}
+
+// Parse and validate the structured part of a provider response.
+// Throws ListingValidationError; returns the trimmed fields.
+function parseListingFields(text, options = {}) {
+  const fields = extractJson(text);
+  const errors = validateListingFields(fields, options);
+  if (errors.length > 0) throw new ListingValidationError(errors);
+
+  return {
+    keywords: fields.keywords.map(keyword => keyword.trim()),
+    categories: fields.categories,
+    seriesTagline: options.inSeries ? fields.seriesTagline.trim() : null,
+    authorBio: fields.authorBio.trim()
+  };
+}
+
+module.exports = {
+  PLATFORMS,
+  BISAC_CATEGORIES,
+  ListingValidationError,
+  audienceRange,
+  describeLimits,
+  validateBlurb,
+  validateListingFields,
+  parseListingFields
+};
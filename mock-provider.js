@@ -0,0 +1,194 @@
+// File: mock-provider.js
+// Deterministic offline provider for development and CI. The same prompt always
+// produces the same text, so runs are repeatable without network access or keys.
+
+const crypto = require('crypto');
+
+const CHARACTERS = ['Briggs', 'Pip the sparrow', 'Old Mr. Hodges', 'Luna', 'Captain Whiskers'];
+const PLACES = ['the meadow', 'the harbor', 'the old barn', 'the riverbank', 'the village square', 'the orchard'];
+const ACTIONS = [
+  'followed a trail of muddy paw prints toward',
+  'raced across',
+  'found a mysterious map near',
+  'helped a lost puppy get back to',
+  'listened to the wind whistling over',
+  'made a new friend at'
+];
+const FEELINGS = ['curious', 'brave', 'excited', 'a little nervous', 'proud', 'determined'];
+const TRANSITIONS = ['Meanwhile,', 'However,', 'Soon after,', 'Before long,', 'Therefore,', 'Later that day,'];
+
+// Short, plain sentences for young audiences (and for drafts sent back for reading level)
+const SIMPLE_ACTIONS = ['ran to', 'went to', 'found a red ball at', 'saw a big dog at', 'played a game at', 'had a nap at'];
+const SIMPLE_FEELINGS = ['happy', 'glad', 'brave', 'proud', 'sleepy'];
+const SIMPLE_TRANSITIONS = ['Then', 'Next', 'Soon', 'Later'];
+
+// Small seeded PRNG (mulberry32) so output depends only on the prompt
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function promptSeed(prompt, type) {
+  return crypto.createHash('sha256').update(`${type}:${prompt}`).digest().readUInt32LE(0);
+}
+
+class MockProvider {
+  constructor(options = {}) {
+    this.capabilities = options.capabilities || {};
+    this.latencyMs = options.latencyMs ?? parseInt(process.env.MOCK_PROVIDER_LATENCY_MS || '0', 10);
+    this.model = 'mock-1';
+  }
+
+  async generate(prompt, type, options = {}) {
+    if (this.latencyMs > 0) await this.delay(this.latencyMs, options.signal);
+    if (options.signal?.aborted) throw new Error('Generation cancelled');
+
+    const random = seededRandom(promptSeed(prompt, type));
+    if (type === 'outline') return this.outline(prompt, random);
+    if (type === 'story-bible') return this.storyBible(prompt);
+    if (type === 'picture-book') return this.pictureBook(prompt, random);
+    if (type === 'blurb') return this.blurb(prompt, random);
+    if (type === 'listing') return this.listing(prompt, random);
+    return type === 'chapter' ? this.chapter(prompt, random) : this.paragraph(random, 4);
+  }
+
+  delay(ms, signal) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  // Picture-book and early-reader prompts, and any prompt with revision notes
+  // about reading level, get the simple style
+  isSimple(prompt) {
+    const audience = prompt.match(/Target Audience:\s*(.+)/)?.[1] || '';
+    return /picture|toddler|early|ages?\s*[3-8]\b/i.test(audience) || /REVISION NOTES[\s\S]*(reading level|sentences under)/.test(prompt);
+  }
+
+  simpleSentence(random) {
+    const character = this.pick(random, CHARACTERS);
+    return random() < 0.5
+      ? `${character} ${this.pick(random, SIMPLE_ACTIONS)} ${this.pick(random, PLACES)}.`
+      : `${character} felt ${this.pick(random, SIMPLE_FEELINGS)}.`;
+  }
+
+  sentence(random) {
+    const character = this.pick(random, CHARACTERS);
+    return `${character} ${this.pick(random, ACTIONS)} ${this.pick(random, PLACES)}, feeling ${this.pick(random, FEELINGS)}.`;
+  }
+
+  paragraph(random, sentences, simple = false) {
+    const parts = [];
+    for (let i = 0; i < sentences; i++) {
+      if (simple) {
+        const sentence = this.simpleSentence(random);
+        parts.push(i > 0 && random() < 0.35 ? `${this.pick(random, SIMPLE_TRANSITIONS)} ${sentence}` : sentence);
+        continue;
+      }
+      const sentence = this.sentence(random);
+      parts.push(i > 0 && random() < 0.35 ? `${this.pick(random, TRANSITIONS)} ${sentence}` : sentence);
+    }
+    return parts.join(' ');
+  }
+
+  // Roughly 700 words in short paragraphs, titled after the requested chapter
+  chapter(prompt, random) {
+    const title = prompt.match(/CHAPTER TO (?:WRITE|REVISE):\s*\nTitle:\s*(.+)/)?.[1]?.trim() || 'A New Adventure';
+    const simple = this.isSimple(prompt);
+    const paragraphs = [`# ${title}`];
+    let words = 0;
+    while (words < 700) {
+      const paragraph = this.paragraph(random, 4 + Math.floor(random() * 4), simple);
+      paragraphs.push(paragraph);
+      words += paragraph.split(/\s+/).length;
+    }
+    return paragraphs.join('\n\n');
+  }
+
+  // JSON outline with as many chapters as the prompt asks for
+  outline(prompt, random) {
+    const count = parseInt(prompt.match(/Number of chapters:\s*(\d+)/)?.[1] || '5', 10);
+    const chapters = Array.from({ length: count }, () => {
+      return {
+        title: `${this.pick(random, CHARACTERS)} at ${this.pick(random, PLACES)}`,
+        outline: this.paragraph(random, 2),
+        keyPoints: [this.sentence(random), this.sentence(random)],
+        beats: [this.sentence(random), this.sentence(random), this.sentence(random)]
+      };
+    });
+    return JSON.stringify({ chapters }, null, 2);
+  }
+
+  // JSON spreads in short read-aloud sentences, one per requested spread
+  pictureBook(prompt, random) {
+    const count = parseInt(prompt.match(/Number of spreads:\s*(\d+)/)?.[1] || '15', 10);
+    const hooks = ['But what was behind the door?', 'Then they heard a noise!', 'Where did it go?', 'And then...'];
+    const spreads = Array.from({ length: count }, (_, index) => {
+      const character = this.pick(random, CHARACTERS);
+      return {
+        text: this.paragraph(random, 2 + Math.floor(random() * 2), true),
+        illustration: {
+          scene: `${character} at ${this.pick(random, PLACES)}`,
+          characters: [character, this.pick(random, CHARACTERS)],
+          mood: this.pick(random, SIMPLE_FEELINGS),
+          composition: this.pick(random, ['wide shot across both pages', 'close-up on the left page', 'bird\'s-eye view', 'low angle looking up'])
+        },
+        pageTurnHook: index < count - 1 ? this.pick(random, hooks) : undefined
+      };
+    });
+    return JSON.stringify({ spreads }, null, 2);
+  }
+
+  // About as many words as the prompt asks for
+  blurb(prompt, random) {
+    const words = parseInt(prompt.match(/about (\d+) words/)?.[1] || '100', 10);
+    return this.paragraph(random, Math.max(2, Math.round(words / 13)), this.isSimple(prompt));
+  }
+
+  // JSON store metadata using the first offered categories
+  listing(prompt, random) {
+    const count = parseInt(prompt.match(/keywords: exactly (\d+)/)?.[1] || '7', 10);
+    const codes = [...prompt.matchAll(/^([A-Z]{3}\d{6}) /gm)].map(match => match[1]);
+    const themes = ['dog adventure', 'friendship story', 'animal stories', 'bedtime story', 'funny picture book',
+      'stories about courage', 'farm animals', 'books about kindness', 'read aloud', 'early learning'];
+    const start = Math.floor(random() * themes.length);
+    const author = prompt.match(/^Author: (.+)$/m)?.[1] || 'The author';
+    return JSON.stringify({
+      keywords: Array.from({ length: count }, (_, index) => `${themes[(start + index) % themes.length]} for kids`),
+      categories: codes.slice(0, 2),
+      seriesTagline: /use null: this book is not in a series/.test(prompt) ? null : `More adventures with ${this.pick(random, CHARACTERS)} in every book.`,
+      authorBio: `${author} writes warm, funny stories about ${this.pick(random, CHARACTERS)} and friends. ${author} lives near ${this.pick(random, PLACES)}.`
+    }, null, 2);
+  }
+
+  // Story bible entries for the known names that appear in the chapter text
+  storyBible(prompt) {
+    const text = prompt.split(/\nCHAPTER \d+:/)[1] || '';
+    const characters = CHARACTERS.filter(name => text.includes(name));
+    const places = PLACES.filter(place => text.includes(place));
+    const sentences = text.split(/(?<=\.)\s+/).filter(sentence => /feeling/.test(sentence));
+
+    return JSON.stringify({
+      characters: characters.map(name => ({ name, description: `Appears in ${text.split('\n')[0].trim() || 'the story'}` })),
+      locations: places.map(place => ({ name: place, description: 'A place the friends visit' })),
+      timeline: sentences.slice(0, 3).map(sentence => ({ event: sentence.replace(/^\w+,\s*/, '').trim() })),
+      facts: characters.length > 1 ? [{ fact: `${characters[0]} and ${characters[1]} are friends` }] : []
+    }, null, 2);
+  }
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,115 @@
+// File: outline.js
+// Chapter outlines: the variables for the prompt that asks a provider for one, and
+// parsing and validation of the structured result (or of an outline edited by hand)
+
+const DEFAULT_CHAPTER_COUNT = 8;
+const MAX_CHAPTERS = 50;
+const WORDS_PER_CHAPTER = 2000;
+
+class OutlineValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid outline: ${errors.join('; ')}`);
+    this.name = 'OutlineValidationError';
+    this.errors = errors;
+  }
+}
+
+// Chapter count from an explicit count or a total word target
+function resolveChapterCount({ chapterCount, targetWords } = {}) {
+  const count = chapterCount
+    ? parseInt(chapterCount, 10)
+    : targetWords ? Math.round(targetWords / WORDS_PER_CHAPTER) : DEFAULT_CHAPTER_COUNT;
+  return Math.min(MAX_CHAPTERS, Math.max(1, count || DEFAULT_CHAPTER_COUNT));
+}
+
+// Per-chapter length hint ("1500-2500 words") for the target book length
+function chapterLength(targetWords, chapterCount) {
+  if (!targetWords) return '1500-2500 words';
+  const perChapter = targetWords / chapterCount;
+  const round = value => Math.max(50, Math.round(value / 50) * 50);
+  return `${round(perChapter * 0.8)}-${round(perChapter * 1.2)} words`;
+}
+
+// Variables for the outline prompt template (see prompt-templates.js)
+function outlinePromptVariables({ premise, title, genre, audience, style, chapterCount, targetWords, seriesContext }) {
+  return {
+    premise,
+    title: title || 'Untitled',
+    genre: genre || 'General',
+    style: style || 'engaging',
+    audience: audience || 'general',
+    targetLength: targetWords ? `${targetWords} words` : 'not specified',
+    chapterCount,
+    seriesContext
+  };
+}
+
+// Provider output may wrap the JSON in prose or a ```json fence
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.search(/[[{]/);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (start === -1 || end < start) throw new OutlineValidationError(['response contains no JSON']);
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    throw new OutlineValidationError([`response is not valid JSON (${error.message})`]);
+  }
+}
+
+function stringList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Validate and normalize an outline ({ chapters } or a bare chapter array).
+// Chapters may be plain title strings. Throws OutlineValidationError.
+function normalizeOutline(raw, { length } = {}) {
+  const chapters = Array.isArray(raw) ? raw : raw?.chapters;
+  if (!Array.isArray(chapters) || chapters.length === 0) {
+    throw new OutlineValidationError(['chapters must be a non-empty array']);
+  }
+  if (chapters.length > MAX_CHAPTERS) {
+    throw new OutlineValidationError([`at most ${MAX_CHAPTERS} chapters are supported`]);
+  }
+
+  const errors = [];
+  const normalized = chapters.map((chapter, index) => {
+    const entry = typeof chapter === 'string' ? { title: chapter } : chapter || {};
+    const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+    if (!title) errors.push(`chapter ${index + 1} needs a title`);
+    if (entry.outline !== undefined && typeof entry.outline !== 'string') {
+      errors.push(`chapter ${index + 1} outline must be text`);
+    }
+
+    return {
+      number: index + 1,
+      title,
+      outline: entry.outline?.trim?.() || `Chapter ${index + 1} should cover the main aspects of ${title}`,
+      keyPoints: stringList(entry.keyPoints),
+      beats: stringList(entry.beats),
+      length: entry.length || length || '1500-2500 words'
+    };
+  });
+
+  if (errors.length > 0) throw new OutlineValidationError(errors);
+  return normalized;
+}
+
+// Parse a provider response into outline chapters
+function parseOutline(text, options = {}) {
+  return normalizeOutline(extractJson(text), options);
+}
+
+module.exports = {
+  OutlineValidationError,
+  outlinePromptVariables,
+  normalizeOutline,
+  parseOutline,
+  resolveChapterCount,
+  chapterLength
+};
@@ -0,0 +1,400 @@
+// File: pdf-exporter.js
+// Print-ready PDF interiors for stored books: trim sizes, mirrored margins,
+// running headers, page numbers, recto chapter openings and a table of contents.
+// Uses the PDF standard Times fonts, so no font files or external services are needed.
+
+const zlib = require('zlib');
+
+const POINTS_PER_INCH = 72;
+
+// Trim sizes in inches; margins are inside (gutter) / outside and mirror on facing pages
+const TRIM_SIZES = {
+  '5x8': {
+    width: 5, height: 8, fontSize: 11,
+    margins: { top: 0.75, bottom: 0.75, inside: 0.75, outside: 0.5 }
+  },
+  '6x9': {
+    width: 6, height: 9, fontSize: 11.5,
+    margins: { top: 0.8, bottom: 0.8, inside: 0.875, outside: 0.6 }
+  },
+  '8.5x8.5': {
+    width: 8.5, height: 8.5, fontSize: 16,
+    margins: { top: 0.75, bottom: 0.75, inside: 0.875, outside: 0.625 }
+  }
+};
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Times-Roman', widthScale: 1 },
+  bold: { key: 'F2', name: 'Times-Bold', widthScale: 1.05 },
+  italic: { key: 'F3', name: 'Times-Italic', widthScale: 0.97 }
+};
+
+// Times-Roman advance widths (1/1000 em) for ASCII 32-126
+const TIMES_WIDTHS = [
+  250, 333, 408, 500, 500, 833, 778, 333, 333, 333, 500, 564, 250, 333, 250, 278,
+  500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+  921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+  556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+  333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+  500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+];
+
+// Unicode punctuation that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '…': [0x85, 1000], '‘': [0x91, 333], '’': [0x92, 333],
+  '“': [0x93, 444], '”': [0x94, 444], '•': [0x95, 350],
+  '–': [0x96, 500], '—': [0x97, 1000], '™': [0x99, 980]
+};
+
+// Map text to WinAnsi bytes plus the width of each glyph
+function encodeText(text) {
+  const bytes = [];
+  const widths = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code >= 32 && code <= 126) {
+      bytes.push(code);
+      widths.push(TIMES_WIDTHS[code - 32]);
+    } else if (WIN_ANSI_EXTRAS[char]) {
+      bytes.push(WIN_ANSI_EXTRAS[char][0]);
+      widths.push(WIN_ANSI_EXTRAS[char][1]);
+    } else if (code >= 160 && code <= 255) {
+      bytes.push(code);
+      widths.push(code === 160 ? 250 : 500);
+    } else if (/\s/.test(char)) {
+      bytes.push(32);
+      widths.push(250);
+    } else {
+      bytes.push(63); // '?' for glyphs the standard fonts can't show
+      widths.push(444);
+    }
+  }
+  return { bytes, widths };
+}
+
+function textWidth(text, font, size) {
+  const { widths } = encodeText(text);
+  return widths.reduce((sum, width) => sum + width, 0) * font.widthScale * size / 1000;
+}
+
+// PDF literal string with escapes; bytes above 0x7E are written as octal
+function pdfString(text) {
+  return '(' + encodeText(text).bytes.map(byte => {
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) return '\\' + String.fromCharCode(byte);
+    if (byte > 0x7e) return '\\' + byte.toString(8).padStart(3, '0');
+    return String.fromCharCode(byte);
+  }).join('') + ')';
+}
+
+// Split chapter text into paragraphs and subheadings
+function parseBlocks(title, content) {
+  return String(content || '')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .filter((block, index) => !(index === 0 && block.replace(/^#+\s*/, '').trim() === title.trim()))
+    .map(block => {
+      const heading = block.match(/^#{1,6}\s+(.+)$/);
+      if (heading && !block.includes('\n')) return { type: 'heading', text: heading[1] };
+      return { type: 'paragraph', text: block.replace(/\s*\n\s*/g, ' ') };
+    });
+}
+
+class PdfExporter {
+  constructor(options = {}) {
+    const trimSize = options.trimSize || '6x9';
+    const trim = TRIM_SIZES[trimSize];
+    if (!trim) {
+      throw new Error(`Unknown trim size "${trimSize}". Use one of: ${Object.keys(TRIM_SIZES).join(', ')}`);
+    }
+
+    this.trimSize = trimSize;
+    this.width = trim.width * POINTS_PER_INCH;
+    this.height = trim.height * POINTS_PER_INCH;
+    this.margins = Object.fromEntries(Object.entries(trim.margins).map(([side, inches]) => [side, inches * POINTS_PER_INCH]));
+    this.fontSize = options.fontSize || trim.fontSize;
+    this.leading = this.fontSize * 1.45;
+    this.textWidth = this.width - this.margins.inside - this.margins.outside;
+  }
+
+  // Render a stored book (with chapters) to a PDF buffer
+  export(book, options = {}) {
+    const chapters = [...(book.chapters || [])].sort((a, b) => a.order - b.order);
+    const author = options.author || 'Briggs Empire';
+
+    // The table of contents length only depends on the chapter count, so the
+    // front matter size is known before the chapters are laid out.
+    const tocEntriesPerPage = Math.floor((this.bodyHeight() - this.fontSize * 5) / this.leading);
+    const tocPageCount = Math.max(1, Math.ceil(chapters.length / tocEntriesPerPage));
+
+    const pages = [];
+    pages.push(this.titlePage(book, author));
+    pages.push(this.copyrightPage(book, author));
+    for (let i = 0; i < tocPageCount; i++) pages.push({ ops: [], kind: 'toc' });
+
+    const tocEntries = [];
+    for (const chapter of chapters) {
+      // Chapters open on a recto (odd) page
+      if (pages.length % 2 === 1) pages.push({ ops: [], kind: 'blank' });
+      tocEntries.push({ chapter, page: pages.length + 1 });
+      pages.push(...this.layoutChapter(chapter, pages.length + 1));
+    }
+
+    this.fillTableOfContents(pages.filter(page => page.kind === 'toc'), tocEntries, tocEntriesPerPage);
+
+    pages.forEach((page, index) => this.decoratePage(page, index + 1, book.title));
+
+    return this.writePdf(pages, { title: book.title, author });
+  }
+
+  bodyHeight() {
+    return this.height - this.margins.top - this.margins.bottom;
+  }
+
+  // Left edge of the text block: odd (recto) pages have the gutter on the left
+  leftMargin(pageNumber) {
+    return pageNumber % 2 === 1 ? this.margins.inside : this.margins.outside;
+  }
+
+  text(font, size, x, y, value, wordSpacing = 0) {
+    return { font, size, x, y, value, wordSpacing };
+  }
+
+  centered(font, size, y, value, pageNumber) {
+    const x = this.leftMargin(pageNumber) + (this.textWidth - textWidth(value, font, size)) / 2;
+    return this.text(font, size, x, y, value);
+  }
+
+  titlePage(book, author) {
+    const titleSize = this.fontSize * 2.4;
+    const lines = this.wrap(book.title, FONTS.bold, titleSize, this.textWidth);
+    let y = this.height * 0.68;
+    const ops = lines.map(line => {
+      const op = this.centered(FONTS.bold, titleSize, y, line.text, 1);
+      y -= titleSize * 1.25;
+      return op;
+    });
+    ops.push(this.centered(FONTS.italic, this.fontSize * 1.4, y - this.fontSize * 2, author, 1));
+    return { ops, kind: 'title' };
+  }
+
+  copyrightPage(book, author) {
+    const size = this.fontSize * 0.8;
+    const lines = [
+      `Copyright © ${new Date(book.createdAt || Date.now()).getFullYear()} ${author}`,
+      'All rights reserved.'
+    ];
+    return {
+      ops: lines.map((line, index) => this.text(FONTS.regular, size, this.leftMargin(2),
+        this.margins.bottom + (lines.length - index) * size * 1.5, line)),
+      kind: 'copyright'
+    };
+  }
+
+  // Greedy line breaking; each line remembers whether it ends a paragraph
+  wrap(text, font, size, maxWidth, firstIndent = 0) {
+    const words = String(text).split(/\s+/).filter(Boolean);
+    const spaceWidth = textWidth(' ', font, size);
+    const lines = [];
+    let current = [];
+    let width = 0;
+    let available = maxWidth - firstIndent;
+
+    for (const word of words) {
+      const wordWidth = textWidth(word, font, size);
+      if (current.length > 0 && width + spaceWidth + wordWidth > available) {
+        lines.push({ text: current.join(' '), width, words: current.length, indent: lines.length === 0 ? firstIndent : 0 });
+        current = [];
+        width = 0;
+        available = maxWidth;
+      }
+      width += (current.length > 0 ? spaceWidth : 0) + wordWidth;
+      current.push(word);
+    }
+    if (current.length > 0) {
+      lines.push({ text: current.join(' '), width, words: current.length, indent: lines.length === 0 ? firstIndent : 0, last: true });
+    }
+    return lines;
+  }
+
+  layoutChapter(chapter, firstPageNumber) {
+    const pages = [];
+    const bottom = this.margins.bottom;
+    let page;
+    let pageNumber = firstPageNumber - 1;
+    let y;
+
+    const newPage = (opening = false) => {
+      pageNumber++;
+      page = { ops: [], kind: opening ? 'chapter-start' : 'chapter', chapterTitle: chapter.title };
+      pages.push(page);
+      y = this.height - this.margins.top - this.fontSize;
+    };
+
+    // Chapter opening: sunk title with the chapter number above it
+    newPage(true);
+    y = this.height - this.margins.top - this.bodyHeight() * 0.22;
+    page.ops.push(this.centered(FONTS.regular, this.fontSize * 0.9, y, `CHAPTER ${chapter.order}`, pageNumber));
+    y -= this.fontSize * 2.4;
+    for (const line of this.wrap(chapter.title, FONTS.bold, this.fontSize * 1.7, this.textWidth)) {
+      page.ops.push(this.centered(FONTS.bold, this.fontSize * 1.7, y, line.text, pageNumber));
+      y -= this.fontSize * 2.2;
+    }
+    y -= this.leading * 1.5;
+
+    let firstParagraph = true;
+    for (const block of parseBlocks(chapter.title, chapter.content)) {
+      if (block.type === 'heading') {
+        if (y - this.leading * 3 < bottom) newPage();
+        else y -= this.leading * 0.5;
+        for (const line of this.wrap(block.text, FONTS.bold, this.fontSize, this.textWidth)) {
+          page.ops.push(this.text(FONTS.bold, this.fontSize, this.leftMargin(pageNumber), y, line.text));
+          y -= this.leading;
+        }
+        firstParagraph = true;
+        continue;
+      }
+
+      const indent = firstParagraph ? 0 : this.fontSize * 1.5;
+      for (const line of this.wrap(block.text, FONTS.regular, this.fontSize, this.textWidth, indent)) {
+        if (y < bottom) newPage();
+        // Justify every line except the last line of a paragraph
+        const gaps = line.words - 1;
+        const wordSpacing = !line.last && gaps > 0 ? (this.textWidth - line.indent - line.width) / gaps : 0;
+        page.ops.push(this.text(FONTS.regular, this.fontSize, this.leftMargin(pageNumber) + line.indent, y, line.text, wordSpacing));
+        y -= this.leading;
+      }
+      firstParagraph = false;
+    }
+
+    return pages;
+  }
+
+  // The contents pages follow the title and copyright pages, so they start on page 3
+  fillTableOfContents(tocPages, entries, entriesPerPage) {
+    const size = this.fontSize;
+    entries.forEach((entry, index) => {
+      const pageIndex = Math.floor(index / entriesPerPage);
+      const page = tocPages[pageIndex];
+      const left = this.leftMargin(3 + pageIndex);
+      const y = this.height - this.margins.top - size * 5 - (index % entriesPerPage) * this.leading;
+
+      const number = String(entry.page);
+      const numberWidth = textWidth(number, FONTS.regular, size);
+      let label = `${entry.chapter.order}. ${entry.chapter.title}`;
+      const maxLabelWidth = this.textWidth - numberWidth - size * 2;
+      while (textWidth(label, FONTS.regular, size) > maxLabelWidth && label.length > 4) {
+        label = label.slice(0, -2).trimEnd() + '…';
+      }
+
+      // Dot leaders between the title and the page number
+      const labelWidth = textWidth(label, FONTS.regular, size);
+      const dotWidth = textWidth(' .', FONTS.regular, size);
+      const dots = ' .'.repeat(Math.max(0, Math.floor((this.textWidth - labelWidth - numberWidth - size) / dotWidth)));
+
+      page.ops.push(
+        this.text(FONTS.regular, size, left, y, label),
+        this.text(FONTS.regular, size, left + labelWidth, y, dots),
+        this.text(FONTS.regular, size, left + this.textWidth - numberWidth, y, number)
+      );
+    });
+
+    if (tocPages[0]) {
+      tocPages[0].ops.unshift(this.centered(FONTS.bold, size * 1.5, this.height - this.margins.top - size * 1.5, 'Contents', 3));
+    }
+  }
+
+  // Running headers (book title on versos, chapter title on rectos) and folios.
+  // Title, copyright, blank and chapter-opening pages carry no header.
+  decoratePage(page, pageNumber, bookTitle) {
+    const size = this.fontSize * 0.8;
+    const recto = pageNumber % 2 === 1;
+    const left = this.leftMargin(pageNumber);
+
+    if (page.kind === 'chapter') {
+      const header = (recto ? page.chapterTitle : bookTitle).toUpperCase();
+      page.ops.push(this.centered(FONTS.italic, size, this.height - this.margins.top + size * 2, header, pageNumber));
+    }
+
+    if (['chapter', 'chapter-start', 'toc'].includes(page.kind)) {
+      const folio = String(pageNumber);
+      const folioWidth = textWidth(folio, FONTS.regular, size);
+      const y = this.margins.bottom - size * 2.5;
+      // Chapter openings get a centered folio; other pages put it on the outside edge
+      const x = page.kind === 'chapter-start'
+        ? left + (this.textWidth - folioWidth) / 2
+        : recto ? left + this.textWidth - folioWidth : left;
+      page.ops.push(this.text(FONTS.regular, size, x, y, folio));
+    }
+  }
+
+  contentStream(page) {
+    const lines = page.ops.map(op =>
+      `BT /${op.font.key} ${op.size.toFixed(2)} Tf ${op.wordSpacing.toFixed(3)} Tw ${op.x.toFixed(2)} ${op.y.toFixed(2)} Td ${pdfString(op.value)} Tj ET`
+    );
+    return Buffer.from(lines.join('\n'), 'latin1');
+  }
+
+  writePdf(pages, info) {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = Object.fromEntries(Object.values(FONTS).map(font => [
+      font.key,
+      addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`)
+    ]));
+    const infoId = addObject(`<< /Title ${pdfString(info.title)} /Author ${pdfString(info.author)} /Producer (Briggs Empire) >>`);
+
+    const box = `[0 0 ${this.width} ${this.height}]`;
+    const fontResources = Object.entries(fontIds).map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+    const pageIds = pages.map(page => {
+      const stream = zlib.deflateSync(this.contentStream(page));
+      const contentId = addObject(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+        stream,
+        Buffer.from('\nendstream')
+      ]));
+      return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox ${box} /TrimBox ${box} ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((body, index) => {
+      offsets.push(length);
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n')
+      ]);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF\n'
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = { PdfExporter, TRIM_SIZES };
@@ -0,0 +1,172 @@
+// File: picture-book.js
+// Picture-book mode: a fixed page count laid out as spreads, each with short page
+// text, an illustration brief and a page-turn hook, validated against per-page
+// word limits instead of the prose chapter length checks
+
+// Standard picture books are printed in 8-page signatures
+const PAGE_COUNTS = [16, 24, 32, 40, 48];
+// Pages 1-3 hold the title page, copyright and dedication; the story starts on the
+// first spread after them and the last page stands alone
+const FRONT_MATTER_PAGES = 3;
+const DEFAULT_PAGE_COUNT = 32;
+const DEFAULT_MAX_WORDS_PER_PAGE = 40;
+
+const ILLUSTRATION_FIELDS = ['scene', 'characters', 'mood', 'composition'];
+
+class PictureBookValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid picture book: ${errors.join('; ')}`);
+    this.name = 'PictureBookValidationError';
+    this.errors = errors;
+  }
+}
+
+// Page layout for a page count: story spreads with their page numbers
+function layoutFor(pageCount = DEFAULT_PAGE_COUNT) {
+  if (!PAGE_COUNTS.includes(pageCount)) {
+    throw new PictureBookValidationError([`page count must be one of ${PAGE_COUNTS.join(', ')}`]);
+  }
+
+  const spreads = [];
+  let page = FRONT_MATTER_PAGES + 1;
+  while (page + 1 < pageCount) {
+    spreads.push([page, page + 1]);
+    page += 2;
+  }
+  // Final single page
+  spreads.push([pageCount]);
+  return { pageCount, frontMatterPages: FRONT_MATTER_PAGES, spreads };
+}
+
+function countWords(text) {
+  return (String(text || '').match(/[A-Za-z0-9'’-]+/g) || []).length;
+}
+
+function buildPictureBookPrompt({ title, premise, genre, style, audience, seriesContext, layout, maxWordsPerPage }) {
+  const lastSpread = layout.spreads.length;
+  return `
+PICTURE BOOK:
+Title: ${title}
+Premise: ${premise || title}
+Genre: ${genre || 'Picture book'}
+Style: ${style || 'playful, read-aloud'}
+Target Audience: ${audience || 'picture book'}
+Pages: ${layout.pageCount} (pages 1-${layout.frontMatterPages} are front matter)
+Number of spreads: ${lastSpread}
+${seriesContext ? `\nSERIES (this book continues the series; keep the characters as they were):\n${seriesContext}\n` : ''}
+INSTRUCTIONS:
+Tell the whole story across exactly ${lastSpread} spreads. Spread ${lastSpread} is a single final page.
+- Page text is read aloud: at most ${maxWordsPerPage} words per page (${maxWordsPerPage * 2} per two-page spread), short simple sentences.
+- Each spread gets an illustration brief: the scene, the characters shown, the mood and the composition.
+- Every spread except the last ends on a page-turn hook: a question, surprise or unfinished action that makes the reader turn the page.
+- Let the pictures carry what the words don't need to say.
+
+Respond with JSON only, in this shape:
+{"spreads": [{"text": "...", "illustration": {"scene": "...", "characters": ["..."], "mood": "...", "composition": "..."}, "pageTurnHook": "..."}]}
+`;
+}
+
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) throw new PictureBookValidationError(['response contains no JSON object']);
+
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    throw new PictureBookValidationError([`response is not valid JSON (${error.message})`]);
+  }
+}
+
+// Normalize spreads onto the layout and collect every rule they break.
+// Returns { spreads, issues }; issues is empty when the book is usable.
+function validateSpreads(rawSpreads, { layout, maxWordsPerPage = DEFAULT_MAX_WORDS_PER_PAGE }) {
+  const issues = [];
+  if (!Array.isArray(rawSpreads) || rawSpreads.length === 0) {
+    return { spreads: [], issues: ['spreads must be a non-empty array'] };
+  }
+  if (rawSpreads.length !== layout.spreads.length) {
+    issues.push(`expected ${layout.spreads.length} spreads, got ${rawSpreads.length}`);
+  }
+
+  const spreads = layout.spreads.slice(0, rawSpreads.length).map((pages, index) => {
+    const raw = rawSpreads[index] || {};
+    const number = index + 1;
+    const isLast = number === layout.spreads.length;
+    const text = typeof raw.text === 'string' ? raw.text.trim() : '';
+    const wordCount = countWords(text);
+    const wordLimit = maxWordsPerPage * pages.length;
+    const illustration = raw.illustration || {};
+
+    if (!text) issues.push(`spread ${number} has no text`);
+    if (wordCount > wordLimit) issues.push(`spread ${number} has ${wordCount} words (limit ${wordLimit})`);
+    const missing = ILLUSTRATION_FIELDS.filter(field => !illustration[field] || (Array.isArray(illustration[field]) && illustration[field].length === 0));
+    if (missing.length > 0) issues.push(`spread ${number} illustration brief is missing ${missing.join(', ')}`);
+    if (!isLast && !raw.pageTurnHook) issues.push(`spread ${number} needs a page-turn hook`);
+
+    return {
+      spread: number,
+      pages,
+      text,
+      wordCount,
+      illustration: {
+        scene: illustration.scene || '',
+        characters: [].concat(illustration.characters || []).map(String),
+        mood: illustration.mood || '',
+        composition: illustration.composition || ''
+      },
+      pageTurnHook: isLast ? null : raw.pageTurnHook || null
+    };
+  });
+
+  return { spreads, issues };
+}
+
+// Parse a provider response; throws PictureBookValidationError if it isn't JSON
+function parsePictureBook(text, options) {
+  const data = extractJson(text);
+  return validateSpreads(data.spreads, options);
+}
+
+// Revision notes for a regeneration prompt
+function feedbackFor(issues, maxWordsPerPage) {
+  return [
+    ...issues.map(issue => `- Fix: ${issue}`),
+    issues.some(issue => /words \(limit/.test(issue))
+      ? `- Cut page text to at most ${maxWordsPerPage} words per page; let the illustration show the rest.`
+      : null
+  ].filter(Boolean).join('\n');
+}
+
+// Spreads stored as chapter rows: one per spread, in page order
+function spreadToChapter(spread) {
+  const pageLabel = spread.pages.length > 1 ? `Pages ${spread.pages[0]}-${spread.pages[1]}` : `Page ${spread.pages[0]}`;
+  return {
+    title: pageLabel,
+    content: spread.text,
+    order: spread.spread,
+    wordCount: spread.wordCount,
+    metadata: {
+      layout: 'spread',
+      pages: spread.pages,
+      illustration: spread.illustration,
+      pageTurnHook: spread.pageTurnHook,
+      safety: spread.safety
+    }
+  };
+}
+
+module.exports = {
+  PAGE_COUNTS,
+  DEFAULT_PAGE_COUNT,
+  DEFAULT_MAX_WORDS_PER_PAGE,
+  PictureBookValidationError,
+  layoutFor,
+  buildPictureBookPrompt,
+  validateSpreads,
+  parsePictureBook,
+  feedbackFor,
+  spreadToChapter
+};
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "story_bibles" (
+    "id" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "scopeId" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "story_bibles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "story_bibles_scope_scopeId_key" ON "story_bibles"("scope", "scopeId");
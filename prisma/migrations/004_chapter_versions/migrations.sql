@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "chapter_versions" (
+    "id" TEXT NOT NULL,
+    "chapterId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "wordCount" INTEGER NOT NULL DEFAULT 0,
+    "source" TEXT NOT NULL,
+    "notes" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "chapter_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "chapter_versions_chapterId_version_key" ON "chapter_versions"("chapterId", "version");
+
+-- AddForeignKey
+ALTER TABLE "chapter_versions" ADD CONSTRAINT "chapter_versions_chapterId_fkey" FOREIGN KEY ("chapterId") REFERENCES "chapters"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "series" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "themes" TEXT[],
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "series_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN "seriesId" TEXT,
+ADD COLUMN "seriesOrder" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "books_seriesId_seriesOrder_idx" ON "books"("seriesId", "seriesOrder");
+
+-- AddForeignKey
+ALTER TABLE "books" ADD CONSTRAINT "books_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "series"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Books grouped by metadata.seriesId before series existed: create their series
+-- and number them in creation order
+INSERT INTO "series" ("id", "title", "themes")
+SELECT DISTINCT "metadata"->>'seriesId', "metadata"->>'seriesId', ARRAY[]::TEXT[]
+FROM "books"
+WHERE "metadata"->>'seriesId' IS NOT NULL;
+
+UPDATE "books" SET "seriesId" = ranked."seriesId", "seriesOrder" = ranked."position"
+FROM (
+    SELECT "id", "metadata"->>'seriesId' AS "seriesId",
+           ROW_NUMBER() OVER (PARTITION BY "metadata"->>'seriesId' ORDER BY "createdAt") AS "position"
+    FROM "books"
+    WHERE "metadata"->>'seriesId' IS NOT NULL
+) AS ranked
+WHERE "books"."id" = ranked."id";
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "prompt_templates" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "genre" TEXT,
+    "audience" TEXT,
+    "description" TEXT,
+    "body" TEXT NOT NULL,
+    "requiredVariables" TEXT[],
+    "active" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "prompt_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_templates_name_version_key" ON "prompt_templates"("name", "version");
+
+-- CreateIndex
+CREATE INDEX "prompt_templates_contentType_active_idx" ON "prompt_templates"("contentType", "active");
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "BookStatus" AS ENUM ('OUTLINING', 'DRAFTING', 'IN_REVIEW', 'CHANGES_REQUESTED', 'APPROVED', 'PUBLISHED', 'ARCHIVED');
+
+-- Books from before the workflow are being drafted
+UPDATE "books" SET "status" = 'DRAFTING' WHERE "status" IN ('DRAFT', 'WRITING');
+
+-- AlterTable
+ALTER TABLE "books" ALTER COLUMN "status" DROP DEFAULT;
+ALTER TABLE "books" ALTER COLUMN "status" TYPE "BookStatus" USING ("status"::"BookStatus");
+ALTER TABLE "books" ALTER COLUMN "status" SET DEFAULT 'DRAFTING';
+
+-- CreateTable
+CREATE TABLE "book_transitions" (
+    "id" TEXT NOT NULL,
+    "bookId" TEXT NOT NULL,
+    "fromStatus" "BookStatus" NOT NULL,
+    "toStatus" "BookStatus" NOT NULL,
+    "userId" TEXT,
+    "note" TEXT,
+    "automatic" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "book_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "book_transitions_bookId_createdAt_idx" ON "book_transitions"("bookId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "book_transitions" ADD CONSTRAINT "book_transitions_bookId_fkey" FOREIGN KEY ("bookId") REFERENCES "books"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_transitions" ADD CONSTRAINT "book_transitions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
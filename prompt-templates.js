@@ -0,0 +1,364 @@
+// File: prompt-templates.js
+// Editable prompt templates. Each content type (chapter, revision, outline, blurb,
+// listing, test) has a built-in template; editors add named templates for a genre and/or
+// audience, and every edit is stored as a new version. Templates use {{variable}}
+// substitution, {{#variable}}...{{/variable}} blocks that only render when the
+// variable is set and {{^variable}}...{{/variable}} blocks for when it isn't.
+
+const { resolveAudience } = require('./readability');
+
+// Variables each content type is rendered with. required ones must appear in every
+// template for that type and be non-empty when it is rendered.
+const CONTENT_TYPES = {
+  chapter: {
+    variables: ['title', 'genre', 'style', 'audience', 'premise', 'seriesContext', 'storyBible', 'previousContext',
+      'chapterTitle', 'chapterOutline', 'keyPoints', 'beats', 'length', 'chapterNumber', 'totalChapters'],
+    required: ['title', 'chapterTitle']
+  },
+  revision: {
+    variables: ['title', 'genre', 'style', 'audience', 'seriesContext', 'storyBible', 'previousContext',
+      'chapterTitle', 'currentText', 'notes'],
+    required: ['chapterTitle', 'currentText', 'notes']
+  },
+  outline: {
+    variables: ['premise', 'title', 'genre', 'style', 'audience', 'targetLength', 'chapterCount', 'seriesContext'],
+    required: ['premise', 'chapterCount']
+  },
+  blurb: {
+    variables: ['title', 'genre', 'audience', 'premise', 'summary', 'seriesContext', 'words'],
+    required: ['title', 'words']
+  },
+  listing: {
+    variables: ['title', 'genre', 'audience', 'ageRange', 'premise', 'summary', 'seriesTitle', 'authorName',
+      'authorNotes', 'platform', 'limits', 'categories', 'keywordCount'],
+    required: ['title', 'limits', 'categories']
+  },
+  test: {
+    variables: [],
+    required: []
+  }
+};
+
+const BUILTIN_TEMPLATES = [
+  {
+    name: 'default-chapter',
+    contentType: 'chapter',
+    description: 'Chapter drafting for any genre and audience',
+    body: `
+BOOK CONTEXT:
+Title: {{title}}
+Genre: {{genre}}
+Style: {{style}}
+Target Audience: {{audience}}
+{{#premise}}Premise: {{premise}}
+{{/premise}}{{#seriesContext}}
+SERIES (this book continues the series; don't contradict earlier books):
+{{seriesContext}}
+{{/seriesContext}}{{#storyBible}}
+STORY BIBLE (keep names and facts consistent with this):
+{{storyBible}}
+{{/storyBible}}
+PREVIOUS CONTEXT:
+{{previousContext}}{{^previousContext}}This is the first chapter.{{/previousContext}}
+
+CHAPTER TO WRITE:
+Title: {{chapterTitle}}
+{{#chapterNumber}}Position: chapter {{chapterNumber}} of {{totalChapters}}
+{{/chapterNumber}}Outline: {{chapterOutline}}
+Key Points: {{keyPoints}}{{^keyPoints}}None specified{{/keyPoints}}
+{{#beats}}Beats:
+{{beats}}
+{{/beats}}
+INSTRUCTIONS:
+Write a compelling {{length}} word chapter that:
+1. Maintains consistency with the previous content
+2. Follows the chapter outline closely
+3. Matches the book's established tone and style
+4. Includes engaging storytelling elements
+5. Ends with a natural transition to the next chapter
+
+Write the chapter content now:
+`
+  },
+  {
+    name: 'default-revision',
+    contentType: 'revision',
+    description: 'Rewrite of a stored chapter from editor notes',
+    body: `
+BOOK CONTEXT:
+Title: {{title}}
+Genre: {{genre}}
+Style: {{style}}
+Target Audience: {{audience}}
+{{#seriesContext}}
+SERIES (this book continues the series; don't contradict earlier books):
+{{seriesContext}}
+{{/seriesContext}}{{#storyBible}}
+STORY BIBLE (keep names and facts consistent with this):
+{{storyBible}}
+{{/storyBible}}
+PREVIOUS CONTEXT:
+{{previousContext}}{{^previousContext}}This is the first chapter.{{/previousContext}}
+
+CHAPTER TO REVISE:
+Title: {{chapterTitle}}
+
+CURRENT TEXT:
+{{currentText}}
+
+EDITOR NOTES:
+{{notes}}
+
+INSTRUCTIONS:
+Rewrite the chapter so it addresses every editor note. Keep what the notes don't
+ask to change: the plot, names, tone and roughly the same length. Return the full
+revised chapter text only, without commentary.
+`
+  },
+  {
+    name: 'default-outline',
+    contentType: 'outline',
+    description: 'Chapter outline from a premise (the response must be JSON in the shape shown)',
+    body: `
+BOOK PREMISE:
+{{premise}}
+
+BOOK DETAILS:
+Title: {{title}}
+Genre: {{genre}}
+Style: {{style}}
+Target Audience: {{audience}}
+Target Length: {{targetLength}}
+Number of chapters: {{chapterCount}}
+{{#seriesContext}}
+SERIES (plan this book as the next installment; build on earlier books without repeating them):
+{{seriesContext}}
+{{/seriesContext}}
+INSTRUCTIONS:
+Plan the book as exactly {{chapterCount}} chapters. For each chapter give a title,
+a one-paragraph outline, 2-4 key points and 3-6 story beats in order.
+The chapters must build on each other and resolve the premise by the last one.
+
+Respond with JSON only, in this shape:
+{"chapters": [{"title": "...", "outline": "...", "keyPoints": ["..."], "beats": ["..."]}]}
+`
+  },
+  {
+    name: 'default-blurb',
+    contentType: 'blurb',
+    description: 'Back-cover blurb',
+    body: `
+BOOK:
+Title: {{title}}
+Genre: {{genre}}
+Target Audience: {{audience}}
+{{#premise}}Premise: {{premise}}
+{{/premise}}{{#summary}}Summary: {{summary}}
+{{/summary}}{{#seriesContext}}
+SERIES:
+{{seriesContext}}
+{{/seriesContext}}
+INSTRUCTIONS:
+Write a back-cover blurb of about {{words}} words that makes a {{audience}} reader
+want to open the book. Hook first, no spoilers for the ending. Return the blurb only.
+`
+  },
+  {
+    name: 'default-listing',
+    contentType: 'listing',
+    description: 'Store metadata: keywords, BISAC categories, series tagline and author bio (the response must be JSON in the shape shown)',
+    body: `
+BOOK:
+Title: {{title}}
+Genre: {{genre}}
+Target Audience: {{audience}}{{#ageRange}} (ages {{ageRange}}){{/ageRange}}
+{{#premise}}Premise: {{premise}}
+{{/premise}}{{#summary}}Summary: {{summary}}
+{{/summary}}{{#seriesTitle}}Series: {{seriesTitle}}
+{{/seriesTitle}}{{#authorName}}Author: {{authorName}}
+{{/authorName}}{{#authorNotes}}About the author: {{authorNotes}}
+{{/authorNotes}}
+STORE: {{platform}}
+LIMITS:
+{{limits}}
+
+CATEGORIES (choose only from these BISAC codes, best fit first):
+{{categories}}
+
+INSTRUCTIONS:
+Write the store metadata shown next to the book's description:
+- keywords: exactly {{keywordCount}} search phrases a parent or reader would type. Don't repeat the
+  title and don't make claims like "bestseller" or "free".
+- categories: the codes that fit this book best.
+- seriesTagline: one line that sells the whole series{{^seriesTitle}} (use null: this book is not in a series){{/seriesTitle}}.
+- authorBio: two or three sentences in the third person{{#authorName}} about {{authorName}}{{/authorName}}.
+
+Respond with JSON only, in this shape:
+{"keywords": ["..."], "categories": ["JUV000000"], "seriesTagline": "...", "authorBio": "..."}
+`
+  },
+  {
+    name: 'default-test',
+    contentType: 'test',
+    description: 'Connectivity check prompt for /api/test-ai',
+    body: 'Write a single paragraph about the future of AI in publishing.'
+  }
+].map(template => ({
+  ...template,
+  version: 1,
+  genre: null,
+  audience: null,
+  requiredVariables: CONTENT_TYPES[template.contentType].required,
+  active: true,
+  builtin: true
+}));
+
+const TEMPLATE_NAME = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const TAG = /{{\s*([#^/]?)\s*([A-Za-z_][A-Za-z0-9_]*)\s*}}/g;
+
+class PromptTemplateError extends Error {
+  constructor(errors) {
+    super(`Invalid prompt template: ${errors.join('; ')}`);
+    this.name = 'PromptTemplateError';
+    this.errors = errors;
+  }
+}
+
+// Variables referenced anywhere in a body (as values or block conditions)
+function templateVariables(body) {
+  return [...new Set([...String(body).matchAll(TAG)].map(match => match[2]))];
+}
+
+// Check a template before saving it: known content type, well-formed blocks, only
+// variables its content type provides, and every required variable used.
+// Returns the normalized fields.
+function validateTemplate(input = {}) {
+  const errors = [];
+  const spec = CONTENT_TYPES[input.contentType];
+  if (!spec) errors.push(`contentType must be one of ${Object.keys(CONTENT_TYPES).join(', ')}`);
+  if (input.name !== undefined && !TEMPLATE_NAME.test(input.name)) {
+    errors.push('name must be lowercase letters, digits and dashes (at most 64 characters)');
+  }
+  if (typeof input.body !== 'string' || !input.body.trim()) errors.push('body is required');
+  for (const field of ['genre', 'audience', 'description']) {
+    if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') errors.push(`${field} must be a string`);
+  }
+  if (input.requiredVariables !== undefined && !Array.isArray(input.requiredVariables)) {
+    errors.push('requiredVariables must be a list of variable names');
+  }
+  if (errors.length > 0) throw new PromptTemplateError(errors);
+
+  // Blocks must close in the order they were opened
+  const open = [];
+  for (const [, kind, name] of input.body.matchAll(TAG)) {
+    if (kind === '#' || kind === '^') open.push(name);
+    else if (kind === '/' && open.pop() !== name) errors.push(`{{/${name}}} does not close the innermost open block`);
+  }
+  if (open.length > 0) errors.push(`unclosed block: ${open.map(name => `{{#${name}}}`).join(', ')}`);
+
+  const used = templateVariables(input.body);
+  const unknown = used.filter(name => !spec.variables.includes(name));
+  if (unknown.length > 0) {
+    errors.push(`unknown variables for ${input.contentType}: ${unknown.join(', ')} (available: ${spec.variables.join(', ') || 'none'})`);
+  }
+
+  const requiredVariables = [...new Set([...spec.required, ...(input.requiredVariables || [])])];
+  const notProvided = requiredVariables.filter(name => !spec.variables.includes(name));
+  if (notProvided.length > 0) errors.push(`required variables are not provided for ${input.contentType}: ${notProvided.join(', ')}`);
+  const missing = requiredVariables.filter(name => spec.variables.includes(name) && !used.includes(name));
+  if (missing.length > 0) errors.push(`template must use ${missing.map(name => `{{${name}}}`).join(', ')}`);
+  if (errors.length > 0) throw new PromptTemplateError(errors);
+
+  return {
+    contentType: input.contentType,
+    genre: input.genre?.trim() || null,
+    audience: input.audience?.trim() || null,
+    description: input.description ?? null,
+    body: input.body,
+    requiredVariables
+  };
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== false && value !== '' && !(Array.isArray(value) && value.length === 0);
+}
+
+// Substitute variables into a body; throws PromptTemplateError if a required one is empty
+function renderTemplate(template, variables = {}) {
+  const missing = (template.requiredVariables || []).filter(name => !isSet(variables[name]));
+  if (missing.length > 0) {
+    throw new PromptTemplateError([`"${template.name}" needs ${missing.join(', ')}`]);
+  }
+
+  // Resolve blocks innermost first so nested blocks work
+  const block = /{{\s*([#^])\s*([A-Za-z_][A-Za-z0-9_]*)\s*}}((?:(?!{{\s*[#^])[\s\S])*?){{\s*\/\s*\2\s*}}/g;
+  let text = template.body;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(block, (match, kind, name, inner) => (isSet(variables[name]) === (kind === '#') ? inner : ''));
+  } while (text !== previous);
+
+  return text.replace(TAG, (match, kind, name) => {
+    const value = variables[name];
+    if (!isSet(value)) return '';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+// The active templates, resolved per content type, genre and audience. Stored
+// templates are loaded from storage with load(); built-ins are always available.
+class PromptLibrary {
+  constructor(templates = []) {
+    this.load(templates);
+  }
+
+  load(templates) {
+    this.templates = [...BUILTIN_TEMPLATES, ...templates.filter(template => template.active)];
+    return this;
+  }
+
+  list({ contentType } = {}) {
+    return this.templates.filter(template => !contentType || template.contentType === contentType);
+  }
+
+  get(name) {
+    return this.templates.find(template => template.name === name) || null;
+  }
+
+  // Most specific active template: genre and audience match, then genre only, then
+  // audience only, then one for any book. Stored templates win ties with built-ins.
+  resolve(contentType, { genre, audience } = {}) {
+    const wantedGenre = genre ? String(genre).toLowerCase().trim() : null;
+    const wantedAudience = audience ? resolveAudience(audience).name : null;
+
+    let best = null;
+    let bestScore = -1;
+    for (const template of this.list({ contentType })) {
+      if (template.genre && template.genre.toLowerCase() !== wantedGenre) continue;
+      if (template.audience && resolveAudience(template.audience).name !== wantedAudience) continue;
+      const score = (template.genre ? 4 : 0) + (template.audience ? 2 : 0) + (template.builtin ? 0 : 1);
+      if (score > bestScore) {
+        best = template;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  render(contentType, variables, selector = {}) {
+    const template = this.resolve(contentType, selector);
+    if (!template) throw new PromptTemplateError([`no template for ${contentType}`]);
+    return renderTemplate(template, variables);
+  }
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  BUILTIN_TEMPLATES,
+  PromptTemplateError,
+  PromptLibrary,
+  templateVariables,
+  validateTemplate,
+  renderTemplate
+};
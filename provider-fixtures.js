@@ -0,0 +1,160 @@
+// File: provider-fixtures.js
+// Record/replay for provider HTTP traffic, so generation can be tested offline.
+// In record mode every request goes to the real API and the request/response pair
+// is appended to a JSON fixture file; in replay mode responses come from that file
+// and a request that wasn't recorded fails with FixtureMismatchError.
+//
+// Providers take the fixture fetch as options.fetch, or set it for a whole run:
+//   PROVIDER_FIXTURES=record PROVIDER_FIXTURES_FILE=test/fixtures/run.json npm start
+//
+// Fixture format: { version: 1, interactions: [{ request: { method, url, body },
+// response: { status, headers, body } }] }. Request headers (API keys) are never
+// written, and key-like query parameters are replaced with REDACTED.
+
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['record', 'replay'];
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+const SKIPPED_RESPONSE_HEADERS = ['set-cookie', 'content-encoding', 'content-length', 'transfer-encoding'];
+
+class FixtureMismatchError extends Error {
+  constructor(request, { file, closest = null } = {}) {
+    super(`No recorded response for ${request.method} ${request.url} in ${path.basename(file)}` +
+      (closest ? ` (the closest recorded request differs in its ${closest})` : ''));
+    this.name = 'FixtureMismatchError';
+    this.request = request;
+  }
+}
+
+function redactUrl(url) {
+  const parsed = new URL(String(url));
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (SECRET_PARAMS.includes(name.toLowerCase())) parsed.searchParams.set(name, 'REDACTED');
+  }
+  return parsed.toString();
+}
+
+function parseBody(text) {
+  if (text === undefined || text === null || text === '') return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return String(text);
+  }
+}
+
+// The request as it is stored and matched: method, redacted URL and parsed body
+function describeRequest(url, init = {}) {
+  return {
+    method: (init.method || 'GET').toUpperCase(),
+    url: redactUrl(url),
+    body: parseBody(init.body)
+  };
+}
+
+function requestKey(request) {
+  return `${request.method} ${request.url}\n${JSON.stringify(request.body)}`;
+}
+
+class ProviderFixtures {
+  // options: { mode ('record' or 'replay', default replay), fetch (the real fetch
+  // used when recording) }
+  constructor(file, options = {}) {
+    const mode = options.mode || 'replay';
+    if (!MODES.includes(mode)) throw new Error(`Fixture mode must be one of ${MODES.join(', ')}, got "${mode}"`);
+    if (mode === 'replay' && !fs.existsSync(file)) throw new Error(`Fixture file not found: ${file}`);
+
+    this.file = file;
+    this.mode = mode;
+    this.upstream = options.fetch || ((...args) => fetch(...args));
+    this.interactions = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).interactions : [];
+    // Replay serves each recorded interaction once, in order, so a request that is
+    // retried can get a different answer the second time
+    this.used = new Set();
+    this.unmatched = [];
+    this.fetch = (url, init) => (this.mode === 'record' ? this.record(url, init) : this.replay(url, init));
+  }
+
+  async record(url, init = {}) {
+    const response = await this.upstream(url, init);
+    const text = await response.text();
+    const headers = {};
+    response.headers.forEach((value, key) => {
+      if (!SKIPPED_RESPONSE_HEADERS.includes(key.toLowerCase())) headers[key.toLowerCase()] = value;
+    });
+
+    this.interactions.push({
+      request: describeRequest(url, init),
+      response: { status: response.status, headers, body: parseBody(text) }
+    });
+    this.save();
+    return new Response(text || null, { status: response.status, headers });
+  }
+
+  async replay(url, init = {}) {
+    if (init.signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+
+    const request = describeRequest(url, init);
+    const key = requestKey(request);
+    const index = this.interactions.findIndex((interaction, i) => !this.used.has(i) && requestKey(interaction.request) === key);
+    if (index === -1) {
+      this.unmatched.push(request);
+      throw new FixtureMismatchError(request, { file: this.file, closest: this.closestDifference(request) });
+    }
+
+    this.used.add(index);
+    const { status, headers = {}, body } = this.interactions[index].response;
+    const text = body === null || body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+    return new Response(text, { status, headers });
+  }
+
+  // Which part of the nearest unused recording doesn't match, for error messages
+  closestDifference(request) {
+    const candidates = this.interactions.filter((interaction, i) => !this.used.has(i)).map(interaction => interaction.request);
+    const sameUrl = candidates.find(candidate => candidate.method === request.method && candidate.url === request.url);
+    if (sameUrl) return 'body';
+    return candidates.some(candidate => candidate.method === request.method) ? 'url' : null;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2) + '\n');
+  }
+
+  // For tests: throws if a request had no recording or a recording was never used
+  assertDone() {
+    const unused = this.interactions.filter((interaction, i) => !this.used.has(i));
+    if (this.mode !== 'replay' || (this.unmatched.length === 0 && unused.length === 0)) return;
+
+    const lines = [
+      ...this.unmatched.map(request => `unmatched request: ${request.method} ${request.url}`),
+      ...unused.map(({ request }) => `unused recording: ${request.method} ${request.url}`)
+    ];
+    throw new Error(`Fixture ${path.basename(this.file)} was not replayed exactly:\n${lines.join('\n')}`);
+  }
+}
+
+// One instance per mode and file, shared by every caller: two recorders on the same
+// file would each save only their own interactions over the other's
+const envFixtures = new Map();
+
+// Fixtures configured by PROVIDER_FIXTURES (record or replay) and
+// PROVIDER_FIXTURES_FILE, or null when they aren't set
+function fixturesFromEnv(env = process.env) {
+  if (!env.PROVIDER_FIXTURES) return null;
+  if (!env.PROVIDER_FIXTURES_FILE) throw new Error('PROVIDER_FIXTURES_FILE must name the fixture file');
+
+  const file = path.resolve(env.PROVIDER_FIXTURES_FILE);
+  const key = `${env.PROVIDER_FIXTURES} ${file}`;
+  if (!envFixtures.has(key)) envFixtures.set(key, new ProviderFixtures(file, { mode: env.PROVIDER_FIXTURES }));
+  return envFixtures.get(key);
+}
+
+module.exports = {
+  ProviderFixtures,
+  FixtureMismatchError,
+  fixturesFromEnv,
+  describeRequest,
+  redactUrl
+};
@@ -0,0 +1,76 @@
+// File: provider-registry.js
+// Registry of AI providers by name, with the capabilities the manager needs to schedule them
+
+const DEFAULT_CAPABILITIES = {
+  maxTokens: 4000,
+  streaming: false,
+  costPer1kTokens: { input: 0, output: 0 },
+  requiresApiKey: null,
+  offline: false
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  // Register a provider. factory(options) returns an object with
+  // generate(prompt, type, options). Re-registering a name replaces it.
+  register(name, factory, capabilities = {}) {
+    if (!name || typeof factory !== 'function') {
+      throw new Error('Provider registration needs a name and a factory function');
+    }
+
+    this.entries.set(name, {
+      name,
+      factory,
+      capabilities: {
+        ...DEFAULT_CAPABILITIES,
+        ...capabilities,
+        costPer1kTokens: { ...DEFAULT_CAPABILITIES.costPer1kTokens, ...capabilities.costPer1kTokens }
+      }
+    });
+    return this;
+  }
+
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  get(name) {
+    return this.entries.get(name) || null;
+  }
+
+  create(name, options = {}) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`Unknown AI provider: ${name}. Registered: ${this.names().join(', ')}`);
+    }
+    return entry.factory({ ...options, capabilities: entry.capabilities });
+  }
+
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  // Whether the provider has what it needs to run (API key present, etc.)
+  isConfigured(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return false;
+    return !entry.capabilities.requiresApiKey || !!process.env[entry.capabilities.requiresApiKey];
+  }
+
+  list() {
+    return [...this.entries.values()].map(entry => ({
+      name: entry.name,
+      configured: this.isConfigured(entry.name),
+      capabilities: entry.capabilities
+    }));
+  }
+}
+
+module.exports = { ProviderRegistry, DEFAULT_CAPABILITIES };
@@ -0,0 +1,249 @@
+// File: rate-limiter.js
+// Per-provider rate limiting: token buckets for requests and tokens per minute,
+// synced from provider response headers, with Retry-After and exponential backoff.
+
+const fs = require('fs');
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: 60,
+  tokensPerMinute: 100000
+};
+
+const BACKOFF = {
+  baseMs: 1000,
+  maxMs: 60000
+};
+
+class TokenBucket {
+  constructor(capacity, refillPerMinute = capacity) {
+    this.capacity = capacity;
+    this.refillPerMs = refillPerMinute / 60000;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  available() {
+    this.refill();
+    return Math.floor(this.tokens);
+  }
+
+  // Milliseconds until `amount` tokens are available (0 if they already are)
+  timeUntil(amount) {
+    this.refill();
+    const needed = Math.min(amount, this.capacity) - this.tokens;
+    return needed <= 0 ? 0 : Math.ceil(needed / this.refillPerMs);
+  }
+
+  take(amount) {
+    this.refill();
+    this.tokens -= Math.min(amount, this.capacity);
+  }
+
+  // Trust the provider's own count when it reports one
+  sync(remaining) {
+    this.refill();
+    this.tokens = Math.min(this.capacity, remaining);
+  }
+}
+
+// "1s", "6m0s", "250ms", "1h2m3s" (OpenAI style) or an RFC 3339 date (Anthropic style)
+function parseResetHeader(value) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const ms = Date.parse(value) - Date.now();
+    return Number.isNaN(ms) ? null : Math.max(0, ms);
+  }
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of String(value).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? Math.ceil(total) : null;
+}
+
+// Retry-After is either delta-seconds or an HTTP date; retry-after-ms is milliseconds
+function parseRetryAfter(headers = {}) {
+  if (headers['retry-after-ms'] && !Number.isNaN(Number(headers['retry-after-ms']))) {
+    return Number(headers['retry-after-ms']);
+  }
+
+  const value = headers['retry-after'];
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.ceil(parseFloat(value) * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Pull remaining-capacity info from x-ratelimit-* / anthropic-ratelimit-* headers
+function parseRateLimitHeaders(headers = {}) {
+  const pick = (...names) => names.map(name => headers[name]).find(value => value !== undefined);
+  const number = value => (value === undefined || Number.isNaN(Number(value)) ? null : Number(value));
+
+  return {
+    remainingRequests: number(pick('x-ratelimit-remaining-requests', 'anthropic-ratelimit-requests-remaining')),
+    remainingTokens: number(pick('x-ratelimit-remaining-tokens', 'anthropic-ratelimit-tokens-remaining')),
+    resetRequestsMs: parseResetHeader(pick('x-ratelimit-reset-requests', 'anthropic-ratelimit-requests-reset')),
+    resetTokensMs: parseResetHeader(pick('x-ratelimit-reset-tokens', 'anthropic-ratelimit-tokens-reset'))
+  };
+}
+
+// Connection failures: Node's socket and DNS error codes, plus undici's UND_ERR_*
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// fetch rejects with TypeError('fetch failed') and the socket error as its cause;
+// timeouts (AbortSignal.timeout) reject with a TimeoutError or AbortError
+function isNetworkError(error) {
+  if (error?.name === 'TimeoutError' || error?.name === 'AbortError') return true;
+  const code = error?.code || error?.cause?.code;
+  if (typeof code === 'string' && (NETWORK_ERROR_CODES.includes(code) || code.startsWith('UND_ERR_'))) return true;
+  return error instanceof TypeError && error.message === 'fetch failed';
+}
+
+// How a failed call should affect the provider:
+// rate-limited (429) and server errors (5xx or the network) bench it; auth errors
+// bench it for the maximum backoff; request validation errors (other 4xx) don't
+// bench it, and neither do unexpected errors (a bug or a response we couldn't
+// read), which say nothing about the provider's health.
+function classifyError(error) {
+  const status = error?.status;
+  if (status === 429) return 'rate-limited';
+  if (status === 401 || status === 403) return 'auth';
+  if (status >= 400 && status < 500) return 'validation';
+  if (status || isNetworkError(error)) return 'server';
+  return 'unexpected';
+}
+
+class ProviderRateLimiter {
+  constructor(name, limits = {}) {
+    this.name = name;
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.requests = new TokenBucket(this.limits.requestsPerMinute);
+    this.tokens = new TokenBucket(this.limits.tokensPerMinute);
+    this.blockedUntil = 0;
+    this.blockReason = null;
+    this.consecutiveFailures = 0;
+    this.lastCall = null;
+  }
+
+  // Whether a request of `estimatedTokens` may go out now, and if not how long to wait
+  check(estimatedTokens = 0) {
+    const now = Date.now();
+    if (this.blockedUntil > now) {
+      return { allowed: false, waitMs: this.blockedUntil - now, reason: this.blockReason };
+    }
+
+    const waitMs = Math.max(this.requests.timeUntil(1), this.tokens.timeUntil(estimatedTokens));
+    return waitMs === 0
+      ? { allowed: true, waitMs: 0, reason: null }
+      : { allowed: false, waitMs, reason: 'capacity' };
+  }
+
+  consume(estimatedTokens = 0) {
+    this.requests.take(1);
+    this.tokens.take(estimatedTokens);
+    this.lastCall = Date.now();
+  }
+
+  recordSuccess(headers = {}) {
+    this.consecutiveFailures = 0;
+    this.blockedUntil = 0;
+    this.blockReason = null;
+
+    const info = parseRateLimitHeaders(headers);
+    if (info.remainingRequests !== null) this.requests.sync(info.remainingRequests);
+    if (info.remainingTokens !== null) this.tokens.sync(info.remainingTokens);
+
+    // Out of capacity according to the provider: wait for its reset instead of guessing
+    if (info.remainingRequests === 0 && info.resetRequestsMs) this.block(info.resetRequestsMs, 'exhausted');
+    if (info.remainingTokens === 0 && info.resetTokensMs) this.block(info.resetTokensMs, 'exhausted');
+  }
+
+  // Returns the error classification so callers can decide whether to fail over
+  recordFailure(error) {
+    const kind = classifyError(error);
+    if (kind === 'validation' || kind === 'unexpected') return kind;
+
+    this.consecutiveFailures++;
+    const retryAfter = parseRetryAfter(error?.headers);
+
+    if (kind === 'rate-limited') {
+      this.requests.sync(0);
+      this.block(retryAfter ?? this.backoffDelay(), kind);
+    } else if (kind === 'auth') {
+      this.block(BACKOFF.maxMs, kind);
+    } else {
+      this.block(retryAfter ?? this.backoffDelay(), kind);
+    }
+    return kind;
+  }
+
+  // Exponential backoff with "equal jitter": half fixed, half random
+  backoffDelay() {
+    const exponential = Math.min(BACKOFF.maxMs, BACKOFF.baseMs * 2 ** Math.max(0, this.consecutiveFailures - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  block(ms, reason) {
+    const until = Date.now() + ms;
+    if (until > this.blockedUntil) {
+      this.blockedUntil = until;
+      this.blockReason = reason;
+    }
+  }
+
+  status() {
+    const blockedForMs = Math.max(0, this.blockedUntil - Date.now());
+    return {
+      limits: this.limits,
+      remainingRequests: this.requests.available(),
+      remainingTokens: this.tokens.available(),
+      blockedForMs,
+      blockReason: blockedForMs > 0 ? this.blockReason : null,
+      consecutiveFailures: this.consecutiveFailures
+    };
+  }
+}
+
+class RateLimiter {
+  // limitsByProvider: { openai: { requestsPerMinute, tokensPerMinute }, ... }
+  constructor(limitsByProvider = {}) {
+    this.limitsByProvider = limitsByProvider;
+    this.providers = new Map();
+  }
+
+  // Load per-provider limits from a JSON file (RATE_LIMITS_FILE), if any
+  static loadConfig(filePath = process.env.RATE_LIMITS_FILE) {
+    if (!filePath) return {};
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load rate limit config from ${filePath}: ${error.message}`);
+    }
+  }
+
+  for(provider) {
+    if (!this.providers.has(provider)) {
+      this.providers.set(provider, new ProviderRateLimiter(provider, this.limitsByProvider[provider]));
+    }
+    return this.providers.get(provider);
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  ProviderRateLimiter,
+  TokenBucket,
+  classifyError,
+  parseRetryAfter,
+  parseRateLimitHeaders
+};
@@ -0,0 +1,203 @@
+// File: readability.js
+// Reading-level analysis tied to a book's audience: Flesch-Kincaid grade, sentence
+// length and vocabulary checked against graded word lists, with revision notes a
+// provider can act on when a chapter misses its target level.
+
+// Dolch sight words plus common early-reader nouns, by the grade they are taught in.
+// Words on a list at or below the audience's grade never count as difficult.
+const GRADED_WORDS = {
+  0: 'a and away big blue can come down find for funny go help here i in is it jump little look make me my not ' +
+    'one play red run said see the three to two up we where yellow you all am are at ate be black brown but came ' +
+    'did do eat four get good have he into like must new no now on our out please pretty ran ride saw say she so ' +
+    'soon that there they this too under want was well went what white who will with yes dog cat sun ball bed ' +
+    'boy girl day home mom dad tree box car fish hat pig cow hen egg bird',
+  1: 'after again an any as ask by could every fly from give going had has her him his how just know let live may ' +
+    'of old once open over put round some stop take thank them then think walk were when friend friends apple ' +
+    'baby back bear birthday boat bread brother cake chair chicken children christmas coat corn day doll door duck ' +
+    'farm farmer father feet fire floor flower game garden goat grass ground hand head hill horse house kitty leg ' +
+    'letter man men milk money morning mother name nest night paper party picture rabbit rain ring robin school ' +
+    'seed sheep shoe sister snow song squirrel stick street table thing time toy town water way wind window wood',
+  2: 'always around because been before best both buy call cold does don\'t fast first five found gave goes green ' +
+    'its made many off or pull read right sing sit sleep tell their these those upon us use very wash which why ' +
+    'wish work would write your meadow barn harbor river orchard village square puppy sparrow map trail adventure ' +
+    'captain whiskers muddy paw prints happy sad scared brave proud curious excited',
+  3: 'about better bring carry clean cut done draw drink eight fall far full got grow hold hot hurt if keep kind ' +
+    'laugh light long much myself never only own pick seven shall show six small start ten today together try warm ' +
+    'mysterious nervous determined whistling riverbank village listened followed discovered remembered'
+};
+
+// Reading targets by audience. maxGrade is the Flesch-Kincaid ceiling, vocabularyGrade
+// the word list a word must appear on (up to) before syllable count is held against it.
+const AUDIENCE_PROFILES = {
+  'picture-book': {
+    label: 'picture book (ages 3-6)', maxGrade: 2, maxSentenceLength: 10, maxLongSentenceRatio: 0.1,
+    vocabularyGrade: 1, difficultSyllables: 3, maxDifficultRatio: 0.05,
+    avoidWords: ['however', 'therefore', 'moreover', 'furthermore', 'consequently', 'nevertheless', 'meanwhile']
+  },
+  'early-reader': {
+    label: 'early reader (ages 5-8)', maxGrade: 3, maxSentenceLength: 12, maxLongSentenceRatio: 0.15,
+    vocabularyGrade: 2, difficultSyllables: 3, maxDifficultRatio: 0.08,
+    avoidWords: ['moreover', 'furthermore', 'consequently', 'nevertheless']
+  },
+  children: {
+    label: 'children (ages 8-12)', maxGrade: 6, maxSentenceLength: 18, maxLongSentenceRatio: 0.2,
+    vocabularyGrade: 3, difficultSyllables: 4, maxDifficultRatio: 0.1,
+    avoidWords: ['moreover', 'furthermore']
+  },
+  'young-adult': {
+    label: 'young adult (ages 12-18)', maxGrade: 9, maxSentenceLength: 25, maxLongSentenceRatio: 0.25,
+    vocabularyGrade: 3, difficultSyllables: 4, maxDifficultRatio: 0.15, avoidWords: []
+  },
+  general: {
+    label: 'general', maxGrade: 14, maxSentenceLength: 35, maxLongSentenceRatio: 0.3,
+    vocabularyGrade: 3, difficultSyllables: 5, maxDifficultRatio: 0.2, avoidWords: []
+  }
+};
+
+const vocabularyCache = new Map();
+
+// Words known by the given grade (cumulative)
+function vocabularyFor(grade) {
+  if (!vocabularyCache.has(grade)) {
+    const words = Object.entries(GRADED_WORDS)
+      .filter(([level]) => Number(level) <= grade)
+      .flatMap(([, list]) => list.split(' '));
+    vocabularyCache.set(grade, new Set(words));
+  }
+  return vocabularyCache.get(grade);
+}
+
+// Map the free-text audience field to a profile: exact names, common phrasings
+// ("kids", "teens") or an age range ("ages 4-8", uses the upper age)
+function resolveAudience(audience = 'general') {
+  const value = String(audience || 'general').toLowerCase().trim();
+  if (AUDIENCE_PROFILES[value]) return { name: value, ...AUDIENCE_PROFILES[value] };
+
+  const ages = value.match(/(\d+)\s*(?:-|to|–)\s*(\d+)/) || value.match(/(?:age|ages)\s*(\d+)/);
+  const upperAge = ages ? Number(ages[2] || ages[1]) : null;
+
+  let name = 'general';
+  if (upperAge !== null) {
+    name = upperAge <= 6 ? 'picture-book' : upperAge <= 8 ? 'early-reader' : upperAge <= 12 ? 'children' : upperAge <= 18 ? 'young-adult' : 'general';
+  } else if (/picture|toddler|preschool|bedtime/.test(value)) {
+    name = 'picture-book';
+  } else if (/early|beginner|first reader/.test(value)) {
+    name = 'early-reader';
+  } else if (/teen|young adult|ya\b/.test(value)) {
+    name = 'young-adult';
+  } else if (/child|kid|middle grade|middle-grade|junior/.test(value)) {
+    name = 'children';
+  }
+  return { name, ...AUDIENCE_PROFILES[name] };
+}
+
+function countSyllables(word) {
+  const clean = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (clean.length <= 3) return 1;
+
+  const trimmed = clean
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+function splitSentences(text) {
+  return text
+    .replace(/^#+\s.*$/gm, '')
+    .split(/(?<=[.!?])["')\]]*\s+|\n\s*\n/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[a-z]/i.test(sentence));
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Raw readability metrics for a text
+function analyzeText(text, profile = AUDIENCE_PROFILES.general) {
+  const sentences = splitSentences(text);
+  const words = (text.replace(/^#+\s.*$/gm, '').match(/[A-Za-z][A-Za-z']*/g) || []);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const sentenceCount = Math.max(1, sentences.length);
+  const wordCount = Math.max(1, words.length);
+
+  const vocabulary = vocabularyFor(profile.vocabularyGrade);
+  const difficult = new Map();
+  for (const word of words) {
+    const lower = word.toLowerCase().replace(/'s$/, '');
+    // Capitalised words mid-sentence are names; they're the story bible's business
+    if (/^[A-Z]/.test(word) || vocabulary.has(lower)) continue;
+    if (countSyllables(lower) >= profile.difficultSyllables) difficult.set(lower, (difficult.get(lower) || 0) + 1);
+  }
+
+  const sentenceLengths = sentences.map(sentence => (sentence.match(/[A-Za-z][A-Za-z']*/g) || []).length);
+  const longSentences = sentences.filter((sentence, index) => sentenceLengths[index] > profile.maxSentenceLength);
+  const wordsPerSentence = wordCount / sentenceCount;
+  const syllablesPerWord = syllables / wordCount;
+  const lowerText = text.toLowerCase();
+
+  return {
+    words: words.length,
+    sentences: sentences.length,
+    averageSentenceLength: round(wordsPerSentence, 1),
+    averageSyllablesPerWord: round(syllablesPerWord),
+    fleschKincaidGrade: round(Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59), 1),
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord, 1),
+    longSentences: longSentences.length,
+    longSentenceRatio: round(longSentences.length / sentenceCount),
+    longSentenceExamples: longSentences.slice(0, 3),
+    difficultWordRatio: round([...difficult.values()].reduce((sum, count) => sum + count, 0) / wordCount, 3),
+    difficultWords: [...difficult.entries()].sort((a, b) => b[1] - a[1]).slice(0, 15).map(([word]) => word),
+    avoidedWordsUsed: profile.avoidWords.filter(word => new RegExp(`\\b${word}\\b`).test(lowerText))
+  };
+}
+
+// Check text against the audience's targets. Returns { passes, score, audience,
+// metrics, issues, feedback }; feedback is revision guidance for a regeneration prompt.
+function checkReadability(text, audience) {
+  const profile = resolveAudience(audience);
+  const metrics = analyzeText(text, profile);
+  const issues = [];
+  const feedback = [];
+
+  if (metrics.fleschKincaidGrade > profile.maxGrade) {
+    issues.push(`Reading level is grade ${metrics.fleschKincaidGrade}; target is grade ${profile.maxGrade} or below`);
+    feedback.push(`Lower the reading level to about grade ${profile.maxGrade}: use shorter sentences and simpler, shorter words.`);
+  }
+  if (metrics.longSentenceRatio > profile.maxLongSentenceRatio) {
+    issues.push(`${metrics.longSentences} sentences are longer than ${profile.maxSentenceLength} words`);
+    feedback.push(`Keep sentences under ${profile.maxSentenceLength} words (average is ${metrics.averageSentenceLength}). Split sentences like: "${metrics.longSentenceExamples[0]}"`);
+  }
+  if (metrics.difficultWordRatio > profile.maxDifficultRatio) {
+    issues.push(`${Math.round(metrics.difficultWordRatio * 100)}% of words are above the audience's vocabulary level`);
+    feedback.push(`Replace hard words with everyday ones: ${metrics.difficultWords.slice(0, 10).join(', ')}.`);
+  }
+  if (metrics.avoidedWordsUsed.length > 0) {
+    issues.push(`Uses words unsuited to a ${profile.label} audience: ${metrics.avoidedWordsUsed.join(', ')}`);
+    feedback.push(`Don't use ${metrics.avoidedWordsUsed.join(', ')}; join ideas with simple words like "then", "so" or "but".`);
+  }
+
+  const gradeFit = Math.min(1, (profile.maxGrade + 1) / (metrics.fleschKincaidGrade + 1));
+  const score = round(Math.max(0, gradeFit - (issues.length > 1 ? 0.1 * (issues.length - 1) : 0)));
+
+  return {
+    passes: issues.length === 0,
+    score,
+    audience: profile.name,
+    target: { maxGrade: profile.maxGrade, maxSentenceLength: profile.maxSentenceLength, label: profile.label },
+    metrics,
+    issues,
+    feedback: feedback.join('\n')
+  };
+}
+
+module.exports = {
+  AUDIENCE_PROFILES,
+  GRADED_WORDS,
+  resolveAudience,
+  analyzeText,
+  checkReadability,
+  countSyllables
+};
@@ -0,0 +1,138 @@
+// File: series.js
+// Multi-book series: validation of series details, reading-order changes and the
+// "previously in the series" context given to a new installment's prompts. Shared
+// characters and established facts live in the series story bible (story-bible.js).
+
+class SeriesValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid series: ${errors.join('; ')}`);
+    this.name = 'SeriesValidationError';
+    this.errors = errors;
+  }
+}
+
+// Validate series fields from a request. partial allows updates without a title.
+// Returns only the fields that were given.
+function normalizeSeries(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const series = {};
+
+  if (input.title !== undefined || !partial) {
+    if (typeof input.title !== 'string' || !input.title.trim()) errors.push('title is required');
+    else series.title = input.title.trim();
+  }
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') errors.push('description must be a string');
+    else series.description = input.description;
+  }
+  if (input.themes !== undefined) {
+    const themes = Array.isArray(input.themes) ? input.themes : [input.themes];
+    if (themes.some(theme => typeof theme !== 'string' || !theme.trim())) errors.push('themes must be a list of non-empty strings');
+    else series.themes = [...new Set(themes.map(theme => theme.trim()))];
+  }
+  if (input.metadata !== undefined) series.metadata = input.metadata;
+
+  if (errors.length > 0) throw new SeriesValidationError(errors);
+  return series;
+}
+
+// New reading order after moving bookId to a 1-based position (default: the end)
+function insertIntoOrder(bookIds, bookId, position) {
+  const order = bookIds.filter(id => id !== bookId);
+  const index = position ? Math.min(Math.max(position - 1, 0), order.length) : order.length;
+  order.splice(index, 0, bookId);
+  return order;
+}
+
+// A full reorder must list every book in the series exactly once
+function validateReorder(currentIds, requestedIds) {
+  const errors = [];
+  if (!Array.isArray(requestedIds)) {
+    throw new SeriesValidationError(['bookIds must be a list of the series\' book ids']);
+  }
+  const current = new Set(currentIds);
+  const seen = new Set();
+  for (const id of requestedIds) {
+    if (!current.has(id)) errors.push(`book ${id} is not in this series`);
+    else if (seen.has(id)) errors.push(`book ${id} is listed twice`);
+    seen.add(id);
+  }
+  const missing = currentIds.filter(id => !seen.has(id));
+  if (missing.length > 0) errors.push(`missing books: ${missing.join(', ')}`);
+
+  if (errors.length > 0) throw new SeriesValidationError(errors);
+  return requestedIds;
+}
+
+// What an earlier installment is about: its stored summary, else its description
+// or premise plus chapter titles
+function bookSummary(book) {
+  if (book.metadata?.summary) return book.metadata.summary;
+
+  const about = book.description || book.metadata?.premise || '';
+  const chapters = (book.chapters || []).filter(ch => !ch.metadata?.error).map(ch => ch.title);
+  return [about, chapters.length ? `Chapters: ${chapters.join('; ')}.` : ''].filter(Boolean).join(' ') || 'No summary yet.';
+}
+
+// Prompt section for a book in a series: its place in the reading order, the
+// recurring themes and what happened in the books before it (most recent kept
+// when the summaries exceed limit characters)
+function buildSeriesContext(series, previousBooks = [], { limit = 3000 } = {}) {
+  if (!series) return '';
+
+  const header = [
+    `Series: ${series.title} (book ${previousBooks.length + 1})`,
+    series.description ? `About the series: ${series.description}` : null,
+    series.themes?.length ? `Recurring themes: ${series.themes.join(', ')}` : null
+  ].filter(Boolean).join('\n');
+
+  const installments = [];
+  let length = 0;
+  for (let i = previousBooks.length - 1; i >= 0; i--) {
+    const entry = `Book ${i + 1}: "${previousBooks[i].title}" - ${bookSummary(previousBooks[i])}`;
+    if (length + entry.length > limit && installments.length > 0) break;
+    installments.unshift(entry);
+    length += entry.length;
+  }
+  const skipped = previousBooks.length - installments.length;
+
+  return [
+    header,
+    installments.length ? `Previously in the series:\n${skipped ? `(${skipped} earlier books omitted)\n` : ''}${installments.join('\n')}` : null
+  ].filter(Boolean).join('\n');
+}
+
+// Prompt asking for a short recap of a finished book, built from its chapters'
+// openings and endings so long books stay within the context window
+function buildSummaryPrompt(book, { limit = 6000 } = {}) {
+  const chapters = (book.chapters || []).filter(ch => ch.content && !ch.error && !ch.metadata?.error);
+  const share = Math.max(200, Math.floor(limit / Math.max(1, chapters.length) / 2));
+  const excerpts = chapters.map(ch => {
+    const text = ch.content.replace(/\s+/g, ' ').trim();
+    const body = text.length > share * 2 ? `${text.slice(0, share)} [...] ${text.slice(-share)}` : text;
+    return `${ch.title}:\n${body}`;
+  });
+
+  return `
+BOOK TO SUMMARIZE:
+Title: ${book.title}
+${book.premise ? `Premise: ${book.premise}\n` : ''}
+CHAPTERS (openings and endings):
+${excerpts.join('\n\n')}
+
+INSTRUCTIONS:
+Write a recap of this book in one paragraph of 80-150 words for the author of the
+next book in the series: the main events, how the story ends and anything that
+changed for the characters. Return the recap only.
+`;
+}
+
+module.exports = {
+  SeriesValidationError,
+  normalizeSeries,
+  insertIntoOrder,
+  validateReorder,
+  bookSummary,
+  buildSeriesContext,
+  buildSummaryPrompt
+};
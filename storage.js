@@ -0,0 +1,1155 @@
+// File: storage.js
+// Persistence for books and chapters. PrismaStorage talks to Postgres through the
+// schema in prisma/schema.prisma; MemoryStorage keeps the same data in memory
+// (optionally mirrored to a JSON file) so the app runs without a database.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { BOOK_STATUSES, LEGACY_STATUSES } = require('./workflow');
+const { chapterKey } = require('./duplicates');
+
+const DEFAULT_AUTHOR = {
+  email: process.env.DEFAULT_AUTHOR_EMAIL || 'briggs@briggs-empire.local',
+  name: process.env.DEFAULT_AUTHOR_NAME || 'Briggs Empire'
+};
+
+// Map a generated chapter (from AIProviderManager.generateBook) to a Chapter row
+function chapterFromGenerated(chapter) {
+  return {
+    title: chapter.title,
+    content: chapter.content,
+    order: chapter.number,
+    wordCount: chapter.wordCount || 0,
+    metadata: {
+      provider: chapter.provider,
+      qualityScore: chapter.qualityScore,
+      consistencyScore: chapter.consistencyScore,
+      driftingPassages: chapter.consistency?.drifting,
+      readability: chapter.readability,
+      safety: chapter.safety,
+      duplicates: chapter.duplicates,
+      generatedAt: chapter.timestamp,
+      usage: chapter.usage,
+      error: chapter.error
+    }
+  };
+}
+
+function countWords(content) {
+  return content ? content.split(/\s+/).filter(Boolean).length : 0;
+}
+
+function emptyStatusCounts() {
+  return Object.fromEntries(BOOK_STATUSES.map(status => [status, 0]));
+}
+
+class MemoryStorage {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.writeChain = Promise.resolve();
+    this.data = { users: [], books: [], chapters: [], chapterVersions: [], bookTransitions: [], sales: [], storyBibles: [], series: [], promptTemplates: [], apiTokens: [], webhooks: [], webhookDeliveries: [] };
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+      for (const book of this.data.books) book.status = LEGACY_STATUSES[book.status] || book.status;
+    }
+  }
+
+  // Mirror the in-memory data to disk; writes are serialized and atomic
+  persist() {
+    if (!this.filePath) return Promise.resolve();
+
+    const snapshot = JSON.stringify(this.data, null, 2);
+    this.writeChain = this.writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, this.filePath);
+    }).catch(error => console.error('Failed to persist storage:', error.message));
+
+    return this.writeChain;
+  }
+
+  now() {
+    return new Date().toISOString();
+  }
+
+  // Users
+  async ensureDefaultAuthor() {
+    let user = this.data.users.find(u => u.email === DEFAULT_AUTHOR.email);
+    if (!user) {
+      user = { id: crypto.randomUUID(), ...DEFAULT_AUTHOR, role: 'user', createdAt: this.now() };
+      this.data.users.push(user);
+      await this.persist();
+    }
+    return { ...user };
+  }
+
+  async getUser(id) {
+    const user = this.data.users.find(u => u.id === id);
+    return user ? { ...user } : null;
+  }
+
+  async getUserByEmail(email) {
+    const user = this.data.users.find(u => u.email === email);
+    return user ? { ...user } : null;
+  }
+
+  async createUser({ email, name, role = 'user' }) {
+    const user = { id: crypto.randomUUID(), email, name, role, createdAt: this.now() };
+    this.data.users.push(user);
+    await this.persist();
+    return { ...user };
+  }
+
+  async listUsers() {
+    return this.data.users
+      .slice()
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(u => ({ role: 'user', ...u }));
+  }
+
+  async updateUser(id, changes) {
+    const user = this.data.users.find(u => u.id === id);
+    if (!user) return null;
+    Object.assign(user, changes);
+    await this.persist();
+    return { ...user };
+  }
+
+  // API tokens (stored as hashes; see auth.js)
+  async createApiToken(userId, { name, tokenHash, prefix }) {
+    const token = { id: crypto.randomUUID(), userId, name, tokenHash, prefix, lastUsedAt: null, revokedAt: null, createdAt: this.now() };
+    this.data.apiTokens.push(token);
+    await this.persist();
+    return { ...token };
+  }
+
+  // The unrevoked token with this hash and its user, or null
+  async findApiToken(tokenHash) {
+    const token = this.data.apiTokens.find(t => t.tokenHash === tokenHash && !t.revokedAt);
+    const user = token && this.data.users.find(u => u.id === token.userId);
+    return user ? { token: { ...token }, user: { role: 'user', ...user } } : null;
+  }
+
+  async listApiTokens(userId) {
+    return this.data.apiTokens.filter(t => t.userId === userId).map(t => ({ ...t }));
+  }
+
+  async touchApiToken(id) {
+    const token = this.data.apiTokens.find(t => t.id === id);
+    if (token) {
+      token.lastUsedAt = this.now();
+      await this.persist();
+    }
+  }
+
+  async revokeApiToken(userId, id) {
+    const token = this.data.apiTokens.find(t => t.id === id && t.userId === userId && !t.revokedAt);
+    if (!token) return false;
+    token.revokedAt = this.now();
+    await this.persist();
+    return true;
+  }
+
+  // Books
+  async createBook({ title, description = null, status = 'DRAFTING', authorId, metadata = null, seriesId = null, seriesOrder = null }) {
+    const book = {
+      id: crypto.randomUUID(),
+      title,
+      description,
+      status,
+      authorId: authorId || (await this.ensureDefaultAuthor()).id,
+      metadata,
+      seriesId,
+      seriesOrder,
+      createdAt: this.now(),
+      updatedAt: this.now()
+    };
+    this.data.books.push(book);
+    await this.persist();
+    return { ...book };
+  }
+
+  async getBook(id, { includeChapters = false } = {}) {
+    const book = this.data.books.find(b => b.id === id);
+    if (!book) return null;
+    return includeChapters ? { ...book, chapters: await this.listChapters(id) } : { ...book };
+  }
+
+  async listBooks({ status, authorId } = {}) {
+    return this.data.books
+      .filter(b => (!status || b.status === status) && (!authorId || b.authorId === authorId))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(b => ({ ...b }));
+  }
+
+  async updateBook(id, changes) {
+    const book = this.data.books.find(b => b.id === id);
+    if (!book) return null;
+    Object.assign(book, changes, { updatedAt: this.now() });
+    await this.persist();
+    return { ...book };
+  }
+
+  async deleteBook(id) {
+    const index = this.data.books.findIndex(b => b.id === id);
+    if (index === -1) return false;
+    this.data.books.splice(index, 1);
+    const chapterIds = new Set(this.data.chapters.filter(ch => ch.bookId === id).map(ch => ch.id));
+    this.data.chapters = this.data.chapters.filter(ch => ch.bookId !== id);
+    this.data.chapterVersions = this.data.chapterVersions.filter(v => !chapterIds.has(v.chapterId));
+    this.data.bookTransitions = this.data.bookTransitions.filter(entry => entry.bookId !== id);
+    this.data.sales = this.data.sales.filter(sale => sale.bookId !== id);
+    this.data.storyBibles = this.data.storyBibles.filter(entry => !(entry.scope === 'book' && entry.scopeId === id));
+    await this.persist();
+    return true;
+  }
+
+  // Chapters (addressed by their order within the book)
+  async listChapters(bookId) {
+    return this.data.chapters
+      .filter(ch => ch.bookId === bookId)
+      .sort((a, b) => a.order - b.order)
+      .map(ch => ({ ...ch }));
+  }
+
+  async getChapter(bookId, order) {
+    const chapter = this.data.chapters.find(ch => ch.bookId === bookId && ch.order === order);
+    return chapter ? { ...chapter } : null;
+  }
+
+  // Every chapter with its book's title and author (for duplicate detection).
+  // content: false leaves the text out; ids limits the chapters returned.
+  async listAllChapters({ content = true, ids = null } = {}) {
+    const books = new Map(this.data.books.map(b => [b.id, b]));
+    return this.data.chapters
+      .filter(ch => books.has(ch.bookId) && (!ids || ids.includes(ch.id)))
+      .map(ch => ({
+        id: ch.id,
+        bookId: ch.bookId,
+        bookTitle: books.get(ch.bookId).title,
+        authorId: books.get(ch.bookId).authorId,
+        order: ch.order,
+        title: ch.title,
+        updatedAt: ch.updatedAt,
+        ...(content && { content: ch.content })
+      }));
+  }
+
+  async createChapter(bookId, { title, content = '', order, wordCount, metadata = null }) {
+    if (order === undefined) {
+      const chapters = await this.listChapters(bookId);
+      order = chapters.length ? chapters[chapters.length - 1].order + 1 : 1;
+    }
+
+    const chapter = {
+      id: crypto.randomUUID(),
+      bookId,
+      title,
+      content,
+      order,
+      wordCount: wordCount ?? countWords(content),
+      metadata,
+      createdAt: this.now(),
+      updatedAt: this.now()
+    };
+    this.data.chapters.push(chapter);
+    await this.persist();
+    return { ...chapter };
+  }
+
+  async updateChapter(bookId, order, changes) {
+    const chapter = this.data.chapters.find(ch => ch.bookId === bookId && ch.order === order);
+    if (!chapter) return null;
+    if (changes.content !== undefined && changes.wordCount === undefined) {
+      changes = { ...changes, wordCount: countWords(changes.content) };
+    }
+    Object.assign(chapter, changes, { updatedAt: this.now() });
+    await this.persist();
+    return { ...chapter };
+  }
+
+  async deleteChapter(bookId, order) {
+    const index = this.data.chapters.findIndex(ch => ch.bookId === bookId && ch.order === order);
+    if (index === -1) return false;
+    const [chapter] = this.data.chapters.splice(index, 1);
+    this.data.chapterVersions = this.data.chapterVersions.filter(v => v.chapterId !== chapter.id);
+    await this.persist();
+    return true;
+  }
+
+  // Chapter versions (snapshots of a chapter's text, numbered from 1)
+  async listChapterVersions(bookId, order) {
+    const chapter = this.data.chapters.find(ch => ch.bookId === bookId && ch.order === order);
+    if (!chapter) return null;
+    return this.data.chapterVersions
+      .filter(v => v.chapterId === chapter.id)
+      .sort((a, b) => a.version - b.version)
+      .map(v => ({ ...v }));
+  }
+
+  async getChapterVersion(bookId, order, version) {
+    const versions = await this.listChapterVersions(bookId, order);
+    const found = versions?.find(v => v.version === version);
+    return found ? { ...found } : null;
+  }
+
+  async createChapterVersion(bookId, order, { title, content, wordCount, source, notes = null, metadata = null }) {
+    const chapter = this.data.chapters.find(ch => ch.bookId === bookId && ch.order === order);
+    if (!chapter) return null;
+
+    const versions = this.data.chapterVersions.filter(v => v.chapterId === chapter.id);
+    const entry = {
+      id: crypto.randomUUID(),
+      chapterId: chapter.id,
+      version: versions.reduce((max, v) => Math.max(max, v.version), 0) + 1,
+      title,
+      content,
+      wordCount: wordCount ?? countWords(content),
+      source,
+      notes,
+      metadata,
+      createdAt: this.now()
+    };
+    this.data.chapterVersions.push(entry);
+    await this.persist();
+    return { ...entry };
+  }
+
+  // Workflow: move a book from status `from` (see workflow.js) and log the move.
+  // Returns null when the book is gone or no longer in `from`.
+  async transitionBook(id, from, changes, { userId = null, note = null, automatic = false } = {}) {
+    const book = this.data.books.find(b => b.id === id);
+    if (!book || book.status !== from) return null;
+
+    Object.assign(book, changes, { updatedAt: this.now() });
+    this.data.bookTransitions.push({
+      id: crypto.randomUUID(),
+      bookId: id,
+      fromStatus: from,
+      toStatus: book.status,
+      userId,
+      note,
+      automatic,
+      createdAt: this.now()
+    });
+    await this.persist();
+    return { ...book };
+  }
+
+  // A book's workflow log, oldest first
+  async listBookTransitions(bookId) {
+    return this.data.bookTransitions
+      .filter(entry => entry.bookId === bookId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(entry => ({ ...entry }));
+  }
+
+  // Series (books join one through seriesId and are read in seriesOrder)
+  async createSeries({ title, description = null, themes = [], metadata = null, ownerId = null }) {
+    const series = {
+      id: crypto.randomUUID(),
+      title,
+      description,
+      themes,
+      metadata,
+      ownerId,
+      createdAt: this.now(),
+      updatedAt: this.now()
+    };
+    this.data.series.push(series);
+    await this.persist();
+    return structuredClone(series);
+  }
+
+  async getSeries(id) {
+    const series = this.data.series.find(s => s.id === id);
+    return series ? structuredClone(series) : null;
+  }
+
+  async listSeries({ ownerId } = {}) {
+    return this.data.series
+      .filter(s => !ownerId || s.ownerId === ownerId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(series => ({ ...structuredClone(series), bookCount: this.data.books.filter(b => b.seriesId === series.id).length }));
+  }
+
+  async updateSeries(id, changes) {
+    const series = this.data.series.find(s => s.id === id);
+    if (!series) return null;
+    Object.assign(series, changes, { updatedAt: this.now() });
+    await this.persist();
+    return structuredClone(series);
+  }
+
+  // Deleting a series keeps its books as standalone titles
+  async deleteSeries(id) {
+    const index = this.data.series.findIndex(s => s.id === id);
+    if (index === -1) return false;
+    this.data.series.splice(index, 1);
+    for (const book of this.data.books.filter(b => b.seriesId === id)) {
+      Object.assign(book, { seriesId: null, seriesOrder: null, updatedAt: this.now() });
+    }
+    this.data.storyBibles = this.data.storyBibles.filter(entry => !(entry.scope === 'series' && entry.scopeId === id));
+    await this.persist();
+    return true;
+  }
+
+  // Books in reading order
+  async listSeriesBooks(seriesId, { includeChapters = false } = {}) {
+    const books = this.data.books
+      .filter(b => b.seriesId === seriesId)
+      .sort((a, b) => (a.seriesOrder ?? Infinity) - (b.seriesOrder ?? Infinity) || a.createdAt.localeCompare(b.createdAt));
+    return Promise.all(books.map(b => this.getBook(b.id, { includeChapters })));
+  }
+
+  // Put the given books into the series in this order (numbered from 1)
+  async setSeriesOrder(seriesId, bookIds) {
+    bookIds.forEach((bookId, index) => {
+      const book = this.data.books.find(b => b.id === bookId);
+      if (book) Object.assign(book, { seriesId, seriesOrder: index + 1, updatedAt: this.now() });
+    });
+    await this.persist();
+    return this.listSeriesBooks(seriesId);
+  }
+
+  // Sales
+  async createSale({ bookId, platform, quantity, revenue, saleDate }) {
+    const sale = {
+      id: crypto.randomUUID(),
+      bookId,
+      platform,
+      quantity,
+      revenue,
+      saleDate: saleDate ? new Date(saleDate).toISOString() : this.now()
+    };
+    this.data.sales.push(sale);
+    await this.persist();
+    return { ...sale };
+  }
+
+  async listSales({ bookId } = {}) {
+    return this.data.sales
+      .filter(sale => !bookId || sale.bookId === bookId)
+      .sort((a, b) => b.saleDate.localeCompare(a.saleDate))
+      .map(sale => ({ ...sale }));
+  }
+
+  // Story bibles, one per scope ('book' or 'series') and id
+  async getStoryBible(scope, scopeId) {
+    const entry = this.data.storyBibles.find(item => item.scope === scope && item.scopeId === scopeId);
+    return entry ? structuredClone(entry.data) : null;
+  }
+
+  async saveStoryBible(scope, scopeId, bible) {
+    const entry = this.data.storyBibles.find(item => item.scope === scope && item.scopeId === scopeId);
+    if (entry) {
+      Object.assign(entry, { data: structuredClone(bible), updatedAt: this.now() });
+    } else {
+      this.data.storyBibles.push({ id: crypto.randomUUID(), scope, scopeId, data: structuredClone(bible), updatedAt: this.now() });
+    }
+    await this.persist();
+    return structuredClone(bible);
+  }
+
+  // Prompt templates: one entry per version; the active version of each name is used
+  async listPromptTemplates({ contentType, activeOnly = false } = {}) {
+    return this.data.promptTemplates
+      .filter(t => (!contentType || t.contentType === contentType) && (!activeOnly || t.active))
+      .sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version)
+      .map(t => structuredClone(t));
+  }
+
+  async listPromptTemplateVersions(name) {
+    return (await this.listPromptTemplates()).filter(t => t.name === name);
+  }
+
+  // Save a new version of a template and make it the active one
+  async createPromptTemplateVersion(name, { contentType, genre = null, audience = null, description = null, body, requiredVariables = [] }) {
+    const versions = this.data.promptTemplates.filter(t => t.name === name);
+    versions.forEach(t => { t.active = false; });
+    const template = {
+      id: crypto.randomUUID(),
+      name,
+      version: versions.reduce((max, t) => Math.max(max, t.version), 0) + 1,
+      contentType,
+      genre,
+      audience,
+      description,
+      body,
+      requiredVariables,
+      active: true,
+      createdAt: this.now()
+    };
+    this.data.promptTemplates.push(template);
+    await this.persist();
+    return structuredClone(template);
+  }
+
+  async activatePromptTemplateVersion(name, version) {
+    const versions = this.data.promptTemplates.filter(t => t.name === name);
+    const template = versions.find(t => t.version === version);
+    if (!template) return null;
+    versions.forEach(t => { t.active = t === template; });
+    await this.persist();
+    return structuredClone(template);
+  }
+
+  async deletePromptTemplate(name) {
+    const before = this.data.promptTemplates.length;
+    this.data.promptTemplates = this.data.promptTemplates.filter(t => t.name !== name);
+    if (this.data.promptTemplates.length === before) return false;
+    await this.persist();
+    return true;
+  }
+
+  // Webhooks (see webhooks.js) and their delivery log
+  async createWebhook({ ownerId, url, events, secret, description = null, active = true }) {
+    const webhook = { id: crypto.randomUUID(), ownerId, url, events, secret, description, active, createdAt: this.now(), updatedAt: this.now() };
+    this.data.webhooks.push(webhook);
+    await this.persist();
+    return structuredClone(webhook);
+  }
+
+  async getWebhook(id) {
+    const webhook = this.data.webhooks.find(w => w.id === id);
+    return webhook ? structuredClone(webhook) : null;
+  }
+
+  // Filter by owner, by subscribed event and/or by active flag
+  async listWebhooks({ ownerId, event, active } = {}) {
+    return this.data.webhooks
+      .filter(w => (!ownerId || w.ownerId === ownerId) && (!event || w.events.includes(event)) && (active === undefined || w.active === active))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(w => structuredClone(w));
+  }
+
+  async updateWebhook(id, changes) {
+    const webhook = this.data.webhooks.find(w => w.id === id);
+    if (!webhook) return null;
+    Object.assign(webhook, changes, { updatedAt: this.now() });
+    await this.persist();
+    return structuredClone(webhook);
+  }
+
+  async deleteWebhook(id) {
+    const before = this.data.webhooks.length;
+    this.data.webhooks = this.data.webhooks.filter(w => w.id !== id);
+    if (this.data.webhooks.length === before) return false;
+    this.data.webhookDeliveries = this.data.webhookDeliveries.filter(d => d.webhookId !== id);
+    await this.persist();
+    return true;
+  }
+
+  async createWebhookDelivery({ webhookId, event, payload }) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId,
+      event,
+      payload,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: null,
+      deliveredAt: null,
+      createdAt: this.now(),
+      updatedAt: this.now()
+    };
+    this.data.webhookDeliveries.push(delivery);
+    await this.persist();
+    return structuredClone(delivery);
+  }
+
+  async getWebhookDelivery(id) {
+    const delivery = this.data.webhookDeliveries.find(d => d.id === id);
+    return delivery ? structuredClone(delivery) : null;
+  }
+
+  async updateWebhookDelivery(id, changes) {
+    const delivery = this.data.webhookDeliveries.find(d => d.id === id);
+    if (!delivery) return null;
+    Object.assign(delivery, changes, { updatedAt: this.now() });
+    await this.persist();
+    return structuredClone(delivery);
+  }
+
+  // Newest first
+  async listWebhookDeliveries({ webhookId, status, limit = 100 } = {}) {
+    return this.data.webhookDeliveries
+      .filter(d => (!webhookId || d.webhookId === webhookId) && (!status || d.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(d => structuredClone(d));
+  }
+
+  // Library-wide totals for the dashboard, or one author's with authorId
+  async getLibraryStats({ authorId } = {}) {
+    const books = this.data.books.filter(b => !authorId || b.authorId === authorId);
+    const bookIds = new Set(books.map(b => b.id));
+    const chapters = this.data.chapters.filter(ch => bookIds.has(ch.bookId));
+    const booksByStatus = emptyStatusCounts();
+    for (const book of books) booksByStatus[book.status] = (booksByStatus[book.status] || 0) + 1;
+
+    const platforms = new Map();
+    for (const sale of this.data.sales.filter(sale => bookIds.has(sale.bookId))) {
+      const totals = platforms.get(sale.platform) || { platform: sale.platform, quantity: 0, revenue: 0 };
+      totals.quantity += sale.quantity;
+      totals.revenue += sale.revenue;
+      platforms.set(sale.platform, totals);
+    }
+
+    return {
+      totalBooks: books.length,
+      booksByStatus,
+      totalChapters: chapters.length,
+      totalWords: chapters.reduce((sum, ch) => sum + (ch.wordCount || 0), 0),
+      revenueByPlatform: [...platforms.values()]
+    };
+  }
+}
+
+class PrismaStorage {
+  constructor(options = {}) {
+    // Loaded lazily so installs without a database never need the Prisma client
+    const { PrismaClient } = require('@prisma/client');
+    this.prisma = options.prisma || new PrismaClient();
+  }
+
+  // Users
+  async ensureDefaultAuthor() {
+    return this.prisma.user.upsert({
+      where: { email: DEFAULT_AUTHOR.email },
+      update: {},
+      create: DEFAULT_AUTHOR
+    });
+  }
+
+  async getUser(id) {
+    return this.prisma.user.findUnique({ where: { id } });
+  }
+
+  async getUserByEmail(email) {
+    return this.prisma.user.findUnique({ where: { email } });
+  }
+
+  async createUser({ email, name, role = 'user' }) {
+    return this.prisma.user.create({ data: { email, name, role } });
+  }
+
+  async listUsers() {
+    return this.prisma.user.findMany({ orderBy: { createdAt: 'asc' } });
+  }
+
+  async updateUser(id, changes) {
+    try {
+      return await this.prisma.user.update({ where: { id }, data: changes });
+    } catch (error) {
+      if (error.code === 'P2025') return null;
+      throw error;
+    }
+  }
+
+  // API tokens (stored as hashes; see auth.js)
+  async createApiToken(userId, { name, tokenHash, prefix }) {
+    return this.prisma.apiToken.create({ data: { userId, name, tokenHash, prefix } });
+  }
+
+  // The unrevoked token with this hash and its user, or null
+  async findApiToken(tokenHash) {
+    const token = await this.prisma.apiToken.findUnique({ where: { tokenHash }, include: { user: true } });
+    if (!token || token.revokedAt) return null;
+    const { user, ...rest } = token;
+    return { token: rest, user };
+  }
+
+  async listApiTokens(userId) {
+    return this.prisma.apiToken.findMany({ where: { userId }, orderBy: { createdAt: 'asc' } });
+  }
+
+  async touchApiToken(id) {
+    await this.prisma.apiToken.update({ where: { id }, data: { lastUsedAt: new Date() } });
+  }
+
+  async revokeApiToken(userId, id) {
+    const { count } = await this.prisma.apiToken.updateMany({
+      where: { id, userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    return count > 0;
+  }
+
+  // Books
+  async createBook({ title, description = null, status = 'DRAFTING', authorId, metadata, seriesId = null, seriesOrder = null }) {
+    return this.prisma.book.create({
+      data: {
+        title,
+        description,
+        status,
+        authorId: authorId || (await this.ensureDefaultAuthor()).id,
+        metadata: metadata ?? undefined,
+        seriesId,
+        seriesOrder
+      }
+    });
+  }
+
+  async getBook(id, { includeChapters = false } = {}) {
+    return this.prisma.book.findUnique({
+      where: { id },
+      include: includeChapters ? { chapters: { orderBy: { order: 'asc' } } } : undefined
+    });
+  }
+
+  async listBooks({ status, authorId } = {}) {
+    return this.prisma.book.findMany({
+      where: { status, authorId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  async updateBook(id, changes) {
+    try {
+      return await this.prisma.book.update({ where: { id }, data: changes });
+    } catch (error) {
+      if (error.code === 'P2025') return null; // record not found
+      throw error;
+    }
+  }
+
+  async deleteBook(id) {
+    try {
+      // Sales reference books without cascading, so remove them first
+      await this.prisma.$transaction([
+        this.prisma.sale.deleteMany({ where: { bookId: id } }),
+        this.prisma.storyBible.deleteMany({ where: { scope: 'book', scopeId: id } }),
+        this.prisma.book.delete({ where: { id } })
+      ]);
+      return true;
+    } catch (error) {
+      if (error.code === 'P2025') return false;
+      throw error;
+    }
+  }
+
+  // Chapters (addressed by their order within the book)
+  async listChapters(bookId) {
+    return this.prisma.chapter.findMany({ where: { bookId }, orderBy: { order: 'asc' } });
+  }
+
+  async getChapter(bookId, order) {
+    return this.prisma.chapter.findUnique({ where: { bookId_order: { bookId, order } } });
+  }
+
+  async listAllChapters({ content = true, ids = null } = {}) {
+    const chapters = await this.prisma.chapter.findMany({
+      where: ids ? { id: { in: ids } } : undefined,
+      select: { id: true, bookId: true, order: true, title: true, updatedAt: true, content, book: { select: { title: true, authorId: true } } }
+    });
+    return chapters.map(({ book, ...chapter }) => ({ ...chapter, bookTitle: book.title, authorId: book.authorId }));
+  }
+
+  async createChapter(bookId, { title, content = '', order, wordCount, metadata }) {
+    if (order === undefined) {
+      const last = await this.prisma.chapter.findFirst({ where: { bookId }, orderBy: { order: 'desc' } });
+      order = last ? last.order + 1 : 1;
+    }
+
+    return this.prisma.chapter.create({
+      data: {
+        bookId,
+        title,
+        content,
+        order,
+        wordCount: wordCount ?? countWords(content),
+        metadata: metadata ?? undefined
+      }
+    });
+  }
+
+  async updateChapter(bookId, order, changes) {
+    if (changes.content !== undefined && changes.wordCount === undefined) {
+      changes = { ...changes, wordCount: countWords(changes.content) };
+    }
+
+    try {
+      return await this.prisma.chapter.update({ where: { bookId_order: { bookId, order } }, data: changes });
+    } catch (error) {
+      if (error.code === 'P2025') return null;
+      throw error;
+    }
+  }
+
+  async deleteChapter(bookId, order) {
+    try {
+      await this.prisma.chapter.delete({ where: { bookId_order: { bookId, order } } });
+      return true;
+    } catch (error) {
+      if (error.code === 'P2025') return false;
+      throw error;
+    }
+  }
+
+  // Chapter versions (snapshots of a chapter's text, numbered from 1)
+  async listChapterVersions(bookId, order) {
+    const chapter = await this.prisma.chapter.findUnique({
+      where: { bookId_order: { bookId, order } },
+      include: { versions: { orderBy: { version: 'asc' } } }
+    });
+    return chapter ? chapter.versions : null;
+  }
+
+  async getChapterVersion(bookId, order, version) {
+    return this.prisma.chapterVersion.findFirst({ where: { version, chapter: { bookId, order } } });
+  }
+
+  async createChapterVersion(bookId, order, { title, content, wordCount, source, notes = null, metadata }) {
+    const chapter = await this.getChapter(bookId, order);
+    if (!chapter) return null;
+
+    const last = await this.prisma.chapterVersion.findFirst({ where: { chapterId: chapter.id }, orderBy: { version: 'desc' } });
+    return this.prisma.chapterVersion.create({
+      data: {
+        chapterId: chapter.id,
+        version: last ? last.version + 1 : 1,
+        title,
+        content,
+        wordCount: wordCount ?? countWords(content),
+        source,
+        notes,
+        metadata: metadata ?? undefined
+      }
+    });
+  }
+
+  // Workflow: move a book from status `from` (see workflow.js) and log the move.
+  // Returns null when the book is gone or no longer in `from`.
+  async transitionBook(id, from, changes, { userId = null, note = null, automatic = false } = {}) {
+    return this.prisma.$transaction(async (tx) => {
+      const { count } = await tx.book.updateMany({ where: { id, status: from }, data: changes });
+      if (count === 0) return null;
+      await tx.bookTransition.create({
+        data: { bookId: id, fromStatus: from, toStatus: changes.status, userId, note, automatic }
+      });
+      return tx.book.findUnique({ where: { id } });
+    });
+  }
+
+  async listBookTransitions(bookId) {
+    return this.prisma.bookTransition.findMany({ where: { bookId }, orderBy: { createdAt: 'asc' } });
+  }
+
+  // Series (books join one through seriesId and are read in seriesOrder)
+  async createSeries({ title, description = null, themes = [], metadata, ownerId = null }) {
+    return this.prisma.series.create({ data: { title, description, themes, metadata: metadata ?? undefined, ownerId } });
+  }
+
+  async getSeries(id) {
+    return this.prisma.series.findUnique({ where: { id } });
+  }
+
+  async listSeries({ ownerId } = {}) {
+    const series = await this.prisma.series.findMany({
+      where: { ownerId },
+      orderBy: { createdAt: 'desc' },
+      include: { _count: { select: { books: true } } }
+    });
+    return series.map(({ _count, ...entry }) => ({ ...entry, bookCount: _count.books }));
+  }
+
+  async updateSeries(id, changes) {
+    try {
+      return await this.prisma.series.update({ where: { id }, data: changes });
+    } catch (error) {
+      if (error.code === 'P2025') return null;
+      throw error;
+    }
+  }
+
+  // Deleting a series keeps its books as standalone titles
+  async deleteSeries(id) {
+    try {
+      await this.prisma.$transaction([
+        this.prisma.book.updateMany({ where: { seriesId: id }, data: { seriesId: null, seriesOrder: null } }),
+        this.prisma.storyBible.deleteMany({ where: { scope: 'series', scopeId: id } }),
+        this.prisma.series.delete({ where: { id } })
+      ]);
+      return true;
+    } catch (error) {
+      if (error.code === 'P2025') return false;
+      throw error;
+    }
+  }
+
+  // Books in reading order
+  async listSeriesBooks(seriesId, { includeChapters = false } = {}) {
+    return this.prisma.book.findMany({
+      where: { seriesId },
+      orderBy: [{ seriesOrder: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }],
+      include: includeChapters ? { chapters: { orderBy: { order: 'asc' } } } : undefined
+    });
+  }
+
+  // Put the given books into the series in this order (numbered from 1)
+  async setSeriesOrder(seriesId, bookIds) {
+    await this.prisma.$transaction(bookIds.map((id, index) => this.prisma.book.update({
+      where: { id },
+      data: { seriesId, seriesOrder: index + 1 }
+    })));
+    return this.listSeriesBooks(seriesId);
+  }
+
+  // Sales
+  async createSale({ bookId, platform, quantity, revenue, saleDate }) {
+    return this.prisma.sale.create({
+      data: { bookId, platform, quantity, revenue, saleDate: saleDate ? new Date(saleDate) : undefined }
+    });
+  }
+
+  async listSales({ bookId } = {}) {
+    return this.prisma.sale.findMany({ where: { bookId }, orderBy: { saleDate: 'desc' } });
+  }
+
+  // Story bibles, one per scope ('book' or 'series') and id
+  async getStoryBible(scope, scopeId) {
+    const entry = await this.prisma.storyBible.findUnique({ where: { scope_scopeId: { scope, scopeId } } });
+    return entry ? entry.data : null;
+  }
+
+  async saveStoryBible(scope, scopeId, bible) {
+    const entry = await this.prisma.storyBible.upsert({
+      where: { scope_scopeId: { scope, scopeId } },
+      update: { data: bible },
+      create: { scope, scopeId, data: bible }
+    });
+    return entry.data;
+  }
+
+  // Prompt templates: one row per version; the active version of each name is used
+  async listPromptTemplates({ contentType, activeOnly = false } = {}) {
+    return this.prisma.promptTemplate.findMany({
+      where: { contentType, active: activeOnly ? true : undefined },
+      orderBy: [{ name: 'asc' }, { version: 'asc' }]
+    });
+  }
+
+  async listPromptTemplateVersions(name) {
+    return this.prisma.promptTemplate.findMany({ where: { name }, orderBy: { version: 'asc' } });
+  }
+
+  // Save a new version of a template and make it the active one
+  async createPromptTemplateVersion(name, { contentType, genre = null, audience = null, description = null, body, requiredVariables = [] }) {
+    return this.prisma.$transaction(async tx => {
+      const last = await tx.promptTemplate.findFirst({ where: { name }, orderBy: { version: 'desc' } });
+      await tx.promptTemplate.updateMany({ where: { name }, data: { active: false } });
+      return tx.promptTemplate.create({
+        data: {
+          name,
+          version: last ? last.version + 1 : 1,
+          contentType,
+          genre,
+          audience,
+          description,
+          body,
+          requiredVariables,
+          active: true
+        }
+      });
+    });
+  }
+
+  async activatePromptTemplateVersion(name, version) {
+    const template = await this.prisma.promptTemplate.findUnique({ where: { name_version: { name, version } } });
+    if (!template) return null;
+    const [, activated] = await this.prisma.$transaction([
+      this.prisma.promptTemplate.updateMany({ where: { name }, data: { active: false } }),
+      this.prisma.promptTemplate.update({ where: { id: template.id }, data: { active: true } })
+    ]);
+    return activated;
+  }
+
+  async deletePromptTemplate(name) {
+    const { count } = await this.prisma.promptTemplate.deleteMany({ where: { name } });
+    return count > 0;
+  }
+
+  // Webhooks (see webhooks.js) and their delivery log
+  async createWebhook({ ownerId, url, events, secret, description = null, active = true }) {
+    return this.prisma.webhook.create({ data: { ownerId, url, events, secret, description, active } });
+  }
+
+  async getWebhook(id) {
+    return this.prisma.webhook.findUnique({ where: { id } });
+  }
+
+  async listWebhooks({ ownerId, event, active } = {}) {
+    return this.prisma.webhook.findMany({
+      where: { ownerId, active, events: event ? { has: event } : undefined },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  async updateWebhook(id, changes) {
+    try {
+      return await this.prisma.webhook.update({ where: { id }, data: changes });
+    } catch (error) {
+      if (error.code === 'P2025') return null;
+      throw error;
+    }
+  }
+
+  async deleteWebhook(id) {
+    const { count } = await this.prisma.webhook.deleteMany({ where: { id } });
+    return count > 0;
+  }
+
+  async createWebhookDelivery({ webhookId, event, payload }) {
+    return this.prisma.webhookDelivery.create({ data: { webhookId, event, payload, attempts: [] } });
+  }
+
+  async getWebhookDelivery(id) {
+    return this.prisma.webhookDelivery.findUnique({ where: { id } });
+  }
+
+  async updateWebhookDelivery(id, changes) {
+    try {
+      return await this.prisma.webhookDelivery.update({ where: { id }, data: changes });
+    } catch (error) {
+      if (error.code === 'P2025') return null;
+      throw error;
+    }
+  }
+
+  async listWebhookDeliveries({ webhookId, status, limit = 100 } = {}) {
+    return this.prisma.webhookDelivery.findMany({
+      where: { webhookId, status },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  // Library-wide totals for the dashboard, or one author's with authorId
+  async getLibraryStats({ authorId } = {}) {
+    const byBook = authorId ? { book: { authorId } } : undefined;
+    const [statusGroups, chapterTotals, platformGroups] = await Promise.all([
+      this.prisma.book.groupBy({ by: ['status'], where: { authorId }, _count: { _all: true } }),
+      this.prisma.chapter.aggregate({ where: byBook, _count: { _all: true }, _sum: { wordCount: true } }),
+      this.prisma.sale.groupBy({ by: ['platform'], where: byBook, _sum: { quantity: true, revenue: true } })
+    ]);
+
+    const booksByStatus = emptyStatusCounts();
+    for (const group of statusGroups) booksByStatus[group.status] = group._count._all;
+
+    return {
+      totalBooks: statusGroups.reduce((sum, group) => sum + group._count._all, 0),
+      booksByStatus,
+      totalChapters: chapterTotals._count._all,
+      totalWords: chapterTotals._sum.wordCount || 0,
+      revenueByPlatform: platformGroups.map(group => ({
+        platform: group.platform,
+        quantity: group._sum.quantity || 0,
+        revenue: group._sum.revenue || 0
+      }))
+    };
+  }
+}
+
+// Bring a DuplicateIndex in line with stored chapters. Only chapters that are new
+// or changed since the last sync have their text read.
+async function syncDuplicateIndex(storage, index) {
+  const chapters = new Map((await storage.listAllChapters({ content: false })).map(chapter => [chapterKey(chapter.bookId, chapter.order), chapter]));
+  await index.sync([...chapters].map(([key, chapter]) => ({
+    key,
+    version: `${chapter.id}@${new Date(chapter.updatedAt).getTime()}`,
+    meta: { bookId: chapter.bookId, bookTitle: chapter.bookTitle, authorId: chapter.authorId, chapter: chapter.order, chapterTitle: chapter.title }
+  })), async keys => {
+    const loaded = await storage.listAllChapters({ ids: keys.map(key => chapters.get(key).id) });
+    return new Map(loaded.map(chapter => [chapterKey(chapter.bookId, chapter.order), chapter.content]));
+  });
+}
+
+// Save generateBook output: replaces the book's chapters with the generated ones.
+// A run that was cancelled or stopped by its budget keeps the rest of the book and
+// only replaces the chapters it wrote, as new versions so the old text stays in
+// their history.
+async function saveGeneratedChapters(storage, bookId, generatedBook) {
+  if (generatedBook.metadata?.cancelled || generatedBook.metadata?.budgetExceeded) {
+    for (const chapter of generatedBook.chapters.filter(chapter => !chapter.error)) {
+      const { order, ...changes } = chapterFromGenerated(chapter);
+      const updated = await updateChapterWithHistory(storage, bookId, order, changes, { source: 'generation', notes: 'Redrafted by a job that stopped early' });
+      if (!updated) await storage.createChapter(bookId, { order, ...changes });
+    }
+    return storage.listChapters(bookId);
+  }
+
+  for (const existing of await storage.listChapters(bookId)) {
+    await storage.deleteChapter(bookId, existing.order);
+  }
+
+  for (const chapter of generatedBook.chapters) {
+    await storage.createChapter(bookId, chapterFromGenerated(chapter));
+  }
+
+  return storage.listChapters(bookId);
+}
+
+// Update a chapter and record the result in its version history. The first change
+// also snapshots the text it replaces, so version 1 is always the original.
+// source: 'revision', 'manual', 'rollback' or 'generation'. Returns { chapter, version } or null.
+async function updateChapterWithHistory(storage, bookId, order, changes, { source, notes = null, metadata = null } = {}) {
+  const current = await storage.getChapter(bookId, order);
+  if (!current) return null;
+
+  const history = await storage.listChapterVersions(bookId, order);
+  if (history.length === 0) {
+    await storage.createChapterVersion(bookId, order, {
+      title: current.title,
+      content: current.content,
+      wordCount: current.wordCount,
+      source: 'original',
+      metadata: current.metadata
+    });
+  }
+
+  const chapter = await storage.updateChapter(bookId, order, changes);
+  const version = await storage.createChapterVersion(bookId, order, {
+    title: chapter.title,
+    content: chapter.content,
+    wordCount: chapter.wordCount,
+    source,
+    notes,
+    metadata
+  });
+  return { chapter, version };
+}
+
+// Pick a storage backend from the environment:
+// STORAGE_DRIVER=prisma|file|memory (defaults to prisma when DATABASE_URL is set, else file)
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || (process.env.DATABASE_URL ? 'prisma' : 'file');
+
+  switch (driver) {
+    case 'prisma':
+      return new PrismaStorage(options);
+    case 'file':
+      return new MemoryStorage({
+        filePath: options.filePath || process.env.STORAGE_FILE || path.join(__dirname, 'data', 'storage.json')
+      });
+    case 'memory':
+      return new MemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  BOOK_STATUSES,
+  MemoryStorage,
+  PrismaStorage,
+  createStorage,
+  saveGeneratedChapters,
+  updateChapterWithHistory,
+  syncDuplicateIndex,
+  chapterFromGenerated,
+  countWords
+};
@@ -0,0 +1,210 @@
+// File: story-bible.js
+// Story bible: the characters, locations, timeline and established facts a book
+// (or a whole series) must stay consistent with. Entries are extracted from each
+// finished chapter and can be edited by hand; hand edits win over extraction.
+
+const crypto = require('crypto');
+
+// Each section's identifying field and descriptive field. Entries with the same
+// identifier (case-insensitive) are the same entry.
+const SECTIONS = {
+  characters: { key: 'name', text: 'description' },
+  locations: { key: 'name', text: 'description' },
+  timeline: { key: 'event', text: null },
+  facts: { key: 'fact', text: null }
+};
+
+const PROMPT_LIMIT = 3000;
+
+class StoryBibleValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid story bible: ${errors.join('; ')}`);
+    this.name = 'StoryBibleValidationError';
+    this.errors = errors;
+  }
+}
+
+function emptyBible() {
+  return { characters: [], locations: [], timeline: [], facts: [], updatedAt: null };
+}
+
+function identity(section, entry) {
+  return String(entry[SECTIONS[section].key] || '').trim().toLowerCase();
+}
+
+// Validate one entry for a section; returns the cleaned entry or throws
+function normalizeEntry(section, entry, defaults = {}) {
+  const { key, text } = SECTIONS[section];
+  const value = typeof entry === 'string' ? entry : entry?.[key];
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new StoryBibleValidationError([`${section} entries need a "${key}"`]);
+  }
+
+  const chapter = entry?.chapter ?? defaults.chapter ?? null;
+  return {
+    id: entry?.id || crypto.randomUUID(),
+    [key]: value.trim(),
+    ...(text && { [text]: typeof entry?.[text] === 'string' ? entry[text].trim() : '' }),
+    chapter: chapter === null ? null : parseInt(chapter, 10) || null,
+    source: entry?.source || defaults.source || 'manual'
+  };
+}
+
+// Validate a whole bible (e.g. a PUT body); unknown sections are rejected
+function normalizeBible(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new StoryBibleValidationError(['story bible must be an object']);
+  }
+
+  const unknown = Object.keys(raw).filter(name => !SECTIONS[name] && name !== 'updatedAt');
+  if (unknown.length > 0) {
+    throw new StoryBibleValidationError([`unknown sections: ${unknown.join(', ')}`]);
+  }
+
+  const bible = emptyBible();
+  for (const section of Object.keys(SECTIONS)) {
+    const entries = raw[section] ?? [];
+    if (!Array.isArray(entries)) throw new StoryBibleValidationError([`${section} must be an array`]);
+    bible[section] = entries.map(entry => normalizeEntry(section, entry));
+  }
+  bible.updatedAt = new Date().toISOString();
+  return bible;
+}
+
+// Merge entries extracted from chapter `chapter` into the bible (returns a new
+// bible and the number of entries added). Existing entries keep their id and
+// first-appearance chapter; manual descriptions are never overwritten.
+function mergeExtracted(bible, extracted, chapter) {
+  const merged = { ...emptyBible(), ...bible };
+  let added = 0;
+
+  for (const section of Object.keys(SECTIONS)) {
+    const { text } = SECTIONS[section];
+    const entries = [...(merged[section] || [])];
+
+    for (const raw of extracted?.[section] || []) {
+      let entry;
+      try {
+        entry = normalizeEntry(section, raw, { chapter, source: 'extracted' });
+      } catch {
+        continue;
+      }
+
+      const existing = entries.findIndex(item => identity(section, item) === identity(section, entry));
+      if (existing === -1) {
+        entries.push(entry);
+        added++;
+      } else if (text && entries[existing].source !== 'manual' && entry[text] && !entries[existing][text]) {
+        entries[existing] = { ...entries[existing], [text]: entry[text] };
+      }
+    }
+    merged[section] = entries;
+  }
+
+  merged.updatedAt = new Date().toISOString();
+  return { bible: merged, added };
+}
+
+// Series entries first, then the book's own; the book wins on conflicts
+function combineBibles(...bibles) {
+  return bibles.filter(Boolean).reduce((combined, bible) => {
+    for (const section of Object.keys(SECTIONS)) {
+      for (const entry of bible[section] || []) {
+        const index = combined[section].findIndex(item => identity(section, item) === identity(section, entry));
+        if (index === -1) combined[section].push(entry);
+        else combined[section][index] = entry;
+      }
+    }
+    return combined;
+  }, emptyBible());
+}
+
+function isEmpty(bible) {
+  return !bible || Object.keys(SECTIONS).every(section => !bible[section]?.length);
+}
+
+// Compact text for chapter prompts, trimmed to `limit` characters. Timeline keeps
+// the most recent events when it has to be cut.
+function formatForPrompt(bible, limit = PROMPT_LIMIT) {
+  if (isEmpty(bible)) return '';
+
+  const describe = (name, description) => (description ? `- ${name}: ${description}` : `- ${name}`);
+  const parts = [];
+  if (bible.characters.length) {
+    parts.push(`Characters:\n${bible.characters.map(c => describe(c.name, c.description)).join('\n')}`);
+  }
+  if (bible.locations.length) {
+    parts.push(`Locations:\n${bible.locations.map(l => describe(l.name, l.description)).join('\n')}`);
+  }
+  if (bible.facts.length) {
+    parts.push(`Established facts:\n${bible.facts.map(f => `- ${f.fact}`).join('\n')}`);
+  }
+  if (bible.timeline.length) {
+    const events = bible.timeline.map(t => `- ${t.chapter ? `Ch. ${t.chapter}: ` : ''}${t.event}`);
+    let timeline = `Timeline so far:\n${events.join('\n')}`;
+    const room = limit - parts.join('\n\n').length - 2;
+    while (timeline.length > room && events.length > 1) {
+      events.shift();
+      timeline = `Timeline so far (most recent):\n${events.join('\n')}`;
+    }
+    parts.push(timeline);
+  }
+
+  const text = parts.join('\n\n');
+  return text.length > limit ? `${text.slice(0, limit - 3)}...` : text;
+}
+
+function buildExtractionPrompt(chapter, bible) {
+  const known = formatForPrompt(bible, 1500);
+  return `
+STORY BIBLE EXTRACTION:
+Read the chapter below and list what a continuity editor must remember for later chapters.
+
+ALREADY RECORDED:
+${known || 'Nothing yet'}
+
+CHAPTER ${chapter.number}: ${chapter.title}
+${chapter.content}
+
+INSTRUCTIONS:
+List named characters and locations that appear (with a short description of each),
+the important events of this chapter in order, and any facts later chapters must not
+contradict (relationships, ages, rules of the world). Use the exact names from the text.
+
+Respond with JSON only, in this shape:
+{"characters": [{"name": "...", "description": "..."}], "locations": [{"name": "...", "description": "..."}], "timeline": [{"event": "..."}], "facts": [{"fact": "..."}]}
+`;
+}
+
+// Parse an extraction response; throws StoryBibleValidationError when unusable
+function parseExtraction(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) throw new StoryBibleValidationError(['response contains no JSON object']);
+
+  let data;
+  try {
+    data = JSON.parse(candidate.slice(start, end + 1));
+  } catch (error) {
+    throw new StoryBibleValidationError([`response is not valid JSON (${error.message})`]);
+  }
+  if (!Object.keys(SECTIONS).some(section => Array.isArray(data[section]))) {
+    throw new StoryBibleValidationError(['response has no story bible sections']);
+  }
+  return data;
+}
+
+module.exports = {
+  SECTIONS,
+  StoryBibleValidationError,
+  emptyBible,
+  normalizeEntry,
+  normalizeBible,
+  mergeExtracted,
+  combineBibles,
+  formatForPrompt,
+  buildExtractionPrompt,
+  parseExtraction
+};
@@ -0,0 +1,33 @@
+// File: test/book-generator.test.js
+// BookGenerator against recorded provider traffic (test/fixtures)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { BookGenerator } = require('../ai-book-generator');
+const { ProviderFixtures } = require('../provider-fixtures');
+
+test('falls back to Claude and leaves a placeholder once every provider is cooling down', async () => {
+  const fixtures = new ProviderFixtures(path.join(__dirname, 'fixtures', 'book-generator.json'));
+  const generator = new BookGenerator({ fetch: fixtures.fetch });
+  generator.sleep = async () => {};
+
+  const book = await generator.generateBook({
+    title: 'The Lighthouse Keeper',
+    genre: 'Mystery',
+    chapters: ['The Light Goes Out', 'Footprints on the Stairs']
+  });
+  fixtures.assertDone();
+
+  const [first, second] = book.chapters;
+  assert.equal(first.provider, 'claude');
+  assert.ok(first.wordCount > 0);
+
+  // OpenAI is cooling down after its 429 and Claude after the first chapter, so
+  // chapter 2 fails without a request
+  assert.equal(second.provider, null);
+  assert.equal(second.error, 'All AI providers failed for chapter generation');
+  assert.equal(second.content, '[Chapter generation failed: All AI providers failed for chapter generation]');
+  assert.equal(book.metadata.successfulChapters, 1);
+  assert.equal(book.metadata.totalWords, first.wordCount);
+});
@@ -0,0 +1,89 @@
+// File: test/generate-book.test.js
+// AIProviderManager.generateBook against recorded OpenAI and Claude traffic
+// (test/fixtures). A prompt change makes the recorded requests stop matching;
+// re-record with PROVIDER_FIXTURES=record.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { AIProviderManager } = require('../ai-providers');
+const { ProviderFixtures } = require('../provider-fixtures');
+
+const BOOK = {
+  title: 'The Lighthouse Keeper',
+  genre: 'Mystery',
+  style: 'engaging',
+  audience: 'general',
+  context: 'A mystery about a lighthouse keeper.'
+};
+
+function replay(name) {
+  const fixtures = new ProviderFixtures(path.join(__dirname, 'fixtures', name));
+  const manager = new AIProviderManager({ providers: ['openai', 'claude'], fetch: fixtures.fetch });
+  manager.sleep = async () => {};
+  return { fixtures, manager };
+}
+
+async function generate(name, chapters) {
+  const { fixtures, manager } = replay(name);
+  const events = [];
+  const book = await manager.generateBook(BOOK, chapters.map(title => ({ title })), {
+    extractStoryBible: false,
+    onEvent: (type, data) => events.push({ type, ...data })
+  });
+  fixtures.assertDone();
+  return { book, events, manager };
+}
+
+test('fails over to the next provider when one errors', async () => {
+  const { book, events, manager } = await generate('generate-book-failover.json', ['The Light Goes Out', 'Footprints on the Stairs']);
+
+  assert.deepEqual(book.chapters.map(chapter => chapter.provider), ['claude', 'claude']);
+  assert.ok(book.chapters.every(chapter => !chapter.error));
+  assert.deepEqual(
+    events.filter(event => event.type === 'provider-failover').map(({ chapter, provider, reason, errorKind }) => ({ chapter, provider, reason, errorKind })),
+    [
+      { chapter: 1, provider: 'openai', reason: 'error', errorKind: 'server' },
+      // Retry-After benched OpenAI, so chapter 2 skips it without a request
+      { chapter: 2, provider: 'openai', reason: 'rate-limited', errorKind: undefined }
+    ]
+  );
+  assert.equal(manager.rateLimiter.for('openai').status().blockReason, 'server');
+});
+
+test('retries a draft that fails the quality gate', async () => {
+  const { book, events } = await generate('generate-book-quality.json', ['The Light Goes Out']);
+
+  const [chapter] = book.chapters;
+  assert.equal(chapter.provider, 'claude');
+  assert.ok(chapter.wordCount >= 500);
+  assert.deepEqual(
+    events.filter(event => event.type === 'quality-rejected').map(({ provider, check }) => ({ provider, check })),
+    [{ provider: 'openai', check: 'quality' }]
+  );
+  // The rejected draft is still billed
+  assert.equal(book.metadata.usage.calls, 2);
+  assert.deepEqual(Object.keys(book.metadata.usage.byProvider).sort(), ['claude', 'openai']);
+});
+
+test('leaves a placeholder for a chapter every provider fails and carries on', async () => {
+  const { book, events } = await generate('generate-book-placeholder.json', ['The Light Goes Out', 'The Drowned Logbook', 'Dawn']);
+
+  assert.equal(book.chapters.length, 3);
+  const [first, failed, last] = book.chapters;
+  assert.equal(first.provider, 'openai');
+  assert.equal(last.provider, 'openai');
+
+  assert.equal(failed.number, 2);
+  assert.equal(failed.title, 'The Drowned Logbook');
+  assert.equal(failed.provider, null);
+  assert.equal(failed.wordCount, 0);
+  assert.match(failed.error, /All AI providers failed\. Last error: prompt is too long/);
+  assert.ok(failed.content.startsWith('[GENERATION FAILED: '));
+
+  // Validation errors don't bench a provider, so every attempt was made
+  assert.equal(events.filter(event => event.type === 'provider-failover' && event.chapter === 2).length, 6);
+  assert.deepEqual(events.filter(event => event.type === 'chapter-failed').map(event => event.chapter), [2]);
+  assert.equal(book.metadata.successfulChapters, 2);
+  assert.equal(book.metadata.totalWords, first.wordCount + last.wordCount);
+});
@@ -0,0 +1,51 @@
+// File: test/generate-outline.test.js
+// AIProviderManager.generateOutline when the provider keeps getting the chapter
+// count wrong
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AIProviderManager } = require('../ai-providers');
+const { OutlineValidationError } = require('../outline');
+
+// An OpenAI-style response whose outline has the given chapter titles
+function outlineResponse(titles) {
+  const content = JSON.stringify({ chapters: titles.map(title => ({ title, outline: `What happens in ${title}` })) });
+  return new Response(JSON.stringify({ choices: [{ message: { content } }] }), { status: 200, headers: { 'content-type': 'application/json' } });
+}
+
+test('rejects an outline whose last draft still has the wrong chapter count', async () => {
+  let calls = 0;
+  const ai = new AIProviderManager({
+    providers: ['openai'],
+    fetch: async () => {
+      calls++;
+      return outlineResponse(['The Light Goes Out', 'Footprints on the Stairs']);
+    }
+  });
+  ai.sleep = async () => {};
+
+  const events = [];
+  await assert.rejects(
+    ai.generateOutline({ premise: 'A lighthouse keeper finds the lamp dark', chapterCount: 3 }, {
+      onEvent: (type, data) => events.push({ type, ...data })
+    }),
+    error => {
+      assert.ok(error instanceof OutlineValidationError);
+      assert.deepEqual(error.errors, ['expected 3 chapters, got 2']);
+      return true;
+    }
+  );
+
+  // Every retry was used before giving up
+  assert.equal(calls, 3);
+  assert.equal(events.filter(event => event.type === 'quality-rejected').length, 3);
+});
+
+test('returns an outline with the requested chapter count', async () => {
+  const ai = new AIProviderManager({ providers: ['openai'], fetch: async () => outlineResponse(['One', 'Two', 'Three']) });
+  ai.sleep = async () => {};
+
+  const outline = await ai.generateOutline({ premise: 'A lighthouse keeper finds the lamp dark', chapterCount: 3 });
+  assert.deepEqual(outline.chapters.map(chapter => chapter.title), ['One', 'Two', 'Three']);
+  assert.equal(outline.provider, 'openai');
+});
@@ -0,0 +1,103 @@
+// File: test/provider-fixtures.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProviderFixtures, FixtureMismatchError, fixturesFromEnv } = require('../provider-fixtures');
+
+const URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=secret-key';
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-')), 'run.json');
+}
+
+function post(fetch, body, url = URL) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': 'secret-key' },
+    body: JSON.stringify(body)
+  });
+}
+
+// Answers each request with the next response in the list
+function upstream(responses) {
+  return async () => {
+    const { status, body, headers } = responses.shift();
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+  };
+}
+
+test('records request/response pairs without credentials', async () => {
+  const file = tempFile();
+  const fixtures = new ProviderFixtures(file, {
+    mode: 'record',
+    fetch: upstream([{ status: 200, body: { text: 'hello' }, headers: { 'set-cookie': 'session=1', 'x-request-id': 'req_1' } }])
+  });
+
+  const response = await post(fixtures.fetch, { prompt: 'Say hello' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { text: 'hello' });
+
+  const saved = fs.readFileSync(file, 'utf8');
+  assert.doesNotMatch(saved, /secret-key|session=1/);
+  assert.deepEqual(JSON.parse(saved).interactions, [{
+    request: { method: 'POST', url: URL.replace('secret-key', 'REDACTED'), body: { prompt: 'Say hello' } },
+    response: { status: 200, headers: { 'content-type': 'application/json', 'x-request-id': 'req_1' }, body: { text: 'hello' } }
+  }]);
+});
+
+test('replays identical requests in the order they were recorded', async () => {
+  const file = tempFile();
+  const recorder = new ProviderFixtures(file, {
+    mode: 'record',
+    fetch: upstream([
+      { status: 503, body: { error: { message: 'overloaded' } }, headers: { 'retry-after': '2' } },
+      { status: 200, body: { text: 'second try' } }
+    ])
+  });
+  await post(recorder.fetch, { prompt: 'Retry me' });
+  await post(recorder.fetch, { prompt: 'Retry me' });
+
+  const fixtures = new ProviderFixtures(file);
+  const first = await post(fixtures.fetch, { prompt: 'Retry me' }, URL.replace('secret-key', 'another-key'));
+  assert.equal(first.status, 503);
+  assert.equal(first.headers.get('retry-after'), '2');
+  const second = await post(fixtures.fetch, { prompt: 'Retry me' });
+  assert.deepEqual(await second.json(), { text: 'second try' });
+  fixtures.assertDone();
+});
+
+test('fails on requests that were not recorded', async () => {
+  const file = tempFile();
+  const recorder = new ProviderFixtures(file, { mode: 'record', fetch: upstream([{ status: 200, body: { text: 'hello' } }]) });
+  await post(recorder.fetch, { prompt: 'Say hello' });
+
+  const fixtures = new ProviderFixtures(file);
+  await assert.rejects(post(fixtures.fetch, { prompt: 'Say goodbye' }), error => {
+    assert.ok(error instanceof FixtureMismatchError);
+    assert.match(error.message, /differs in its body/);
+    return true;
+  });
+  assert.throws(() => fixtures.assertDone(), /unmatched request: POST .*\nunused recording: POST/);
+});
+
+test('replay needs an existing fixture file', () => {
+  assert.throws(() => new ProviderFixtures(tempFile()), /Fixture file not found/);
+  assert.throws(() => new ProviderFixtures(tempFile(), { mode: 'live' }), /must be one of record, replay/);
+  assert.equal(fixturesFromEnv({}), null);
+  assert.throws(() => fixturesFromEnv({ PROVIDER_FIXTURES: 'record' }), /PROVIDER_FIXTURES_FILE/);
+});
+
+test('fixturesFromEnv shares one instance per mode and file', async () => {
+  const env = { PROVIDER_FIXTURES: 'record', PROVIDER_FIXTURES_FILE: tempFile() };
+  const fixtures = fixturesFromEnv(env);
+  assert.equal(fixturesFromEnv({ ...env }), fixtures);
+
+  // Both recordings land in the file instead of the second overwriting the first
+  fixtures.upstream = upstream([{ status: 200, body: { text: 'one' } }, { status: 200, body: { text: 'two' } }]);
+  await post(fixturesFromEnv(env).fetch, { prompt: 'First' });
+  await post(fixturesFromEnv(env).fetch, { prompt: 'Second' });
+  assert.equal(JSON.parse(fs.readFileSync(env.PROVIDER_FIXTURES_FILE, 'utf8')).interactions.length, 2);
+});
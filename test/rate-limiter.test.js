@@ -0,0 +1,58 @@
+// File: test/rate-limiter.test.js
+// Which failed calls bench a provider: network and server errors do, bugs and
+// responses we couldn't read don't
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, ProviderRateLimiter } = require('../rate-limiter');
+const { AIProviderManager } = require('../ai-providers');
+
+function networkError(code) {
+  return new TypeError('fetch failed', { cause: Object.assign(new Error(`read ${code}`), { code }) });
+}
+
+function manager(fetch) {
+  const ai = new AIProviderManager({ providers: ['openai'], fetch });
+  ai.sleep = async () => {};
+  return ai;
+}
+
+test('classifies errors by what they say about the provider', () => {
+  assert.equal(classifyError(networkError('ECONNRESET')), 'server');
+  assert.equal(classifyError(Object.assign(new Error('timed out'), { name: 'TimeoutError' })), 'server');
+  assert.equal(classifyError({ status: 503 }), 'server');
+  assert.equal(classifyError({ status: 429 }), 'rate-limited');
+  assert.equal(classifyError({ status: 401 }), 'auth');
+  assert.equal(classifyError({ status: 400 }), 'validation');
+  assert.equal(classifyError(new TypeError("Cannot read properties of undefined (reading '0')")), 'unexpected');
+  assert.equal(classifyError(new SyntaxError('Unexpected token < in JSON at position 0')), 'unexpected');
+});
+
+test('only benches a provider for errors that say it is unhealthy', () => {
+  const limiter = new ProviderRateLimiter('openai');
+  assert.equal(limiter.recordFailure(new TypeError('provider.generate is not a function')), 'unexpected');
+  assert.equal(limiter.status().blockReason, null);
+  assert.equal(limiter.status().consecutiveFailures, 0);
+
+  assert.equal(limiter.recordFailure(networkError('ECONNRESET')), 'server');
+  assert.equal(limiter.status().blockReason, 'server');
+});
+
+test('a malformed response body does not bench the provider', async () => {
+  const ai = manager(async () => new Response('{"unexpected":true}', { status: 200, headers: { 'content-type': 'application/json' } }));
+  const events = [];
+  await assert.rejects(
+    ai.generateContent('Say hello', { maxRetries: 1, onEvent: (type, data) => events.push({ type, ...data }) }),
+    /All AI providers failed/
+  );
+
+  assert.deepEqual(events.filter(event => event.type === 'provider-failover').map(event => event.errorKind), ['unexpected']);
+  assert.equal(ai.rateLimiter.for('openai').status().blockReason, null);
+});
+
+test('a dropped connection benches the provider', async () => {
+  const ai = manager(async () => { throw networkError('ECONNRESET'); });
+  await assert.rejects(ai.generateContent('Say hello', { maxRetries: 1 }), /All AI providers failed. Last error: fetch failed/);
+
+  assert.equal(ai.rateLimiter.for('openai').status().blockReason, 'server');
+});
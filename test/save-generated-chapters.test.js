@@ -0,0 +1,43 @@
+// File: test/save-generated-chapters.test.js
+// Redrafting a stored book with the mock provider: a run that stops early must
+// keep the chapters it didn't get to, and their version history
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AIProviderManager } = require('../ai-providers');
+const { MemoryStorage, saveGeneratedChapters, updateChapterWithHistory } = require('../storage');
+
+test('a cancelled redraft only replaces the chapters it wrote', async () => {
+  const storage = new MemoryStorage();
+  const author = await storage.createUser({ email: 'author@example.com', name: 'Author' });
+  const stored = await storage.createBook({ title: 'The Lighthouse Keeper', authorId: author.id });
+  for (const [index, title] of ['The Light Goes Out', 'Footprints on the Stairs', 'Dawn'].entries()) {
+    await storage.createChapter(stored.id, { title, content: `Old text of chapter ${index + 1}.`, order: index + 1 });
+  }
+  await updateChapterWithHistory(storage, stored.id, 2, { content: 'Revised text of chapter 2.' }, { source: 'manual' });
+
+  // Cancel as soon as the first chapter is written
+  const controller = new AbortController();
+  const manager = new AIProviderManager({ providers: ['mock'] });
+  manager.sleep = async () => {};
+  const book = await manager.generateBook({ title: 'The Lighthouse Keeper', genre: 'Mystery' }, [
+    { title: 'The Light Goes Out' }, { title: 'Footprints on the Stairs' }, { title: 'Dawn' }
+  ], {
+    signal: controller.signal,
+    extractStoryBible: false,
+    onEvent: type => type === 'chapter-completed' && controller.abort()
+  });
+  assert.equal(book.metadata.cancelled, true);
+  assert.equal(book.chapters.length, 1);
+
+  const chapters = await saveGeneratedChapters(storage, stored.id, book);
+  assert.deepEqual(chapters.map(chapter => chapter.order), [1, 2, 3]);
+  assert.equal(chapters[0].content, book.chapters[0].content);
+  assert.equal(chapters[1].content, 'Revised text of chapter 2.');
+  assert.equal(chapters[2].content, 'Old text of chapter 3.');
+
+  const redrafted = await storage.listChapterVersions(stored.id, 1);
+  assert.deepEqual(redrafted.map(version => version.source), ['original', 'generation']);
+  assert.equal(redrafted[0].content, 'Old text of chapter 1.');
+  assert.equal((await storage.listChapterVersions(stored.id, 2)).length, 2);
+});
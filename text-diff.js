@@ -0,0 +1,90 @@
+// File: text-diff.js
+// Line or word diff between two texts (longest common subsequence), used to
+// compare chapter versions
+
+// Above this many LCS cells, word diffs fall back to lines to bound memory
+const MAX_CELLS = 16000000;
+
+function tokens(text, by) {
+  return by === 'word'
+    ? String(text || '').split(/(\s+)/).filter(Boolean)
+    : String(text || '').split('\n');
+}
+
+// Edit script of { type: 'equal' | 'insert' | 'delete', text } runs
+function diffTokens(a, b) {
+  // Trim the common prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const table = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i * cols + j] = midA[i] === midB[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push({ type: 'equal', text: midA[i++] });
+      j++;
+    } else if (i < midA.length && (j === midB.length || table[(i + 1) * cols + j] >= table[i * cols + j + 1])) {
+      ops.push({ type: 'delete', text: midA[i++] });
+    } else {
+      ops.push({ type: 'insert', text: midB[j++] });
+    }
+  }
+  ops.push(...a.slice(endA).map(text => ({ type: 'equal', text })));
+  return ops;
+}
+
+// Merge consecutive operations of the same type into runs
+function mergeRuns(ops, separator) {
+  const runs = [];
+  for (const op of ops) {
+    const last = runs[runs.length - 1];
+    if (last && last.type === op.type) last.parts.push(op.text);
+    else runs.push({ type: op.type, parts: [op.text] });
+  }
+  return runs.map(run => ({ type: run.type, text: run.parts.join(separator) }));
+}
+
+// Diff two texts by 'line' (default) or 'word'. Returns { by, changes, stats }.
+function diffText(before, after, { by = 'line' } = {}) {
+  let a = tokens(before, by);
+  let b = tokens(after, by);
+  if (by === 'word' && a.length * b.length > MAX_CELLS) {
+    by = 'line';
+    a = tokens(before, by);
+    b = tokens(after, by);
+  }
+
+  const ops = diffTokens(a, b);
+  const counted = ops.filter(op => by === 'line' || /\S/.test(op.text));
+  return {
+    by,
+    changes: mergeRuns(ops, by === 'line' ? '\n' : ''),
+    stats: {
+      added: counted.filter(op => op.type === 'insert').length,
+      removed: counted.filter(op => op.type === 'delete').length,
+      unchanged: counted.filter(op => op.type === 'equal').length
+    }
+  };
+}
+
+module.exports = { diffText };
@@ -0,0 +1,42 @@
+// File: webhook-receiver.js
+// Local webhook receiver for trying out deliveries: prints each event and whether
+// its signature checks out. Start the server with WEBHOOK_ALLOW_PRIVATE_URLS=true so
+// it accepts http://localhost:4000/ as a webhook URL, register it, then run
+//   WEBHOOK_SECRET=whsec_... npm run webhooks:receive
+// RECEIVER_FAIL=3 answers the first 3 deliveries with 500 to exercise retries.
+
+const http = require('http');
+const { verifySignature } = require('./webhooks');
+
+const PORT = parseInt(process.env.RECEIVER_PORT, 10) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.RECEIVER_FAIL, 10) || 0;
+
+if (!secret) console.warn('WEBHOOK_SECRET is not set; signatures will not be checked');
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const verified = secret ? verifySignature(secret, req.headers, body) : null;
+    let payload = null;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      // Printed raw below
+    }
+
+    console.log(`${new Date().toISOString()} ${req.headers['x-briggs-event'] || req.method} ` +
+      `delivery=${req.headers['x-briggs-delivery'] || '-'} signature=${verified === null ? 'unchecked' : verified ? 'valid' : 'INVALID'}`);
+    console.log(payload ? JSON.stringify(payload.data, null, 2) : body);
+
+    if (verified === false) {
+      res.writeHead(401).end('invalid signature');
+    } else if (failuresLeft > 0) {
+      failuresLeft--;
+      res.writeHead(500).end('failing on purpose');
+    } else {
+      res.writeHead(200).end('ok');
+    }
+  });
+}).listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}/`));
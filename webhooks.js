@@ -0,0 +1,321 @@
+// File: webhooks.js
+// Outgoing webhooks. Users register a URL for some events; every event becomes a
+// delivery row that is POSTed as JSON, signed with the webhook's secret, and
+// retried with exponential backoff until the receiver answers 2xx or the attempts
+// run out. Receivers check X-Briggs-Signature with verifySignature below.
+// Webhooks may only point at public hosts, so users can't make the server call
+// internal services; WEBHOOK_ALLOW_PRIVATE_URLS=true lifts that for local receivers.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+const WEBHOOK_EVENTS = {
+  'book.generation.completed': 'A book or picture book finished generating',
+  'book.generation.failed': 'A generation job failed',
+  'chapter.failed': 'A chapter failed on every provider and was left as a placeholder',
+  'provider.rate-limited': 'A provider answered 429 and is benched (admins only)',
+  'book.published': 'A book moved to PUBLISHED'
+};
+
+// Events about the server rather than a user's books
+const ADMIN_EVENTS = ['provider.rate-limited'];
+
+const DEFAULTS = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  // 1st retry after baseDelayMs, then doubling up to maxDelayMs
+  baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000,
+  maxDelayMs: 30 * 60 * 1000,
+  timeoutMs: 10000,
+  // Signatures older than this are rejected by verifySignature
+  toleranceSeconds: 300
+};
+
+const SECRET_PREFIX = 'whsec_';
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and multicast ranges
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+function allowPrivateUrls() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+// Whether an IP address is not publicly routable (IPv4-mapped IPv6 included)
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mapped) return isPrivateAddress(mapped);
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Whether a URL's host is private on its face: localhost names or a private IP
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+class WebhookValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid webhook: ${errors.join('; ')}`);
+    this.name = 'WebhookValidationError';
+    this.errors = errors;
+  }
+}
+
+function generateSecret() {
+  return `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Check a webhook from a request ({ url, events, description, active }). partial
+// allows leaving fields out (updates). Throws WebhookValidationError.
+function normalizeWebhook(input = {}, { partial = false, admin = false, allowPrivate = allowPrivateUrls() } = {}) {
+  const errors = [];
+  const webhook = {};
+
+  if (input.url !== undefined || !partial) {
+    let url = null;
+    try {
+      url = new URL(String(input.url || ''));
+    } catch (error) {
+      errors.push('url must be an absolute http(s) URL');
+    }
+    if (url && !['http:', 'https:'].includes(url.protocol)) errors.push('url must be an absolute http(s) URL');
+    else if (url && !allowPrivate && isPrivateHost(url.hostname)) errors.push('url must point to a public host, not a loopback or private address');
+    if (url) webhook.url = url.toString();
+  }
+
+  if (input.events !== undefined || !partial) {
+    const events = Array.isArray(input.events) ? [...new Set(input.events)] : null;
+    if (!events || events.length === 0) {
+      errors.push(`events must list at least one of ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    } else {
+      const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+      if (unknown.length > 0) errors.push(`unknown events: ${unknown.join(', ')}`);
+      const restricted = events.filter(event => ADMIN_EVENTS.includes(event));
+      if (!admin && restricted.length > 0) errors.push(`only admins can subscribe to ${restricted.join(', ')}`);
+      webhook.events = events;
+    }
+  }
+
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') errors.push('description must be a string');
+    else webhook.description = input.description ? input.description.trim() : null;
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') errors.push('active must be true or false');
+    else webhook.active = input.active;
+  }
+
+  if (errors.length > 0) throw new WebhookValidationError(errors);
+  return webhook;
+}
+
+// "sha256=<hex>" over "<timestamp>.<body>"
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// For receivers: whether a delivery's signature and timestamp headers match its
+// raw body. headers may be a Node/Express header object (lower-cased keys).
+function verifySignature(secret, headers, body, { toleranceSeconds = DEFAULTS.toleranceSeconds, now = Date.now() } = {}) {
+  const timestamp = Number(headers['x-briggs-timestamp']);
+  const signature = String(headers['x-briggs-signature'] || '');
+  if (!Number.isFinite(timestamp) || Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Webhook fields safe to return from the API (the secret is shown once, on creation)
+function publicWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    description: webhook.description || null,
+    active: webhook.active,
+    ownerId: webhook.ownerId,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+  };
+}
+
+// A delivery as returned to its webhook's owner. Receivers' response bodies are
+// only kept for admins' webhooks and only shown to admins; for anyone else they
+// could be the contents of some other server's page.
+function publicDelivery(delivery, { admin = false } = {}) {
+  if (admin) return delivery;
+  return { ...delivery, attempts: delivery.attempts.map(({ responseBody, ...attempt }) => attempt) };
+}
+
+// Sends events to subscribed webhooks and keeps the delivery log in storage.
+// options: { fetch, lookup (dns.lookup), allowPrivate, maxAttempts, baseDelayMs,
+// maxDelayMs, timeoutMs }.
+class WebhookDispatcher {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.options = { ...DEFAULTS, allowPrivate: allowPrivateUrls(), ...options };
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.lookup = options.lookup || ((hostname) => dns.lookup(hostname, { all: true }));
+    // delivery id -> retry timer
+    this.timers = new Map();
+  }
+
+  // Queue an event for every active webhook subscribed to it. ownerId is the user
+  // the event is about: their webhooks and admins' get it; events without an owner
+  // only go to admins. Resolves to the deliveries created.
+  async emit(event, data = {}, { ownerId = null } = {}) {
+    if (!WEBHOOK_EVENTS[event]) throw new Error(`Unknown webhook event: ${event}`);
+
+    const webhooks = await this.storage.listWebhooks({ event, active: true });
+    const admins = new Set((await this.storage.listUsers()).filter(user => user.role === 'admin').map(user => user.id));
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      if (!admins.has(webhook.ownerId) && (!ownerId || webhook.ownerId !== ownerId)) continue;
+      deliveries.push(await this.enqueue(webhook, event, data));
+    }
+    return deliveries;
+  }
+
+  // Create one delivery and send it right away (retries happen in the background).
+  // wait resolves after the first attempt, with its outcome.
+  async enqueue(webhook, event, data, { wait = false } = {}) {
+    const delivery = await this.storage.createWebhookDelivery({
+      webhookId: webhook.id,
+      event,
+      payload: { event, data, createdAt: new Date().toISOString() }
+    });
+    const sent = this.attempt(delivery.id);
+    if (wait) return sent;
+    sent.catch(error => console.error(`Webhook delivery ${delivery.id} failed:`, error.message));
+    return delivery;
+  }
+
+  // Send a delivery again now, whatever state it's in
+  async redeliver(deliveryId) {
+    const delivery = await this.storage.updateWebhookDelivery(deliveryId, { status: 'pending', nextAttemptAt: null });
+    if (!delivery) return null;
+    await this.attempt(deliveryId, { force: true });
+    return this.storage.getWebhookDelivery(deliveryId);
+  }
+
+  // Pick up deliveries still waiting for a retry (e.g. after a restart)
+  async resume() {
+    const pending = await this.storage.listWebhookDeliveries({ status: 'pending' });
+    for (const delivery of pending) {
+      const waitMs = Math.max(0, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now());
+      this.schedule(delivery.id, waitMs);
+    }
+    return pending.length;
+  }
+
+  schedule(deliveryId, waitMs) {
+    clearTimeout(this.timers.get(deliveryId));
+    const timer = setTimeout(() => {
+      this.timers.delete(deliveryId);
+      this.attempt(deliveryId).catch(error => console.error(`Webhook delivery ${deliveryId} failed:`, error.message));
+    }, waitMs);
+    timer.unref?.();
+    this.timers.set(deliveryId, timer);
+  }
+
+  // Throws unless every address the URL's host resolves to is public
+  async assertPublicHost(url) {
+    if (this.options.allowPrivate) return;
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await this.lookup(host);
+    if (isPrivateHost(hostname) || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new Error(`${hostname} resolves to a loopback or private address; not delivering`);
+    }
+  }
+
+  // Exponential backoff with "equal jitter", as for provider retries
+  retryDelay(attempt) {
+    const exponential = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  // POST a delivery once and record the outcome. A failed attempt is retried
+  // later until maxAttempts; force sends even a delivery that already finished.
+  async attempt(deliveryId, { force = false } = {}) {
+    const delivery = await this.storage.getWebhookDelivery(deliveryId);
+    if (!delivery || (!force && delivery.status !== 'pending')) return delivery;
+    const webhook = await this.storage.getWebhook(delivery.webhookId);
+    if (!webhook) return null;
+
+    clearTimeout(this.timers.get(deliveryId));
+    this.timers.delete(deliveryId);
+
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const record = { attempt: delivery.attempts.length + 1, at: new Date(started).toISOString() };
+    try {
+      // Names are checked again when sending, since they can resolve anywhere
+      await this.assertPublicHost(webhook.url);
+      const response = await this.fetch(webhook.url, {
+        method: 'POST',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.options.timeoutMs),
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BriggsEmpire-Webhooks/1.0',
+          'X-Briggs-Event': delivery.event,
+          'X-Briggs-Delivery': delivery.id,
+          'X-Briggs-Timestamp': String(timestamp),
+          'X-Briggs-Signature': sign(webhook.secret, timestamp, body)
+        },
+        body
+      });
+      record.responseStatus = response.status;
+      const responseBody = (await response.text().catch(() => '')).slice(0, 500);
+      if ((await this.storage.getUser(webhook.ownerId))?.role === 'admin') record.responseBody = responseBody;
+      if (!response.ok) record.error = `Receiver answered ${response.status}`;
+      if (response.status >= 300 && response.status < 400) record.error = `Receiver answered ${response.status}; redirects are not followed`;
+    } catch (error) {
+      record.error = error.name === 'TimeoutError' ? `No response within ${this.options.timeoutMs}ms` : error.message;
+    }
+    record.durationMs = Date.now() - started;
+
+    const attempts = [...delivery.attempts, record];
+    if (!record.error) {
+      return this.storage.updateWebhookDelivery(deliveryId, { status: 'delivered', attempts, nextAttemptAt: null, deliveredAt: record.at });
+    }
+    if (attempts.length >= this.options.maxAttempts) {
+      return this.storage.updateWebhookDelivery(deliveryId, { status: 'failed', attempts, nextAttemptAt: null });
+    }
+
+    const waitMs = this.retryDelay(attempts.length);
+    const updated = await this.storage.updateWebhookDelivery(deliveryId, {
+      status: 'pending',
+      attempts,
+      nextAttemptAt: new Date(Date.now() + waitMs).toISOString()
+    });
+    this.schedule(deliveryId, waitMs);
+    return updated;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ADMIN_EVENTS,
+  WebhookValidationError,
+  WebhookDispatcher,
+  generateSecret,
+  normalizeWebhook,
+  isPrivateAddress,
+  sign,
+  verifySignature,
+  publicWebhook,
+  publicDelivery
+};
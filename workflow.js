@@ -0,0 +1,110 @@
+// File: workflow.js
+// Editorial workflow for books. A book moves OUTLINING -> DRAFTING -> IN_REVIEW ->
+// APPROVED -> PUBLISHED; a reviewer can send it back with CHANGES_REQUESTED, and
+// ARCHIVED retires it. Only the moves in TRANSITIONS are allowed. Approval is a
+// reviewer's sign-off (a reviewer or admin who isn't the author) and publishing
+// needs it. Every move is logged with who made it (see storage.transitionBook).
+
+const BOOK_STATUSES = ['OUTLINING', 'DRAFTING', 'IN_REVIEW', 'CHANGES_REQUESTED', 'APPROVED', 'PUBLISHED', 'ARCHIVED'];
+
+const TRANSITIONS = {
+  OUTLINING: ['DRAFTING', 'ARCHIVED'],
+  DRAFTING: ['OUTLINING', 'IN_REVIEW', 'ARCHIVED'],
+  IN_REVIEW: ['DRAFTING', 'CHANGES_REQUESTED', 'APPROVED', 'ARCHIVED'],
+  CHANGES_REQUESTED: ['DRAFTING', 'IN_REVIEW', 'ARCHIVED'],
+  APPROVED: ['CHANGES_REQUESTED', 'PUBLISHED', 'ARCHIVED'],
+  PUBLISHED: ['ARCHIVED'],
+  ARCHIVED: ['DRAFTING']
+};
+
+// States a new book may be created in
+const INITIAL_STATUSES = ['OUTLINING', 'DRAFTING'];
+
+// Books in these states are visible to every reviewer, not just their author
+const REVIEW_STATUSES = ['IN_REVIEW', 'CHANGES_REQUESTED', 'APPROVED'];
+
+// Books whose text and metadata can't be edited: the sign-off covers exactly what
+// the reviewer read. A reviewer reopens an approved book with CHANGES_REQUESTED.
+const LOCKED_STATUSES = ['APPROVED', 'PUBLISHED'];
+
+// Moves that are a reviewer's decision rather than the author's
+const REVIEWER_TRANSITIONS = ['CHANGES_REQUESTED', 'APPROVED'];
+
+// Statuses from before the workflow existed
+const LEGACY_STATUSES = { DRAFT: 'DRAFTING', WRITING: 'DRAFTING' };
+
+class WorkflowError extends Error {
+  // forbidden: the move is legal but this user may not make it
+  constructor(message, { forbidden = false } = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.forbidden = forbidden;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isReviewer(user) {
+  return user?.role === 'reviewer' || user?.role === 'admin';
+}
+
+// Whether a user may read a book (and move it) as its reviewer
+function canReview(user, book) {
+  return isReviewer(user) && book.authorId !== user.id && REVIEW_STATUSES.includes(book.status);
+}
+
+// Check a move for a user and work out the book's new metadata. Returns
+// { status, metadata }; throws WorkflowError when the move isn't allowed.
+// user is null for automatic moves (generation jobs).
+function planTransition(book, to, { user = null, note = null } = {}) {
+  if (!BOOK_STATUSES.includes(to)) {
+    throw new WorkflowError(`Status must be one of ${BOOK_STATUSES.join(', ')}`);
+  }
+  if (!canTransition(book.status, to)) {
+    const allowed = TRANSITIONS[book.status] || [];
+    throw new WorkflowError(`Cannot move a book from ${book.status} to ${to}` +
+      (allowed.length ? `; next states are ${allowed.join(', ')}` : ''));
+  }
+
+  const isAuthor = !!user && book.authorId === user.id;
+  if (user && REVIEWER_TRANSITIONS.includes(to)) {
+    if (!isReviewer(user)) throw new WorkflowError(`Only a reviewer can move a book to ${to}`, { forbidden: true });
+    if (isAuthor) throw new WorkflowError('Authors cannot review their own books', { forbidden: true });
+  } else if (user && !isAuthor && user.role !== 'admin') {
+    throw new WorkflowError(`Only the author can move a book to ${to}`, { forbidden: true });
+  }
+  if (to === 'CHANGES_REQUESTED' && !note) {
+    throw new WorkflowError('A note saying what to change is required');
+  }
+
+  const metadata = { ...book.metadata };
+  if (to === 'APPROVED') {
+    metadata.signoff = { reviewerId: user?.id || null, reviewerName: user?.name || null, note, signedAt: new Date().toISOString() };
+  } else if (to === 'PUBLISHED') {
+    if (!metadata.signoff) throw new WorkflowError('Publishing needs a reviewer\'s sign-off');
+    metadata.publishedAt = new Date().toISOString();
+  } else {
+    // Any other move out of review needs a fresh sign-off
+    delete metadata.signoff;
+  }
+  if (to === 'CHANGES_REQUESTED') metadata.changesRequested = { note, reviewerId: user.id, requestedAt: new Date().toISOString() };
+  if (to === 'IN_REVIEW') delete metadata.changesRequested;
+
+  return { status: to, metadata };
+}
+
+module.exports = {
+  BOOK_STATUSES,
+  TRANSITIONS,
+  INITIAL_STATUSES,
+  REVIEW_STATUSES,
+  LOCKED_STATUSES,
+  LEGACY_STATUSES,
+  WorkflowError,
+  canTransition,
+  isReviewer,
+  canReview,
+  planTransition
+};
@@ -0,0 +1,105 @@
+// File: zip-writer.js
+// Minimal ZIP archive writer (stored and deflated entries) used by the exporters
+
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields used in ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+  }
+
+  // Add a file. options.store skips compression (required for an EPUB's mimetype).
+  addFile(name, content, options = {}) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = options.store ? data : zlib.deflateRawSync(data);
+
+    this.entries.push({
+      name: Buffer.from(name, 'utf8'),
+      method: options.store ? 0 : 8,
+      crc: crc32(data),
+      size: data.length,
+      compressed,
+      modified: dosDateTime(options.date || new Date())
+    });
+    return this;
+  }
+
+  toBuffer() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4); // version needed
+      local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      local.writeUInt16LE(entry.method, 8);
+      local.writeUInt16LE(entry.modified.time, 10);
+      local.writeUInt16LE(entry.modified.date, 12);
+      local.writeUInt32LE(entry.crc, 14);
+      local.writeUInt32LE(entry.compressed.length, 18);
+      local.writeUInt32LE(entry.size, 22);
+      local.writeUInt16LE(entry.name.length, 26);
+      local.writeUInt16LE(0, 28); // no extra field
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4); // version made by
+      central.writeUInt16LE(20, 6); // version needed
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(entry.method, 10);
+      central.writeUInt16LE(entry.modified.time, 12);
+      central.writeUInt16LE(entry.modified.date, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.compressed.length, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.name.length, 28);
+      central.writeUInt32LE(offset, 42);
+
+      localParts.push(local, entry.name, entry.compressed);
+      centralParts.push(central, entry.name);
+      offset += local.length + entry.name.length + entry.compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+}
+
+module.exports = { ZipWriter, crc32 };